@@ -1,96 +1,156 @@
-const { TwoTowerModel, MLPModel } = require('./two-tower.js');
+const { EnsembleModel } = require('./ensemble.js');
+const { modelNames, getModelDefinition, modelNameFor } = require('./model-registry.js');
+const { GENRES } = require('./movielens.js');
+const { Recommender } = require('./recommender.js');
+const { downloadModel, readModelFile } = require('./model-io.js');
+const { summarizeDrops } = require('./recommendation-pipeline.js');
+const { TrainingJob, TrainingState } = require('./training-worker.js');
+const { HyperparameterSearch, sortLeaderboard, SEARCH_SPACES } = require('./tuning.js');
+const { selectOnboardingItems, OnboardingSession, measureOnboardingConvergence } = require('./onboarding.js');
+const { pca, tsne, placeByNeighbors, toVectorsTSV, toMetadataTSV } = require('./projection.js');
 
-class MovieRecommender {
+// Line colors of the training chart, one per model in training order
+const CHART_COLORS = [
+    [75, 192, 192], [255, 99, 132], [54, 162, 235], [255, 159, 64], [153, 102, 255], [201, 203, 207]
+];
+
+// Browser front end; data, training and evaluation live in Recommender
+class MovieRecommender extends Recommender {
     constructor() {
-        this.twoTowerModel = new TwoTowerModel();
-        this.mlpModel = new MLPModel();
-        this.userItemInteractions = new Map();
-        this.userIds = new Set();
-        this.movieIds = new Set();
-        this.isTraining = false;
-        this.trainingData = [];
+        super();
+        // idle / training / cancelling / done / failed
+        this.training = new TrainingState().onChange(state => this.updateTrainingControls(state));
+        this.trainingJobs = [];
+        this.search = null;
+        // Line chart of the last beyond-accuracy report
+        this.popularityChart = null;
+        this.leaderboardSort = null;
+        this.onboarding = null;
+        // Validation split of the last training run, for the ensemble stacker
+        this.validation = null;
         
         this.initializeEventListeners();
+        this.populateGenreFilters();
+        this.populateModelSelects();
         this.setupChart();
-        this.loadSampleData();
+        this.loadData();
     }
 
     initializeEventListeners() {
-        document.getElementById('loadData').addEventListener('click', () => this.loadSampleData());
+        document.getElementById('loadData').addEventListener('click', () => this.loadData());
         document.getElementById('trainModels').addEventListener('click', () => this.trainModels());
+        document.getElementById('cancelTraining').addEventListener('click', () => this.cancelTraining());
+        document.getElementById('runTuning').addEventListener('click', () => this.runTuning());
+        document.getElementById('exportBestConfig').addEventListener('click', () => this.exportBestConfig());
+        document.getElementById('startOnboarding').addEventListener('click', () => this.startOnboarding());
+        document.getElementById('measureOnboarding').addEventListener('click', () => this.measureOnboarding());
         document.getElementById('testModels').addEventListener('click', () => this.testModels());
+        document.getElementById('evaluateModels').addEventListener('click', () => this.evaluateModels());
+        document.getElementById('compareSplits').addEventListener('click', () => this.runSplitComparison());
+        document.getElementById('runReport').addEventListener('click', () => this.runBeyondAccuracy());
+        document.getElementById('saveModels').addEventListener('click', () => this.saveModels());
+        document.getElementById('loadModels').addEventListener('click', () => document.getElementById('modelFiles').click());
+        document.getElementById('modelFiles').addEventListener('change', (e) => this.loadModels(e.target.files));
+        
+        document.getElementById('drawProjection').addEventListener('click', () => this.drawEmbeddingProjection());
+        document.getElementById('exportEmbeddings').addEventListener('click', () => this.exportEmbeddings());
         
         document.getElementById('addInteraction').addEventListener('click', () => this.addInteraction());
+        // Any movie title rendered by movieLink() opens its similar movies
+        document.body.addEventListener('click', (e) => {
+            const link = e.target.closest('.movie-link');
+            if (!link) return;
+            e.preventDefault();
+            this.showSimilarMovies(link.dataset.movieId);
+        });
         document.getElementById('userId').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.addInteraction();
         });
     }
 
-    loadSampleData() {
-        // Clear existing data
-        this.userItemInteractions.clear();
-        this.userIds.clear();
-        this.movieIds.clear();
-        this.trainingData = [];
-
-        // Generate sample movie data with genres
-        const movies = [
-            { id: 'action1', title: 'Action Movie 1', genres: ['action', 'adventure'] },
-            { id: 'action2', title: 'Action Movie 2', genres: ['action', 'sci-fi'] },
-            { id: 'comedy1', title: 'Comedy Movie 1', genres: ['comedy', 'romance'] },
-            { id: 'comedy2', title: 'Comedy Movie 2', genres: ['comedy'] },
-            { id: 'drama1', title: 'Drama Movie 1', genres: ['drama', 'romance'] },
-            { id: 'sci-fi1', title: 'Sci-Fi Movie 1', genres: ['sci-fi', 'action'] },
-            { id: 'sci-fi2', title: 'Sci-Fi Movie 2', genres: ['sci-fi', 'drama'] },
-            { id: 'horror1', title: 'Horror Movie 1', genres: ['horror'] },
-            { id: 'romance1', title: 'Romance Movie 1', genres: ['romance', 'drama'] },
-            { id: 'adventure1', title: 'Adventure Movie 1', genres: ['adventure', 'action'] }
-        ];
+    populateGenreFilters() {
+        ['includeGenres', 'excludeGenres'].forEach(id => {
+            const select = document.getElementById(id);
+            GENRES.forEach(genre => select.add(new Option(genre, genre)));
+        });
+    }
 
-        // Generate sample user interactions based on preferences
-        const userPreferences = {
-            'user1': { preferred: ['action', 'sci-fi'], disliked: ['romance', 'comedy'] },
-            'user2': { preferred: ['comedy', 'romance'], disliked: ['horror', 'action'] },
-            'user3': { preferred: ['drama', 'romance'], disliked: ['action'] },
-            'user4': { preferred: ['sci-fi', 'adventure'], disliked: ['horror'] },
-            'user5': { preferred: ['horror', 'action'], disliked: ['romance'] }
+    // Model pickers filled from the model registry: models to train (the
+    // two-tower and MLP models preselected), to evaluate (all preselected)
+    // and to tune (those with a search space)
+    populateModelSelects() {
+        const add = (id, names, selected = () => false) => {
+            const select = document.getElementById(id);
+            names.forEach(name => select.add(new Option(getModelDefinition(name).label, name, false, selected(name))));
         };
+        add('trainModelNames', modelNames(), name => name === 'twotower' || name === 'mlp');
+        add('evaluationModels', modelNames(), () => true);
+        add('tuneModel', modelNames().filter(name => SEARCH_SPACES[name]));
+        this.refreshEmbeddingSelects();
+    }
 
-        // Generate interactions
-        let interactionCount = 0;
-        Object.keys(userPreferences).forEach(userId => {
-            this.userIds.add(userId);
-            
-            movies.forEach(movie => {
-                let rating = 3; // Neutral base rating
-                
-                // Adjust rating based on genre preferences
-                movie.genres.forEach(genre => {
-                    if (userPreferences[userId].preferred.includes(genre)) {
-                        rating += 1.5;
-                    }
-                    if (userPreferences[userId].disliked.includes(genre)) {
-                        rating -= 1.5;
-                    }
-                });
-                
-                // Add some randomness and clamp to 1-5 range
-                rating += (Math.random() - 0.5);
-                rating = Math.max(1, Math.min(5, Math.round(rating * 2) / 2));
-                
-                if (rating > 3.5 || Math.random() > 0.7) { // Bias toward adding meaningful interactions
-                    const key = `${userId}-${movie.id}`;
-                    this.userItemInteractions.set(key, rating);
-                    this.movieIds.add(movie.id);
-                    this.trainingData.push({ userId, movieId: movie.id, rating });
-                    interactionCount++;
-                }
-            });
+    // Projection and similar-movie pickers list the current models with item
+    // embeddings, keeping the selection when that model is still there
+    refreshEmbeddingSelects() {
+        const names = this.embeddingModels().map(([name]) => name);
+        [['projectionModel', []], ['similarMethod', [['cooccurrence', 'Co-occurrence in ratings']]]].forEach(([id, extra]) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = '';
+            names.forEach(name => select.add(new Option(`${getModelDefinition(name).label} embeddings`, name)));
+            extra.forEach(([value, label]) => select.add(new Option(label, value)));
+            if (Array.from(select.options).some(option => option.value === previous)) select.value = previous;
         });
+    }
+
+    // [name, model] of the trained current models
+    trainedModels() {
+        return Array.from(this.models).filter(([, model]) => model.isTrained);
+    }
+
+    // Trained current models with item vectors
+    embeddingModels() {
+        return this.trainedModels().filter(([, model]) => typeof model.getMovieEmbeddings === 'function');
+    }
+
+    selectedModels(id) {
+        return Array.from(document.getElementById(id).selectedOptions, option => option.value);
+    }
+
+    // Recommendation rules from the rule controls, for buildPipeline()
+    readRuleOptions() {
+        const selected = id => Array.from(document.getElementById(id).selectedOptions, option => option.value);
+        const number = id => {
+            const value = document.getElementById(id).value.trim();
+            return value === '' ? undefined : Number(value);
+        };
+
+        return {
+            excludeSeen: document.getElementById('excludeSeen').checked,
+            includeGenres: selected('includeGenres'),
+            excludeGenres: selected('excludeGenres'),
+            yearMin: number('yearMin'),
+            yearMax: number('yearMax'),
+            maxPerGenre: number('maxPerGenre'),
+            mmrLambda: number('mmrLambda'),
+            popularityPenalty: number('popularityPenalty')
+        };
+    }
+
+    async loadData() {
+        document.getElementById('trainingStatus').textContent = 'Loading MovieLens 100K...';
+
+        try {
+            await super.loadData('data');
+        } catch (error) {
+            console.error('Data loading error:', error);
+            document.getElementById('trainingStatus').textContent = 'Failed to load data: ' + error.message;
+            return;
+        }
 
         this.updateInteractionsList();
-        document.getElementById('trainingStatus').textContent = `Loaded ${interactionCount} sample interactions`;
-        console.log(`Loaded ${interactionCount} sample interactions`);
+        document.getElementById('trainingStatus').textContent =
+            `Loaded ${this.trainingData.length} ratings from ${this.userIds.size} users on ${this.movies.size} movies`;
     }
 
     addInteraction() {
@@ -98,22 +158,152 @@ class MovieRecommender {
         const movieId = document.getElementById('movieId').value.trim();
         const rating = parseFloat(document.getElementById('rating').value);
 
-        if (!userId || !movieId || isNaN(rating) || rating < 1 || rating > 5) {
-            alert('Please enter valid user ID, movie ID, and rating (1-5)');
+        try {
+            super.addInteraction(userId, movieId, rating);
+        } catch (error) {
+            alert(error.message);
             return;
         }
 
-        const key = `${userId}-${movieId}`;
-        this.userItemInteractions.set(key, rating);
-        this.userIds.add(userId);
-        this.movieIds.add(movieId);
-        this.trainingData.push({ userId, movieId, rating });
-
         this.updateInteractionsList();
         document.getElementById('movieId').value = '';
         document.getElementById('rating').value = '';
 
-        console.log(`Added interaction: User ${userId}, Movie ${movieId}, Rating ${rating}`);
+        document.getElementById('trainingStatus').textContent =
+            `Added rating ${rating} of ${this.formatMovie(movieId)} by user ${userId}`;
+        this.applyOnlineUpdate(userId);
+    }
+
+    // Folds the new rating into the trained models (unless the caller already
+    // did) and refreshes the user's recommendations; starts a full retrain
+    // once enough ratings piled up
+    applyOnlineUpdate(userId, updated = this.foldIn(userId)) {
+        this.retrainEvery = Number(document.getElementById('retrainEvery').value) || 0;
+        if (updated.length > 0) {
+            document.getElementById('trainingStatus').textContent =
+                `Updated user ${userId} in ${updated.length} model(s); ${this.pendingInteractions} rating(s) since the last training run`;
+            if (this.trainedModels().length > 0) this.testModels();
+        }
+
+        if (this.retrainDue && !this.training.busy) {
+            this.trainModels();
+        }
+    }
+
+    // Asks a new user about a few movies chosen by the selected strategy; each
+    // answer updates the models and the recommendations below at once
+    startOnboarding() {
+        if (this.trainedModels().length === 0) {
+            alert('Please train models first before onboarding');
+            return;
+        }
+        const [embedding] = this.embeddingModels();
+
+        const answers = Number(document.getElementById('onboardingAnswers').value) || 10;
+        let questions;
+        try {
+            // Three questions per answer leave room for movies the user has not seen
+            questions = selectOnboardingItems(this.trainingData, answers * 3, {
+                strategy: document.getElementById('onboardingStrategy').value,
+                model: embedding ? embedding[1] : null,
+                movies: this.movies
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        let n = 1;
+        while (this.userIds.has(`new-${n}`)) n++;
+        this.onboarding = new OnboardingSession(this, `new-${n}`, questions, { answers });
+        document.getElementById('userId').value = this.onboarding.userId;
+        this.renderOnboardingQuestion();
+    }
+
+    renderOnboardingQuestion() {
+        const session = this.onboarding;
+        const container = document.getElementById('onboardingQuestion');
+        if (session.done) {
+            container.textContent = `Onboarding complete: user ${session.userId} rated ${session.answers.length} movies ` +
+                `and skipped ${session.skipped.length}.`;
+            return;
+        }
+
+        container.innerHTML = `<p>How would you rate <strong>${this.formatMovie(session.current)}</strong>? ` +
+            `(${session.answers.length}/${session.target} answered)</p>`;
+        [1, 2, 3, 4, 5].forEach(rating => {
+            const button = document.createElement('button');
+            button.textContent = `${rating}★`;
+            button.addEventListener('click', () => this.answerOnboarding(rating));
+            container.appendChild(button);
+        });
+        const skip = document.createElement('button');
+        skip.textContent = "Haven't seen it";
+        skip.addEventListener('click', () => {
+            session.skip();
+            this.renderOnboardingQuestion();
+        });
+        container.appendChild(skip);
+    }
+
+    answerOnboarding(rating) {
+        const updated = this.onboarding.answer(rating);
+        this.updateInteractionsList();
+        this.applyOnlineUpdate(this.onboarding.userId, updated);
+        this.renderOnboardingQuestion();
+    }
+
+    // Replays onboarding for held-out users with the simple model and charts
+    // recommendation quality against the number of answers
+    async measureOnboarding() {
+        if (this.trainingData.length < 10) {
+            alert('Need at least 10 interactions to simulate onboarding');
+            return;
+        }
+        if (this.training.busy) return;
+
+        const strategy = document.getElementById('onboardingStrategy').value;
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = `Simulating onboarding (${strategy})...`;
+
+        try {
+            const { rows, convergedAt, questions } = await measureOnboardingConvergence(this, {
+                createModel: () => this.createModel('twotower'),
+                strategy,
+                answers: Number(document.getElementById('onboardingAnswers').value) || 10,
+                users: 30,
+                epochs: 20,
+                seed: this.readSeed(),
+                trainOptions: {
+                    ...this.getTrainingOptions('simple'),
+                    onEpoch: ({ epoch, epochs }) => {
+                        document.getElementById('trainingStatus').textContent =
+                            `Simulating onboarding (${strategy}): training epoch ${epoch + 1}/${epochs}`;
+                    }
+                }
+            });
+            this.displayOnboardingConvergence(rows, convergedAt, questions);
+            this.training.transition('done');
+            document.getElementById('trainingStatus').textContent = `Onboarding simulation (${strategy}) completed.`;
+        } catch (error) {
+            console.error('Onboarding simulation error:', error);
+            this.training.transition('failed');
+            document.getElementById('trainingStatus').textContent = 'Onboarding simulation failed: ' + error.message;
+        }
+    }
+
+    displayOnboardingConvergence(rows, convergedAt, questions) {
+        const format = value => isNaN(value) ? '-' : value.toFixed(4);
+        let html = `<p>${rows[0].users} simulated users; the first questions were ` +
+            `${questions.slice(0, 5).map(movieId => this.formatMovie(movieId)).join('; ')}. ` +
+            `90% of the NDCG gain after ${convergedAt} answer(s).</p>`;
+        html += '<table><tr><th>Answers</th><th>NDCG@10</th><th>Recall@10</th><th>RMSE</th>' +
+            '<th>Most popular NDCG@10</th></tr>';
+        rows.forEach(row => {
+            html += `<tr><td>${row.answers}</td><td>${format(row.ndcg)}</td><td>${format(row.recall)}</td>` +
+                `<td>${format(row.rmse)}</td><td>${format(row.popularNdcg)}</td></tr>`;
+        });
+        document.getElementById('onboardingConvergence').innerHTML = html + '</table>';
     }
 
     updateInteractionsList() {
@@ -123,7 +313,7 @@ class MovieRecommender {
         Array.from(this.userItemInteractions.entries()).slice(0, 20).forEach(([key, rating]) => {
             const [userId, movieId] = key.split('-');
             const li = document.createElement('li');
-            li.textContent = `User ${userId} → ${movieId}: ${rating}★`;
+            li.innerHTML = `User ${userId} → ${this.movieLink(movieId)}: ${rating}★`;
             list.appendChild(li);
         });
 
@@ -142,70 +332,206 @@ class MovieRecommender {
             alert('Need at least 10 interactions to start training');
             return;
         }
+        if (this.training.busy) return;
+        const names = this.selectedModels('trainModelNames');
+        if (names.length === 0) {
+            alert('Please select at least one model to train');
+            return;
+        }
+
+        console.log('Starting model training with:', this.trainingData.length, 'interactions');
+        const trainedCount = this.trainingData.length;
+        const pending = this.pendingInteractions;
+
+        // Hold out a validation split for early stopping when enabled
+        let interactions = this.trainingData;
+        let validation = null;
+        if (document.getElementById('earlyStopping').checked) {
+            ({ train: interactions, validation } = this.holdOutValidation(0.1, this.readSeed()));
+        }
 
-        this.isTraining = true;
-        document.getElementById('trainModels').disabled = true;
-        document.getElementById('trainingStatus').textContent = 'Training both models...';
+        // The selected models train concurrently in workers; the chart
+        // follows their per-epoch reports
+        const curves = names.map(name => ({ name, losses: [], validation: [] }));
+        const progress = new Map(names.map(name => [name, null]));
+        this.trainingJobs = names.map((name, i) => {
+            const job = new TrainingJob(this.createModelFor(name), interactions, 100,
+                { validation, ...this.trainingOptionsFor(name) });
+            job.onProgress = update => {
+                curves[i].losses.push(update.loss);
+                if (update.validationLoss !== null) curves[i].validation.push(update.validationLoss);
+                progress.set(name, update);
+                this.updateTrainingChart(curves);
+                this.showTrainingProgress(progress);
+            };
+            return job;
+        });
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = `Training ${names.length} model(s)...`;
 
         try {
-            console.log('Starting model training with:', this.trainingData.length, 'interactions');
-            
-            // Train both models with proper error handling
-            const twoTowerLoss = await this.twoTowerModel.train(this.trainingData, 100);
-            const mlpLoss = await this.mlpModel.train(this.trainingData, 100);
-            
+            const results = await Promise.all(this.trainingJobs.map(job => job.start()));
+            names.forEach((name, i) => this.models.set(name, results[i].model));
+            this.validation = validation;
+            this.trainingJobs = [];
+            this.markTrained(pending);
+            // Ratings added while the jobs ran are folded into the new models
+            new Set(this.trainingData.slice(trainedCount).map(({ userId }) => userId))
+                .forEach(userId => this.foldIn(userId));
+            this.updateTrainingControls(this.training.state);
+            this.refreshEmbeddingSelects();
+
             // Update the training chart
-            this.updateTrainingChart(twoTowerLoss, mlpLoss);
+            const trained = names.map(name => this.lossCurve(name));
+            this.updateTrainingChart(trained);
             
             // Update loss statistics
-            this.updateLossStatistics(twoTowerLoss, mlpLoss);
+            this.updateLossStatistics(trained);
             
-            // Generate embedding visualization
-            this.generateEmbeddingVisualization();
+            // Project the item embeddings onto the embedding chart
+            await this.drawEmbeddingProjection();
             
+            this.training.transition('done');
+            const seeds = names.map(name => `${getModelDefinition(name).label} ${this.models.get(name).seed}`);
             document.getElementById('trainingStatus').textContent = 
-                `Training completed! Models are ready for testing.`;
+                `Training completed! Models are ready for testing. (seeds: ${seeds.join(', ')})`;
             
         } catch (error) {
-            console.error('Training error:', error);
-            document.getElementById('trainingStatus').textContent = 'Training failed: ' + error.message;
+            // One job failing or being cancelled stops the others
+            this.trainingJobs.forEach(job => job.cancel());
+            if (error.name === 'AbortError') {
+                this.training.transition('idle');
+                document.getElementById('trainingStatus').textContent =
+                    'Training cancelled. The previous models are unchanged.';
+            } else {
+                console.error('Training error:', error);
+                this.training.transition('failed');
+                document.getElementById('trainingStatus').textContent = 'Training failed: ' + error.message;
+            }
         } finally {
-            this.isTraining = false;
-            document.getElementById('trainModels').disabled = false;
+            this.trainingJobs = [];
+            this.updateTrainingControls(this.training.state);
+        }
+    }
+
+    // An untrained registry model; the ensemble takes the blend controls
+    createModelFor(name) {
+        return this.createModel(name, getModelDefinition(name).family === 'ensemble' ? this.readEnsembleOptions() : {});
+    }
+
+    // Training options from the controls of the model's family: the simple
+    // model's for two-tower models, the MLP's for MLPs, each component's own
+    // for the ensemble and the shared ones (feedback, seed, half-life) for
+    // the baselines
+    trainingOptionsFor(name) {
+        const { family } = getModelDefinition(name);
+        if (family === 'ensemble') {
+            return { componentOptions: ['twotower', 'mlp'].map(component => this.trainingOptionsFor(component)) };
+        }
+        if (family === 'mlp') return this.getTrainingOptions('mlp');
+        if (family !== 'twotower') return this.getTrainingOptions();
+
+        const options = this.getTrainingOptions('simple');
+        // ALS does not train item features
+        if (name === 'twotower-features') options.solver = 'sgd';
+        return options;
+    }
+
+    cancelTraining() {
+        if (!this.training.is('training')) return;
+        this.training.transition('cancelling');
+        document.getElementById('trainingStatus').textContent = 'Cancelling training...';
+        this.trainingJobs.forEach(job => job.cancel());
+    }
+
+    updateTrainingControls(state) {
+        const busy = state === 'training' || state === 'cancelling';
+        document.getElementById('trainModels').disabled = busy;
+        document.getElementById('evaluateModels').disabled = busy;
+        document.getElementById('compareSplits').disabled = busy;
+        document.getElementById('runReport').disabled = busy;
+        document.getElementById('loadModels').disabled = busy;
+        document.getElementById('runTuning').disabled = busy;
+        document.getElementById('measureOnboarding').disabled = busy;
+        document.getElementById('cancelTraining').disabled = state !== 'training' || this.trainingJobs.length === 0;
+    }
+
+    // `progress` maps each training model's name to its last epoch report
+    showTrainingProgress(progress) {
+        const describe = (name, update) => {
+            if (!update) return `${name}: starting`;
+            const validation = update.validationLoss !== null ? `, val ${update.validationLoss.toFixed(4)}` : '';
+            return `${name}: epoch ${update.epoch + 1}/${update.epochs}, loss ${update.loss.toFixed(4)}${validation}, ` +
+                `ETA ≤ ${Math.ceil(update.etaMs / 1000)}s`;
+        };
+        if (this.training.is('training')) {
+            document.getElementById('trainingStatus').textContent = Array.from(progress)
+                .map(([name, update]) => describe(getModelDefinition(name).label, update))
+                .join(' · ');
         }
     }
 
+    saveModels() {
+        const trained = this.trainedModels();
+        if (trained.length === 0) {
+            alert('Please train models first before saving');
+            return;
+        }
+
+        trained.forEach(([name, model]) => downloadModel(model, `${name}-model.json`));
+        document.getElementById('trainingStatus').textContent = `Saved ${trained.length} model(s).`;
+    }
+
+    // Each file replaces the current model of the registry name it matches
+    async loadModels(files) {
+        if (!files || files.length === 0) return;
+
+        try {
+            const loaded = [];
+            for (const file of files) {
+                const model = await readModelFile(file);
+                const name = modelNameFor(model.toJSON());
+                if (!name) {
+                    throw new Error(`${file.name} holds a ${model.constructor.name}, which no registered model rebuilds`);
+                }
+                this.models.set(name, model);
+                loaded.push(`${getModelDefinition(name).label} from ${file.name}`);
+            }
+            this.validation = null;
+            this.refreshEmbeddingSelects();
+
+            const curves = Array.from(this.models.keys()).map(name => this.lossCurve(name));
+            this.updateTrainingChart(curves);
+            this.updateLossStatistics(curves.filter(({ losses }) => losses.length > 0));
+            document.getElementById('trainingStatus').textContent = `Loaded ${loaded.join(', ')}.`;
+        } catch (error) {
+            console.error('Model loading error:', error);
+            document.getElementById('trainingStatus').textContent = 'Loading models failed: ' + error.message;
+        } finally {
+            document.getElementById('modelFiles').value = '';
+        }
+    }
+
+    // Training and validation losses of a current model, for the chart
+    lossCurve(name) {
+        const model = this.models.get(name);
+        return { name, losses: model.lossHistory, validation: model.validationLossHistory };
+    }
+
     setupChart() {
         const ctx = document.getElementById('trainingChart').getContext('2d');
         this.trainingChart = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: [],
-                datasets: [
-                    {
-                        label: 'Simple Embedding Model',
-                        borderColor: 'rgb(75, 192, 192)',
-                        backgroundColor: 'rgba(75, 192, 192, 0.1)',
-                        data: [],
-                        tension: 0.4,
-                        borderWidth: 2
-                    },
-                    {
-                        label: 'MLP Deep Learning',
-                        borderColor: 'rgb(255, 99, 132)',
-                        backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                        data: [],
-                        tension: 0.4,
-                        borderWidth: 2
-                    }
-                ]
+                datasets: []
             },
             options: {
                 responsive: true,
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Training Loss Comparison'
+                        text: 'Training and Validation Loss'
                     }
                 },
                 scales: {
@@ -213,7 +539,7 @@ class MovieRecommender {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Mean Squared Error Loss'
+                            text: 'Loss'
                         }
                     },
                     x: {
@@ -227,58 +553,537 @@ class MovieRecommender {
         });
     }
 
-    updateTrainingChart(twoTowerLosses, mlpLosses) {
-        const epochs = Math.max(twoTowerLosses.length, mlpLosses.length);
+    // `curves`: [{ name, losses, validation }]; each model gets a solid
+    // training line and a dashed validation line in its color
+    updateTrainingChart(curves) {
+        const epochs = Math.max(0, ...curves.map(({ losses }) => losses.length));
         this.trainingChart.data.labels = Array.from({length: epochs}, (_, i) => i + 1);
-        this.trainingChart.data.datasets[0].data = twoTowerLosses;
-        this.trainingChart.data.datasets[1].data = mlpLosses;
+        this.trainingChart.data.datasets = curves.flatMap(({ name, losses, validation }, i) => {
+            const color = CHART_COLORS[i % CHART_COLORS.length].join(', ');
+            const label = getModelDefinition(name).label;
+            return [
+                { label, borderColor: `rgb(${color})`, backgroundColor: `rgba(${color}, 0.1)`,
+                    data: losses, tension: 0.4, borderWidth: 2 },
+                { label: `${label} (validation)`, borderColor: `rgb(${color})`, borderDash: [6, 4],
+                    data: validation, tension: 0.4, borderWidth: 2, fill: false }
+            ];
+        });
         this.trainingChart.update();
     }
 
-    updateLossStatistics(twoTowerLosses, mlpLosses) {
-        const simpleMin = Math.min(...twoTowerLosses).toFixed(4);
-        const simpleMax = Math.max(...twoTowerLosses).toFixed(4);
-        const mlpMin = Math.min(...mlpLosses).toFixed(4);
-        const mlpMax = Math.max(...mlpLosses).toFixed(4);
+    updateLossStatistics(curves) {
+        const format = values => {
+            const finite = values.filter(Number.isFinite);
+            return finite.length > 0 ? [Math.min(...finite).toFixed(4), Math.max(...finite).toFixed(4)] : ['-', '-'];
+        };
+        const rows = curves.map(({ name, losses }) => {
+            const [min, max] = format(losses);
+            return `<tr><td>${getModelDefinition(name).label}</td><td>${min}</td><td>${max}</td></tr>`;
+        }).join('');
+        document.getElementById('lossStatistics').innerHTML =
+            `<tr><th>Model</th><th>Min Loss</th><th>Max Loss</th></tr>${rows}`;
+    }
+
+    // Reads the feedback mode selector (explicit ratings or implicit feedback
+    // with a given loss and negative sampler), the recency half-life and, for
+    // `model` 'simple' or 'mlp', that model's optimizer and learning-rate
+    // schedule (and the simple model's solver)
+    getTrainingOptions(model = null) {
+        const options = Recommender.parseFeedbackMode(document.getElementById('feedbackMode').value);
+        options.seed = this.readSeed();
+        const timeDecay = document.getElementById('timeDecay').value.trim();
+        if (timeDecay !== '') options.timeDecay = Number(timeDecay);
+        if (model) {
+            options.optimizer = document.getElementById(`${model}Optimizer`).value;
+            options.schedule = document.getElementById(`${model}Schedule`).value || undefined;
+        }
+        if (model === 'simple') options.solver = document.getElementById('simpleSolver').value;
+        return options;
+    }
+
+    // Blend method and weights of the ensemble (simple model first, MLP second)
+    readEnsembleOptions() {
+        const weight = Math.max(0, Math.min(1, Number(document.getElementById('ensembleWeight').value) || 0));
+        return {
+            method: document.getElementById('ensembleMethod').value,
+            weights: [weight, 1 - weight]
+        };
+    }
+
+    // The seed field, or undefined for a fresh seed on every run
+    readSeed() {
+        const value = document.getElementById('seed').value.trim();
+        return value === '' ? undefined : Number(value);
+    }
+
+    // The models selected for evaluation, as evaluate() takes them: display
+    // name to { create, trainOptions }
+    evaluationEntries() {
+        const entries = {};
+        this.selectedModels('evaluationModels').forEach(name => {
+            const { label, family } = getModelDefinition(name);
+            const title = family === 'ensemble' ? `${label} (${this.readEnsembleOptions().method})` : label;
+            entries[title] = { create: () => this.createModelFor(name), trainOptions: this.trainingOptionsFor(name) };
+        });
+        if (Object.keys(entries).length === 0) {
+            throw new Error('Select at least one model to evaluate');
+        }
+        return entries;
+    }
+
+    async evaluateModels() {
+        if (this.trainingData.length < 10) {
+            alert('Need at least 10 interactions to evaluate');
+            return;
+        }
+
+        if (this.training.busy) return;
+        const mode = document.getElementById('splitMode').value;
+
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = `Evaluating on ${mode} split...`;
+
+        try {
+            const { split, results, k } = await this.evaluate(this.evaluationEntries(), mode,
+                { epochs: 100, k: 10, seed: this.readSeed() });
+
+            console.log(`${mode} split (seed ${split.seed}): ${split.train.length} train, ` +
+                `${split.validation.length} validation, ${split.test.length} test`);
+            this.displayEvaluationResults(results, k);
+            this.training.transition('done');
+            document.getElementById('trainingStatus').textContent = `Evaluation on ${mode} split completed.`;
+        } catch (error) {
+            console.error('Evaluation error:', error);
+            this.training.transition('failed');
+            document.getElementById('trainingStatus').textContent = 'Evaluation failed: ' + error.message;
+        }
+    }
+
+    // Evaluates the selected models on a random and the two temporal splits
+    // with one seed and shows how much each metric moves away from the random split
+    async runSplitComparison() {
+        if (this.trainingData.length < 10) {
+            alert('Need at least 10 interactions to evaluate');
+            return;
+        }
+
+        if (this.training.busy) return;
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = 'Comparing random and temporal splits...';
+
+        try {
+            const { seed, k, rows } = await this.compareSplits(this.evaluationEntries(),
+                ['random', 'temporal-user', 'temporal-global'], { epochs: 100, k: 10, seed: this.readSeed() });
+
+            this.displaySplitComparison(rows, k);
+            this.training.transition('done');
+            document.getElementById('trainingStatus').textContent = `Split comparison completed (seed ${seed}).`;
+        } catch (error) {
+            console.error('Split comparison error:', error);
+            this.training.transition('failed');
+            document.getElementById('trainingStatus').textContent = 'Split comparison failed: ' + error.message;
+        }
+    }
+
+    displaySplitComparison(rows, k) {
+        const value = number => isNaN(number) ? '-' : number.toFixed(4);
+        const change = number => Number.isFinite(number) ? `${number >= 0 ? '+' : ''}${(100 * number).toFixed(1)}%` : '-';
+        const body = rows.map(({ mode, name, split, metrics, change: changes }) => `<tr><td>${mode}</td><td>${name}</td>` +
+            `<td>${split.test.length}</td><td>${value(metrics.rmse)}</td><td>${change(changes.rmse)}</td>` +
+            `<td>${value(metrics.ndcg)}</td><td>${change(changes.ndcg)}</td>` +
+            `<td>${value(metrics.recall)}</td><td>${change(changes.recall)}</td><td>${metrics.users}</td></tr>`
+        ).join('');
+
+        document.getElementById('evaluationResults').innerHTML =
+            `<table><tr><th>Split</th><th>Model</th><th>Test</th><th>RMSE</th><th>vs random</th>` +
+            `<th>NDCG@${k}</th><th>vs random</th><th>R@${k}</th><th>vs random</th><th>Users</th></tr>${body}</table>`;
+    }
+
+    // Beyond-accuracy report of the selected models on the selected split,
+    // once per popularity penalty weight
+    async runBeyondAccuracy() {
+        if (this.trainingData.length < 10) {
+            alert('Need at least 10 interactions to evaluate');
+            return;
+        }
+
+        const penalties = document.getElementById('reportPenalties').value.split(',')
+            .map(value => value.trim()).filter(Boolean).map(Number);
+        if (penalties.length === 0 || penalties.some(penalty => isNaN(penalty) || penalty < 0 || penalty > 1)) {
+            alert('Popularity penalties are comma-separated weights between 0 and 1');
+            return;
+        }
+
+        if (this.training.busy) return;
+        const mode = document.getElementById('splitMode').value;
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = `Running the beyond-accuracy report on the ${mode} split...`;
+
+        try {
+            const { seed, k, rows } = await this.beyondAccuracy(this.evaluationEntries(),
+                { mode, penalties, epochs: 100, k: 10, seed: this.readSeed() });
+
+            this.displayBeyondAccuracy(rows, k);
+            this.updatePopularityChart(rows);
+            this.training.transition('done');
+            document.getElementById('trainingStatus').textContent = `Beyond-accuracy report completed (seed ${seed}).`;
+        } catch (error) {
+            console.error('Beyond-accuracy report error:', error);
+            this.training.transition('failed');
+            document.getElementById('trainingStatus').textContent = 'Beyond-accuracy report failed: ' + error.message;
+        }
+    }
+
+    displayBeyondAccuracy(rows, k) {
+        const value = number => isNaN(number) ? '-' : number.toFixed(4);
+        const percent = number => `${(100 * number).toFixed(1)}%`;
+        const body = rows.map(({ name, penalty, metrics, report }) => `<tr><td>${name}</td><td>${penalty}</td>` +
+            `<td>${value(metrics.ndcg)}</td><td>${value(metrics.recall)}</td><td>${percent(report.coverage)}</td>` +
+            `<td>${value(report.gini)}</td><td>${value(report.genreDiversity)}</td><td>${value(report.embeddingDiversity)}</td>` +
+            `<td>${value(report.novelty)}</td><td>${report.averagePopularity.toFixed(1)}</td></tr>`
+        ).join('');
 
-        document.getElementById('simpleMin').textContent = simpleMin;
-        document.getElementById('simpleMax').textContent = simpleMax;
-        document.getElementById('mlpMin').textContent = mlpMin;
-        document.getElementById('mlpMax').textContent = mlpMax;
+        document.getElementById('beyondAccuracyResults').innerHTML =
+            `<table><tr><th>Model</th><th>Penalty</th><th>NDCG@${k}</th><th>R@${k}</th><th>Coverage</th>` +
+            `<th>Gini</th><th>Genre ILD</th><th>Embedding ILD</th><th>Novelty (bits)</th><th>Avg ratings</th></tr>${body}</table>`;
     }
 
-    generateEmbeddingVisualization() {
-        const embeddings = this.twoTowerModel.getMovieEmbeddings();
-        if (embeddings.length === 0) return;
+    // Share of recommendations per popularity bucket, one line per model and
+    // penalty, against the share of ratings the bucket's movies got
+    updatePopularityChart(rows) {
+        const curve = rows[0].report.popularityCurve;
+        const line = (label, data, color, dash = []) => ({
+            label, data, borderColor: `rgb(${color})`, backgroundColor: `rgba(${color}, 0.1)`,
+            borderDash: dash, tension: 0.2, borderWidth: 2, fill: false
+        });
+        const datasets = [line('Ratings', curve.map(entry => 100 * entry.ratingShare), '0, 0, 0', [6, 4])];
+        rows.forEach(({ name, penalty, report }, i) => {
+            const color = CHART_COLORS[i % CHART_COLORS.length].join(', ');
+            const label = penalty > 0 ? `${name} (penalty ${penalty})` : name;
+            datasets.push(line(label, report.popularityCurve.map(entry => 100 * entry.recommendationShare), color));
+        });
+
+        if (this.popularityChart) this.popularityChart.destroy();
+        this.popularityChart = new Chart(document.getElementById('popularityChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: curve.map(({ minRatings, maxRatings }) => `${minRatings}-${maxRatings}`),
+                datasets
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Popularity Bias'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '% of recommendations'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Ratings per movie (most rated movies first)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    async runTuning() {
+        if (this.trainingData.length < 10) {
+            alert('Need at least 10 interactions to tune');
+            return;
+        }
+        if (this.training.busy) return;
+
+        const model = document.getElementById('tuneModel').value;
+        this.search = new HyperparameterSearch({
+            model,
+            createModel: (name, hyperparameters) => this.createModel(name, hyperparameters),
+            strategy: document.getElementById('tuneStrategy').value,
+            trials: Number(document.getElementById('tuneTrials').value) || 10,
+            epochs: Number(document.getElementById('tuneEpochs').value) || 20,
+            metric: document.getElementById('tuneMetric').value,
+            trainOptions: this.trainingOptionsFor(model),
+            seed: this.readSeed(),
+            onTrial: () => this.renderLeaderboard(),
+            onProgress: (row, progress) => {
+                document.getElementById('trainingStatus').textContent =
+                    `Tuning ${model}: trial ${row.id} of ${this.search.leaderboard.length}, ` +
+                    `epoch ${progress.epoch + 1}/${progress.epochs}, loss ${progress.loss.toFixed(4)}`;
+            }
+        });
+        this.leaderboardSort = { key: 'score', ascending: this.search.lowerIsBetter };
+        document.getElementById('exportBestConfig').disabled = true;
+
+        this.trainingJobs = [this.search];
+        this.training.transition('training');
+        document.getElementById('trainingStatus').textContent = `Tuning ${model}...`;
+
+        try {
+            await this.search.run(this.holdOutValidation(0.1, this.readSeed()), Array.from(this.movieIds));
+            this.training.transition('done');
+            const best = this.search.best;
+            document.getElementById('trainingStatus').textContent = best
+                ? `Search finished. Best ${this.search.metric}: ${best.score.toFixed(4)} (trial ${best.id}).`
+                : 'Search finished without a successful trial.';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.training.transition('idle');
+                document.getElementById('trainingStatus').textContent = 'Search cancelled.';
+            } else {
+                console.error('Tuning error:', error);
+                this.training.transition('failed');
+                document.getElementById('trainingStatus').textContent = 'Search failed: ' + error.message;
+            }
+        } finally {
+            this.trainingJobs = [];
+            this.updateTrainingControls(this.training.state);
+            this.renderLeaderboard();
+        }
+    }
+
+    // Trial table; clicking a column header sorts by it
+    renderLeaderboard() {
+        const search = this.search;
+        if (!search) return;
+        const container = document.getElementById('leaderboard');
+        const keys = Object.keys(search.space);
+        const columns = [
+            ['Trial', 'id'], ['Status', 'status'], [search.metric, 'score'], ['Epochs', 'trainedEpochs'],
+            ['Seconds', 'seconds'], ['Seed', 'seed'], ...keys.map(key => [key, key])
+        ];
+        const { key, ascending } = this.leaderboardSort;
+        const rows = sortLeaderboard(search.leaderboard, key, ascending);
+        const format = value => {
+            if (value === null || value === undefined) return '-';
+            if (Array.isArray(value)) return `[${value.join(', ')}]`;
+            return typeof value === 'number' && !Number.isInteger(value) ? String(Number(value.toPrecision(4))) : String(value);
+        };
+        const best = search.best;
+
+        let html = '<table><tr>';
+        columns.forEach(([label, column]) => {
+            const arrow = column === key ? (ascending ? ' ▲' : ' ▼') : '';
+            html += `<th data-key="${column}" style="cursor: pointer">${label}${arrow}</th>`;
+        });
+        html += '</tr>';
+        rows.forEach(row => {
+            const style = row === best ? ' style="font-weight: bold"' : '';
+            html += `<tr${style}>`;
+            columns.forEach(([, column]) => {
+                const value = column in row ? row[column] : row.config[column];
+                html += `<td>${format(column === 'status' && row.error ? `${value}: ${row.error}` : value)}</td>`;
+            });
+            html += '</tr>';
+        });
+        container.innerHTML = html + '</table>';
 
-        // Simple 2D projection (mock PCA)
-        const projection = embeddings.map(embedding => ({
-            x: embedding.vector[0] * 50 + Math.random() * 20 - 10,
-            y: embedding.vector[1] * 50 + Math.random() * 20 - 10,
-            movieId: embedding.movieId
+        container.querySelectorAll('th').forEach(th => th.addEventListener('click', () => {
+            const column = th.dataset.key;
+            this.leaderboardSort = { key: column, ascending: column === key ? !ascending : true };
+            this.renderLeaderboard();
         }));
+        document.getElementById('exportBestConfig').disabled = !best;
+    }
 
-        const status = document.getElementById('trainingStatus');
-        status.textContent += ` Embedding visualization completed. Showing ${Math.min(projection.length, 500)} items.`;
-        
-        console.log('Item Embeddings Projection (PCA) - Showing 500 items', projection);
+    exportBestConfig() {
+        if (!this.search || !this.search.best) return;
+        this.downloadText(JSON.stringify(this.search.exportBest(), null, 2), 'best-config.json', 'application/json');
+    }
+
+    displayEvaluationResults(results, k) {
+        const columns = [
+            ['RMSE', 'rmse'], ['MAE', 'mae'], [`P@${k}`, 'precision'], [`R@${k}`, 'recall'],
+            [`NDCG@${k}`, 'ndcg'], [`MAP@${k}`, 'map'], [`HR@${k}`, 'hitRate']
+        ];
+
+        const header = columns.map(([label]) => `<th>${label}</th>`).join('');
+        const rows = results.map(({ name, metrics }) => {
+            const cells = columns.map(([, key]) =>
+                `<td>${isNaN(metrics[key]) ? '-' : metrics[key].toFixed(4)}</td>`
+            ).join('');
+            return `<tr><td>${name}</td>${cells}<td>${metrics.users}</td></tr>`;
+        }).join('');
+
+        document.getElementById('evaluationResults').innerHTML =
+            `<table><tr><th>Model</th>${header}<th>Users</th></tr>${rows}</table>`;
+    }
+
+    // The current model picked for projection, or undefined
+    projectionModel() {
+        return this.models.get(document.getElementById('projectionModel').value);
+    }
+
+    // Projects the chosen model's item embeddings to 2-D (PCA or t-SNE) and
+    // draws them colored by each movie's first genre, with the user from
+    // the overlay field marked on top
+    async drawEmbeddingProjection() {
+        const model = this.projectionModel();
+        const embeddings = model ? model.getMovieEmbeddings().filter(({ vector }) => vector) : [];
+        const info = document.getElementById('projectionInfo');
+        if (!model || !model.isTrained || embeddings.length < 3) {
+            info.textContent = 'Train the model first; there are no item embeddings to project.';
+            return;
+        }
+
+        const method = document.getElementById('projectionMethod').value;
+        const vectors = embeddings.map(({ vector }) => vector);
+        const overlayUserId = document.getElementById('overlayUserId').value.trim();
+        const userVector = overlayUserId ? model.getUserVector(overlayUserId) : null;
+
+        let points;
+        let userPoint = null;
+        if (method === 'tsne') {
+            info.textContent = `Running t-SNE on ${vectors.length} items...`;
+            // Let the status render before the synchronous t-SNE run
+            await new Promise(resolve => setTimeout(resolve, 0));
+            points = tsne(vectors).points;
+            if (userVector) userPoint = placeByNeighbors(userVector, vectors, points);
+            info.textContent = `t-SNE of ${vectors.length} item embeddings.`;
+        } else {
+            const result = pca(vectors);
+            points = result.points;
+            if (userVector) userPoint = result.project(userVector);
+            const explained = result.explainedVariance.map(v => (v * 100).toFixed(1) + '%').join(' + ');
+            info.textContent = `PCA of ${vectors.length} item embeddings, explained variance ${explained}.`;
+        }
+        if (overlayUserId && !userVector) {
+            info.textContent += ` User ${overlayUserId} has no embedding in this model.`;
+        }
+
+        const groups = new Map();
+        embeddings.forEach(({ movieId }, i) => {
+            const movie = this.movies.get(movieId);
+            const genre = movie && movie.genres.length > 0 ? movie.genres[0] : 'unknown';
+            if (!groups.has(genre)) groups.set(genre, []);
+            groups.get(genre).push({ x: points[i][0], y: points[i][1], movieId });
+        });
+
+        const datasets = Array.from(groups.entries()).map(([genre, data]) => {
+            const hue = Math.round(GENRES.indexOf(genre) * 360 / GENRES.length);
+            const color = genre === 'unknown' ? 'rgb(150, 150, 150)' : `hsl(${hue}, 70%, 50%)`;
+            return { label: genre, data, backgroundColor: color, pointRadius: 3 };
+        });
+        if (userPoint) {
+            datasets.push({
+                label: `User ${overlayUserId}`,
+                data: [{ x: userPoint[0], y: userPoint[1], userId: overlayUserId }],
+                backgroundColor: 'black',
+                pointStyle: 'star',
+                pointRadius: 12,
+                borderColor: 'black',
+                borderWidth: 2
+            });
+        }
+
+        this.renderEmbeddingChart(datasets, method === 'tsne' ? 't-SNE' : 'PCA');
     }
 
+    renderEmbeddingChart(datasets, methodLabel) {
+        if (this.embeddingChart) this.embeddingChart.destroy();
+        const ctx = document.getElementById('embeddingChart').getContext('2d');
+        this.embeddingChart = new Chart(ctx, {
+            type: 'scatter',
+            data: { datasets },
+            options: {
+                responsive: true,
+                animation: false,
+                plugins: {
+                    title: { display: true, text: `Item Embeddings (${methodLabel})` },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const point = context.raw;
+                                return point.userId ? `User ${point.userId}` : this.formatMovie(point.movieId);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Downloads the chosen model's item embeddings as vectors.tsv and
+    // metadata.tsv for external embedding viewers
+    exportEmbeddings() {
+        const model = this.projectionModel();
+        const embeddings = model ? model.getMovieEmbeddings().filter(({ vector }) => vector) : [];
+        if (embeddings.length === 0) {
+            alert('No item embeddings to export; train the model first');
+            return;
+        }
+
+        const metadata = embeddings.map(({ movieId }) => {
+            const movie = this.movies.get(movieId);
+            return {
+                movieId,
+                title: movie ? movie.title : '',
+                genres: movie ? movie.genres.join('|') : '',
+                year: movie ? movie.year : ''
+            };
+        });
+        this.downloadText(toVectorsTSV(embeddings.map(({ vector }) => vector)), 'vectors.tsv');
+        this.downloadText(toMetadataTSV(metadata, ['movieId', 'title', 'genres', 'year']), 'metadata.tsv');
+    }
+
+    downloadText(text, filename, type = 'text/tab-separated-values') {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Recommendations of every trained model side by side, plus the blend of
+    // the current two-tower and MLP models when "Blend Both Models" is picked
     async testModels() {
-        if (!this.twoTowerModel.isTrained || !this.mlpModel.isTrained) {
+        const trained = this.trainedModels();
+        if (trained.length === 0) {
             alert('Please train models first before testing');
             return;
         }
 
-        const testUserId = 'user2'; // Test with a known user
-        const allMovieIds = Array.from(this.movieIds);
+        const testUserId = document.getElementById('userId').value.trim() || this.userIds.values().next().value;
 
         try {
-            const twoTowerRecs = await this.twoTowerModel.recommend(testUserId, allMovieIds, 5);
-            const mlpRecs = await this.mlpModel.recommend(testUserId, allMovieIds, 5);
+            const rules = this.readRuleOptions();
+            const scoreLabel = (model) => model.feedback === 'implicit' ? 'score' : 'predicted';
+            const container = document.getElementById('modelRecs');
+            container.innerHTML = '';
+            const addList = async (id, model, title, label = scoreLabel(model)) => {
+                const result = await this.recommendFor(model, testUserId, 5, rules);
+                const element = document.createElement('div');
+                element.id = id;
+                container.appendChild(element);
+                this.displayRecommendations(id, result.recommendations, title, label, result.dropped);
+            };
+            for (const [name, model] of trained) {
+                await addList(`${name}Recs`, model, getModelDefinition(name).label);
+            }
 
-            this.displayRecommendations('twoTowerRecs', twoTowerRecs, 'Simple Embedding Model');
-            this.displayRecommendations('mlpRecs', mlpRecs, 'MLP Deep Learning Model');
+            // The blend wraps the trained models, so only its weights or stacker are fit here
+            const twoTower = this.models.get('twotower');
+            const mlp = this.models.get('mlp');
+            if (document.querySelector('input[name="modelType"]:checked').value === 'ensemble' &&
+                twoTower && twoTower.isTrained && mlp && mlp.isTrained) {
+                const options = this.readEnsembleOptions();
+                const ensemble = new EnsembleModel([twoTower, mlp], options).fit(this.trainingData, this.validation);
+                await addList('blendRecs', ensemble, `Blend (${options.method})`,
+                    options.method === 'rrf' ? 'fused rank score' : scoreLabel(ensemble));
+            }
 
             // Show model characteristics
             this.displayModelCharacteristics();
@@ -289,34 +1094,130 @@ class MovieRecommender {
         }
     }
 
-    displayRecommendations(elementId, recommendations, modelName) {
+    displayRecommendations(elementId, recommendations, modelName, scoreLabel = 'predicted', dropped = []) {
         const container = document.getElementById(elementId);
         container.innerHTML = `<h4>${modelName} Recommendations:</h4>`;
         
         if (!recommendations || recommendations.length === 0) {
             container.innerHTML += '<p>No recommendations available</p>';
+            this.displayDroppedItems(container, dropped);
             return;
         }
 
         const list = document.createElement('ul');
         recommendations.forEach(rec => {
             const li = document.createElement('li');
-            li.innerHTML = `<strong>${rec.movieId}</strong>: ${rec.score.toFixed(3)} (predicted)`;
+            const movie = this.movies.get(rec.movieId);
+            const genres = movie && movie.genres.length > 0 ? ` <em>${movie.genres.join(', ')}</em>` : '';
+            li.innerHTML = `<strong>${this.movieLink(rec.movieId)}</strong>${genres}: ${rec.score.toFixed(3)} (${scoreLabel})`;
+            if (rec.explanation) li.innerHTML += this.describeExplanation(rec.explanation);
             list.appendChild(li);
         });
         
         container.appendChild(list);
+        this.displayDroppedItems(container, dropped);
+    }
+
+    // Movie title that opens the movie's similar movies when clicked
+    movieLink(movieId) {
+        const movie = this.movies.get(movieId);
+        return `<a href="#" class="movie-link" data-movie-id="${movieId}">${movie ? movie.title : movieId}</a>`;
+    }
+
+    showSimilarMovies(movieId) {
+        const method = document.getElementById('similarMethod').value;
+        const model = this.models.get(method);
+        const container = document.getElementById('similarMovies');
+        if (method !== 'cooccurrence' && !(model && model.isTrained)) {
+            container.textContent = 'Train the models first, or pick co-occurrence.';
+            return;
+        }
+
+        const minSupport = document.getElementById('similarMinSupport').value.trim();
+        const rules = this.readRuleOptions();
+        let neighbors;
+        try {
+            neighbors = this.similarItems(model, movieId, 10, {
+                method: method === 'cooccurrence' ? 'cooccurrence' : 'embedding',
+                metric: document.getElementById('similarMetric').value,
+                minSupport: minSupport === '' ? undefined : Number(minSupport),
+                includeGenres: rules.includeGenres,
+                excludeGenres: rules.excludeGenres
+            });
+        } catch (error) {
+            container.textContent = error.message;
+            return;
+        }
+
+        container.innerHTML = `<h4>Similar to ${this.movieLink(movieId)}</h4>`;
+        if (neighbors.length === 0) {
+            container.innerHTML += '<p>No similar movies found</p>';
+            return;
+        }
+        const list = document.createElement('ol');
+        neighbors.forEach(({ movieId: other, score, support }) => {
+            const movie = this.movies.get(other);
+            const genres = movie && movie.genres.length > 0 ? ` <em>${movie.genres.join(', ')}</em>` : '';
+            const li = document.createElement('li');
+            li.innerHTML = `${this.movieLink(other)}${genres}: ${score.toFixed(3)} (support ${support})`;
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+    }
+
+    // One line each for the liked movies, shared genres and score breakdown
+    describeExplanation({ becauseYouLiked, sharedGenres, breakdown }) {
+        const lines = [];
+        if (becauseYouLiked.length > 0) {
+            const titles = becauseYouLiked.map(({ movieId, rating }) => {
+                const movie = this.movies.get(movieId);
+                return `${movie ? movie.title : movieId} (${rating}★)`;
+            });
+            lines.push(`Because you liked ${titles.join(', ')}`);
+        }
+        if (sharedGenres.length > 0) {
+            lines.push(`Shares ${sharedGenres.map(({ genre, count }) => `${genre} (${count})`).join(', ')} with movies you liked`);
+        }
+        if (breakdown) {
+            const { globalBias, userBias, itemBias, interaction, score } = breakdown;
+            lines.push(`${score.toFixed(3)} = ${globalBias.toFixed(3)} global + ${userBias.toFixed(3)} user + ` +
+                `${itemBias.toFixed(3)} item + ${interaction.toFixed(3)} interaction`);
+        }
+        return lines.map(line => `<br><small>${line}</small>`).join('');
+    }
+
+    // Per-rule counts, with the individual reasons for items dropped after
+    // ranking (filters usually drop far too many to list)
+    displayDroppedItems(container, dropped) {
+        if (dropped.length === 0) return;
+
+        const counts = Object.entries(summarizeDrops(dropped)).map(([rule, count]) => `${rule}: ${count}`);
+        const details = document.createElement('details');
+        details.innerHTML = `<summary>Dropped ${dropped.length} items (${counts.join(', ')})</summary>`;
+
+        const list = document.createElement('ul');
+        dropped
+            .filter(({ rule }) => rule === 'genre-cap' || rule === 'mmr' || rule === 'popularity-penalty')
+            .forEach(({ movieId, rule, reason }) => {
+                const li = document.createElement('li');
+                li.textContent = `${this.formatMovie(movieId)}: ${reason} (${rule})`;
+                list.appendChild(li);
+            });
+        details.appendChild(list);
+        container.appendChild(details);
     }
 
     displayModelCharacteristics() {
-        const characteristics = `
+        const lines = this.trainedModels().map(([name]) => {
+            const { label, description } = getModelDefinition(name);
+            return `<p><strong>${label}:</strong> ${description}</p>`;
+        }).join('');
+        document.getElementById('modelCharacteristics').innerHTML = `
             <div style="margin-top: 20px; padding: 15px; background: #f5f5f5; border-radius: 8px;">
                 <h4>Model Characteristics:</h4>
-                <p><strong>Simple Embedding Model:</strong> Linear interactions, fast training, good generalization</p>
-                <p><strong>MLP Deep Learning Model:</strong> Non-linear patterns, complex relationships, sophisticated recommendations</p>
+                ${lines}
             </div>
         `;
-        document.getElementById('modelCharacteristics').innerHTML = characteristics;
     }
 }
 
@@ -0,0 +1,501 @@
+// Classic recommenders to judge the two-tower and MLP models against:
+//   GlobalMeanModel   every rating is the mean rating
+//   BiasModel         mean + user bias + item bias, no interaction term
+//   PopularityModel   ranks by number of ratings, predicts the item's
+//                     shrunken mean rating
+//   UserKNNModel      residuals of the most similar users who rated the item
+//   ItemKNNModel      residuals of the user's ratings of the most similar items
+//
+// They take the learned models' train() options (feedback, validation,
+// timeDecay, onEpoch, signal, seed) and fit in one pass, reported as a single
+// epoch; the optimizer settings and `epochs` do not apply. Implicit feedback
+// keeps the same fit but drops the rating loss, and the kNN models compare
+// 0/1 interactions instead of ratings.
+const { TopK } = require('./retrieval.js');
+const { MODEL_FORMAT_VERSION, migrateModelJSON, withRecencyWeights } = require('./two-tower.js');
+
+const SIMILARITIES = ['cosine', 'pearson'];
+
+function clampRating(value) {
+    return Math.max(1, Math.min(5, value));
+}
+
+// Weighted mean rating (see withRecencyWeights()), 3 without ratings
+function meanRating(interactions) {
+    let sum = 0;
+    let total = 0;
+    interactions.forEach(({ rating, weight = 1 }) => {
+        sum += weight * rating;
+        total += weight;
+    });
+    return total > 0 ? sum / total : 3;
+}
+
+class BaselineModel {
+    constructor() {
+        this.feedback = 'explicit';
+        // Recorded for reports only: every fit is deterministic
+        this.seed = null;
+        this.globalMean = 3.0;
+        this.isTrained = false;
+        this.lossHistory = [];
+        this.validationLossHistory = [];
+    }
+
+    async train(interactions, epochs = 1, options = {}) {
+        const { feedback = 'explicit', validation = null, timeDecay = null, onEpoch = null, signal = null, seed = null } = options;
+        if (feedback !== 'explicit' && feedback !== 'implicit') {
+            throw new Error(`Unknown feedback type: ${feedback}`);
+        }
+
+        console.log(`Training ${this.constructor.name}...`);
+        const start = Date.now();
+        this.feedback = feedback;
+        this.seed = seed === undefined ? null : seed;
+        this.fit(withRecencyWeights(interactions, timeDecay));
+        if (signal && signal.aborted) {
+            const error = new Error(`${this.constructor.name} training cancelled`);
+            error.name = 'AbortError';
+            throw error;
+        }
+        this.isTrained = true;
+
+        const explicit = feedback === 'explicit';
+        const loss = explicit ? this.computeLoss(interactions) : NaN;
+        const validationLoss = explicit && validation && validation.length > 0 ? this.computeLoss(validation) : null;
+        this.lossHistory = [loss];
+        this.validationLossHistory = validationLoss === null ? [] : [validationLoss];
+        if (onEpoch) {
+            onEpoch({ epoch: 0, epochs: 1, loss, validationLoss, learningRate: 0, elapsedMs: Date.now() - start, etaMs: 0 });
+        }
+        console.log(`${this.constructor.name} training completed`);
+        return [...this.lossHistory];
+    }
+
+    // Mean squared rating error
+    computeLoss(interactions) {
+        let total = 0;
+        interactions.forEach(({ userId, movieId, rating }) => {
+            const error = this.predict(userId, movieId) - rating;
+            total += error * error;
+        });
+        return total / Math.max(interactions.length, 1);
+    }
+
+    score(userId, movieId) {
+        return this.predict(userId, movieId);
+    }
+
+    async recommend(userId, allMovieIds, topK = 5) {
+        if (!this.isTrained) {
+            throw new Error(`${this.constructor.name} not trained yet`);
+        }
+
+        return allMovieIds
+            .map(movieId => ({ movieId, score: this.score(userId, movieId) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    hyperparameters() {
+        return {};
+    }
+
+    toJSON() {
+        return {
+            type: this.constructor.name,
+            version: MODEL_FORMAT_VERSION,
+            hyperparameters: { ...this.hyperparameters(), feedback: this.feedback, seed: this.seed },
+            parameters: this.isTrained ? this.getParameters() : null,
+            lossHistory: [...this.lossHistory],
+            validationLossHistory: [...this.validationLossHistory],
+            isTrained: this.isTrained
+        };
+    }
+
+    // Counterpart of toJSON() on a model built from the saved hyperparameters
+    restore(data) {
+        this.feedback = data.hyperparameters.feedback;
+        this.seed = data.hyperparameters.seed;
+        this.isTrained = !!data.isTrained;
+        if (this.isTrained) this.setParameters(data.parameters);
+        this.lossHistory = [...(data.lossHistory || [])];
+        this.validationLossHistory = [...(data.validationLossHistory || [])];
+        return this;
+    }
+}
+
+class GlobalMeanModel extends BaselineModel {
+    fit(interactions) {
+        this.globalMean = meanRating(interactions);
+    }
+
+    predict() {
+        return this.globalMean;
+    }
+
+    getParameters() {
+        return { globalMean: this.globalMean };
+    }
+
+    setParameters(parameters) {
+        this.globalMean = parameters.globalMean;
+    }
+
+    static fromJSON(json) {
+        return new GlobalMeanModel().restore(migrateModelJSON(json, 'GlobalMeanModel'));
+    }
+}
+
+// Biases fit by alternating ridge least squares, item biases first. The
+// penalties act as that many pseudo-ratings at the mean, so a movie with a
+// single 5 star rating stays close to average.
+// options: userRegularization (default 15), itemRegularization (default 10),
+// iterations (alternating sweeps, default 10)
+class BiasModel extends BaselineModel {
+    constructor(options = {}) {
+        super();
+        this.userRegularization = options.userRegularization === undefined ? 15 : options.userRegularization;
+        this.itemRegularization = options.itemRegularization === undefined ? 10 : options.itemRegularization;
+        this.iterations = options.iterations || 10;
+        this.userBiases = new Map();
+        this.itemBiases = new Map();
+    }
+
+    fit(interactions) {
+        this.globalMean = meanRating(interactions);
+        this.userBiases = new Map();
+        this.itemBiases = new Map();
+        for (let sweep = 0; sweep < this.iterations; sweep++) {
+            this.itemBiases = this.solveBiases(interactions, 'movieId', this.userBiases, 'userId', this.itemRegularization);
+            this.userBiases = this.solveBiases(interactions, 'userId', this.itemBiases, 'movieId', this.userRegularization);
+        }
+    }
+
+    // Every `key`'s bias with the `otherKey` biases held fixed
+    solveBiases(interactions, key, otherBiases, otherKey, regularization) {
+        const sums = new Map();
+        interactions.forEach(interaction => {
+            const { rating, weight = 1 } = interaction;
+            const residual = rating - this.globalMean - (otherBiases.get(interaction[otherKey]) || 0);
+            const sum = sums.get(interaction[key]) || { residual: 0, weight: 0 };
+            sum.residual += weight * residual;
+            sum.weight += weight;
+            sums.set(interaction[key], sum);
+        });
+        return new Map(Array.from(sums, ([id, sum]) => [id, sum.residual / (regularization + sum.weight)]));
+    }
+
+    // Unclamped mean + user bias + item bias
+    baseline(userId, movieId) {
+        return this.globalMean + (this.userBiases.get(userId) || 0) + (this.itemBiases.get(movieId) || 0);
+    }
+
+    predict(userId, movieId) {
+        return clampRating(this.baseline(userId, movieId));
+    }
+
+    // Implicit models rank by the item bias alone
+    score(userId, movieId) {
+        return this.feedback === 'implicit' ? this.itemBiases.get(movieId) || 0 : this.predict(userId, movieId);
+    }
+
+    // Same parts as TwoTowerModel.explainScore(), without an interaction term
+    explainScore(userId, movieId) {
+        const implicit = this.feedback === 'implicit';
+        const parts = {
+            globalBias: implicit ? 0 : this.globalMean,
+            userBias: implicit ? 0 : this.userBiases.get(userId) || 0,
+            itemBias: this.itemBiases.get(movieId) || 0,
+            interaction: 0
+        };
+        return { ...parts, score: parts.globalBias + parts.userBias + parts.itemBias };
+    }
+
+    hyperparameters() {
+        return {
+            userRegularization: this.userRegularization,
+            itemRegularization: this.itemRegularization,
+            iterations: this.iterations
+        };
+    }
+
+    getParameters() {
+        return {
+            globalMean: this.globalMean,
+            userBiases: Array.from(this.userBiases),
+            itemBiases: Array.from(this.itemBiases)
+        };
+    }
+
+    setParameters(parameters) {
+        this.globalMean = parameters.globalMean;
+        this.userBiases = new Map(parameters.userBiases);
+        this.itemBiases = new Map(parameters.itemBiases);
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'BiasModel');
+        return new BiasModel(data.hyperparameters).restore(data);
+    }
+}
+
+// Most-popular: every user gets the most rated movies (weighted by recency
+// with timeDecay). Predicted ratings are the item's mean, shrunk toward the
+// global mean by `damping` pseudo-ratings (default 10).
+class PopularityModel extends BaselineModel {
+    constructor(options = {}) {
+        super();
+        this.damping = options.damping === undefined ? 10 : options.damping;
+        this.counts = new Map();
+        this.itemMeans = new Map();
+    }
+
+    fit(interactions) {
+        this.globalMean = meanRating(interactions);
+        const sums = new Map();
+        interactions.forEach(({ movieId, rating, weight = 1 }) => {
+            const sum = sums.get(movieId) || { rating: 0, weight: 0 };
+            sum.rating += weight * rating;
+            sum.weight += weight;
+            sums.set(movieId, sum);
+        });
+        this.counts = new Map(Array.from(sums, ([movieId, sum]) => [movieId, sum.weight]));
+        this.itemMeans = new Map(Array.from(sums, ([movieId, sum]) =>
+            [movieId, (sum.rating + this.damping * this.globalMean) / (sum.weight + this.damping)]
+        ));
+    }
+
+    predict(userId, movieId) {
+        return this.itemMeans.has(movieId) ? this.itemMeans.get(movieId) : this.globalMean;
+    }
+
+    score(userId, movieId) {
+        return this.counts.get(movieId) || 0;
+    }
+
+    hyperparameters() {
+        return { damping: this.damping };
+    }
+
+    getParameters() {
+        return {
+            globalMean: this.globalMean,
+            items: Array.from(this.counts, ([movieId, count]) => [movieId, count, this.itemMeans.get(movieId)])
+        };
+    }
+
+    setParameters(parameters) {
+        this.globalMean = parameters.globalMean;
+        this.counts = new Map(parameters.items.map(([movieId, count]) => [movieId, count]));
+        this.itemMeans = new Map(parameters.items.map(([movieId, , mean]) => [movieId, mean]));
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'PopularityModel');
+        return new PopularityModel(data.hyperparameters).restore(data);
+    }
+}
+
+// Neighborhood model over one side of the rating matrix: the rows compared
+// are the items (item-based) or the users (user-based), the columns the
+// other side. A prediction for a user and item takes the `k` rows most
+// similar to the query row among those rated in the query column.
+//   cosine:  over the full rating vectors (0/1 vectors for implicit feedback)
+//   pearson: over the co-rated columns, each rating centered on its row's mean
+// Either is scaled by n / (n + shrinkage) for n co-rated columns, so
+// similarities resting on a handful of common ratings count less. Explicit
+// predictions are the bias model's plus the neighbors' similarity-weighted
+// mean residual from it; implicit scores sum the neighbors' similarities.
+// All row pairs are kept, so memory grows with the square of the rows.
+// Saved models store their ratings and recompute the similarities on load.
+class NeighborhoodModel extends BaselineModel {
+    // options: k (default 40), similarity (default cosine), shrinkage
+    // (default 100), plus the BiasModel options for the baseline
+    constructor(kind, options = {}) {
+        super();
+        this.kind = kind;
+        this.k = options.k || 40;
+        this.similarity = options.similarity || 'cosine';
+        if (!SIMILARITIES.includes(this.similarity)) {
+            throw new Error(`Unknown similarity: ${this.similarity} (expected one of ${SIMILARITIES.join(', ')})`);
+        }
+        this.shrinkage = options.shrinkage === undefined ? 100 : options.shrinkage;
+        this.baseline = new BiasModel(options);
+        this.interactions = [];
+        this.rowIndex = new Map();
+        this.columns = new Map();
+        this.similarities = new Float32Array(0);
+    }
+
+    fit(interactions) {
+        if (this.similarity === 'pearson' && this.feedback === 'implicit') {
+            throw new Error('Pearson similarity needs explicit ratings');
+        }
+        this.interactions = interactions;
+        this.baseline.fit(interactions);
+        this.globalMean = this.baseline.globalMean;
+
+        // The latest rating of each (row, column) pair
+        const rowKey = this.kind === 'item' ? 'movieId' : 'userId';
+        const columnKey = this.kind === 'item' ? 'userId' : 'movieId';
+        this.rowIndex = new Map();
+        const ratings = new Map();
+        interactions.forEach(interaction => {
+            if (!this.rowIndex.has(interaction[rowKey])) this.rowIndex.set(interaction[rowKey], this.rowIndex.size);
+            if (!ratings.has(interaction[columnKey])) ratings.set(interaction[columnKey], new Map());
+            ratings.get(interaction[columnKey]).set(this.rowIndex.get(interaction[rowKey]), interaction);
+        });
+
+        const implicit = this.feedback === 'implicit';
+        this.columns = new Map(Array.from(ratings, ([id, rows]) => {
+            const entries = Array.from(rows.values());
+            return [id, {
+                rows: Int32Array.from(rows.keys()),
+                values: Float64Array.from(entries, ({ rating }) => implicit ? 1 : rating),
+                residuals: Float64Array.from(entries, ({ userId, movieId, rating }) => rating - this.baseline.baseline(userId, movieId))
+            }];
+        }));
+        this.similarities = this.computeSimilarities();
+    }
+
+    // Symmetric row-by-row matrix, 0 on the diagonal and for rows without a
+    // co-rated column
+    computeSimilarities() {
+        const n = this.rowIndex.size;
+        const pearson = this.similarity === 'pearson';
+        const rowMeans = new Float64Array(n);
+        if (pearson) {
+            const counts = new Float64Array(n);
+            this.columns.forEach(({ rows, values }) => rows.forEach((row, p) => {
+                rowMeans[row] += values[p];
+                counts[row]++;
+            }));
+            rowMeans.forEach((sum, row) => { rowMeans[row] = sum / counts[row]; });
+        }
+
+        // dot and counts fill the upper triangle; squares[a * n + b] sums row
+        // a's squared values over the columns it shares with row b
+        const dot = new Float64Array(n * n);
+        const counts = new Int32Array(n * n);
+        const squares = pearson ? new Float64Array(n * n) : null;
+        const norms = new Float64Array(n);
+        this.columns.forEach(({ rows, values }) => {
+            for (let p = 0; p < rows.length; p++) {
+                const a = rows[p];
+                const x = values[p] - rowMeans[a];
+                norms[a] += x * x;
+                for (let q = p + 1; q < rows.length; q++) {
+                    const b = rows[q];
+                    const y = values[q] - rowMeans[b];
+                    const pair = a < b ? a * n + b : b * n + a;
+                    dot[pair] += x * y;
+                    counts[pair]++;
+                    if (pearson) {
+                        squares[a * n + b] += x * x;
+                        squares[b * n + a] += y * y;
+                    }
+                }
+            }
+        });
+
+        const similarities = new Float32Array(n * n);
+        for (let a = 0; a < n; a++) {
+            for (let b = a + 1; b < n; b++) {
+                const count = counts[a * n + b];
+                if (count === 0) continue;
+                const norm = pearson ? Math.sqrt(squares[a * n + b] * squares[b * n + a]) : Math.sqrt(norms[a] * norms[b]);
+                if (norm === 0) continue;
+                const similarity = dot[a * n + b] / norm * count / (count + this.shrinkage);
+                similarities[a * n + b] = similarity;
+                similarities[b * n + a] = similarity;
+            }
+        }
+        return similarities;
+    }
+
+    // The k positively similar rows to `row` rated in `column`, as a TopK of
+    // positions in the column
+    neighbors(row, column) {
+        const n = this.rowIndex.size;
+        const top = new TopK(this.k);
+        for (let p = 0; p < column.rows.length; p++) {
+            const other = column.rows[p];
+            if (other === row) continue;
+            const similarity = this.similarities[row * n + other];
+            if (similarity > 0) top.push(p, similarity);
+        }
+        return top;
+    }
+
+    // [query row index, query column] for a user and item, either missing
+    // when that side was not in the training ratings
+    locate(userId, movieId) {
+        return this.kind === 'item'
+            ? [this.rowIndex.get(movieId), this.columns.get(userId)]
+            : [this.rowIndex.get(userId), this.columns.get(movieId)];
+    }
+
+    predict(userId, movieId) {
+        const baseline = this.baseline.baseline(userId, movieId);
+        const [row, column] = this.locate(userId, movieId);
+        if (row === undefined || !column) return clampRating(baseline);
+
+        const top = this.neighbors(row, column);
+        let weighted = 0;
+        let total = 0;
+        for (let t = 0; t < top.size; t++) {
+            weighted += top.scores[t] * column.residuals[top.items[t]];
+            total += top.scores[t];
+        }
+        return clampRating(total > 0 ? baseline + weighted / total : baseline);
+    }
+
+    score(userId, movieId) {
+        if (this.feedback !== 'implicit') {
+            return this.predict(userId, movieId);
+        }
+        const [row, column] = this.locate(userId, movieId);
+        if (row === undefined || !column) return 0;
+        return this.neighbors(row, column).scores.reduce((a, b) => a + b, 0);
+    }
+
+    hyperparameters() {
+        return { k: this.k, similarity: this.similarity, shrinkage: this.shrinkage, ...this.baseline.hyperparameters() };
+    }
+
+    getParameters() {
+        return {
+            interactions: this.interactions.map(({ userId, movieId, rating, weight = 1 }) => [userId, movieId, rating, weight])
+        };
+    }
+
+    setParameters(parameters) {
+        this.fit(parameters.interactions.map(([userId, movieId, rating, weight]) => ({ userId, movieId, rating, weight })));
+    }
+}
+
+class UserKNNModel extends NeighborhoodModel {
+    constructor(options = {}) {
+        super('user', options);
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'UserKNNModel');
+        return new UserKNNModel(data.hyperparameters).restore(data);
+    }
+}
+
+class ItemKNNModel extends NeighborhoodModel {
+    constructor(options = {}) {
+        super('item', options);
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'ItemKNNModel');
+        return new ItemKNNModel(data.hyperparameters).restore(data);
+    }
+}
+
+// Export for CommonJS
+module.exports = { GlobalMeanModel, BiasModel, PopularityModel, UserKNNModel, ItemKNNModel, SIMILARITIES };
@@ -0,0 +1,83 @@
+// Training throughput benchmark on MovieLens u.data.
+//
+//   node benchmark.js [--epochs 1] [--batch-size 64] [--limit 100000] [--mlp-limit 20000]
+//                     [--baseline path/to/other/two-tower.js]
+//
+// Reports examples/second for both models trained per example (batch size 1)
+// and with mini-batches. --baseline also times another implementation that
+// exposes the same TwoTowerModel/MLPModel train() API, e.g. an older
+// two-tower.js checked out from git history.
+const path = require('path');
+const { MovieLensDataset } = require('./movielens.js');
+const { TwoTowerModel, MLPModel } = require('./two-tower.js');
+
+function parseArgs(argv) {
+    const args = { epochs: 1, batchSize: 64, limit: 100000, mlpLimit: 20000, baseline: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in args)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        args[key] = key === 'baseline' ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    return args;
+}
+
+async function timeTraining(createModel, interactions, epochs, options) {
+    const model = createModel();
+    const log = console.log;
+    console.log = () => {};
+    const start = process.hrtime.bigint();
+    try {
+        await model.train(interactions, epochs, options);
+    } finally {
+        console.log = log;
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return { seconds, examplesPerSecond: (interactions.length * epochs) / seconds };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataset = await MovieLensDataset.load(path.join(__dirname, 'data'));
+    const ratings = dataset.toTrainingData();
+
+    const runs = [];
+    const addRuns = (label, Models) => {
+        runs.push([`${label} TwoTowerModel`, () => new Models.TwoTowerModel(), ratings.slice(0, args.limit)]);
+        runs.push([`${label} MLPModel`, () => new Models.MLPModel(), ratings.slice(0, args.mlpLimit)]);
+    };
+
+    if (args.baseline) {
+        addRuns('baseline', require(path.resolve(args.baseline)));
+    }
+
+    const results = [];
+    for (const [label, createModel, interactions] of runs) {
+        results.push({ label, examples: interactions.length, ...await timeTraining(createModel, interactions, args.epochs) });
+    }
+    for (const batchSize of [1, args.batchSize]) {
+        for (const [name, createModel, interactions] of [
+            ['TwoTowerModel', () => new TwoTowerModel(), ratings.slice(0, args.limit)],
+            ['MLPModel', () => new MLPModel(), ratings.slice(0, args.mlpLimit)]
+        ]) {
+            const timing = await timeTraining(createModel, interactions, args.epochs, { batchSize });
+            results.push({ label: `batch=${batchSize} ${name}`, examples: interactions.length, ...timing });
+        }
+    }
+
+    console.log('\nRun                              Examples    Seconds    Examples/sec');
+    results.forEach(({ label, examples, seconds, examplesPerSecond }) => {
+        console.log(
+            label.padEnd(32) +
+            String(examples * args.epochs).padStart(9) +
+            seconds.toFixed(2).padStart(11) +
+            examplesPerSecond.toFixed(0).padStart(16)
+        );
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,181 @@
+// Beyond-accuracy metrics over the top-K lists a model gives every user:
+// whether it covers the catalog or keeps recommending the same blockbusters.
+//
+//   coverage:           share of the catalog recommended to anyone
+//   gini:               Gini index of exposure (recommendation slots per
+//                       catalog item); 0 is equal exposure, 1 all on one item
+//   genreDiversity:     mean pairwise genre distance (1 - Jaccard) within a list
+//   embeddingDiversity: mean pairwise cosine distance of the model's item
+//                       vectors within a list; NaN without item vectors
+//   novelty:            mean self-information -log2(p) of a recommended
+//                       item, p the share of users who rated it
+//   averagePopularity:  mean number of ratings of a recommended item
+//   popularityCurve:    the catalog cut into equal popularity buckets, most
+//                       rated first, with each bucket's share of the ratings
+//                       and of the recommendations
+const { cosineSimilarity } = require('./recommendation-pipeline.js');
+
+// movieId -> number of ratings in `interactions`
+function ratingCounts(interactions) {
+    const counts = new Map();
+    interactions.forEach(({ movieId }) => counts.set(movieId, (counts.get(movieId) || 0) + 1));
+    return counts;
+}
+
+// Top-K movie IDs for every user in `seen`, ranked among the candidates the
+// user has not seen, through `pipeline` (a RecommendationPipeline) when given.
+// Returns Map userId -> [movieId].
+async function recommendationLists(model, seen, allMovieIds, options = {}) {
+    const { k = 10, pipeline = null, maxUsers = Infinity } = options;
+    const seenByUser = new Map();
+    seen.forEach(({ userId, movieId }) => {
+        if (!seenByUser.has(userId)) seenByUser.set(userId, new Set());
+        seenByUser.get(userId).add(movieId);
+    });
+
+    const lists = new Map();
+    for (const [userId, userSeen] of seenByUser) {
+        if (lists.size >= maxUsers) break;
+        const candidates = allMovieIds.filter(id => !userSeen.has(id));
+        const recommendations = pipeline
+            ? (await pipeline.recommend(model, userId, candidates, k)).recommendations
+            : await model.recommend(userId, candidates, k);
+        lists.set(userId, recommendations.map(rec => rec.movieId));
+    }
+    return lists;
+}
+
+function catalogCoverage(lists, catalog) {
+    if (catalog.length === 0) return 0;
+    const recommended = new Set();
+    lists.forEach(list => list.forEach(movieId => recommended.add(movieId)));
+    return catalog.filter(movieId => recommended.has(movieId)).length / catalog.length;
+}
+
+function giniIndex(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (n === 0 || total === 0) return 0;
+    const weighted = sorted.reduce((sum, value, i) => sum + (2 * (i + 1) - n - 1) * value, 0);
+    return weighted / (n * total);
+}
+
+function genreDistance(a, b) {
+    const genres = new Set(b);
+    const shared = a.filter(genre => genres.has(genre)).length;
+    const union = a.length + b.length - shared;
+    return union > 0 ? 1 - shared / union : 0;
+}
+
+// Mean of distance(a, b) over the pairs in `list`; pairs the distance
+// returns null for are skipped. NaN when no pair counts.
+function intraListDiversity(list, distance) {
+    let sum = 0;
+    let pairs = 0;
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            const value = distance(list[i], list[j]);
+            if (value === null) continue;
+            sum += value;
+            pairs++;
+        }
+    }
+    return pairs > 0 ? sum / pairs : NaN;
+}
+
+// Mean over the lists that have a value
+function meanOf(values) {
+    const defined = values.filter(value => !isNaN(value));
+    return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : NaN;
+}
+
+// counts: movieId -> number of ratings; catalog: the candidate movie IDs
+function popularityBiasCurve(lists, counts, catalog, buckets = 10) {
+    const ranked = [...catalog].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0) || String(a).localeCompare(String(b)));
+    const bucketOf = new Map();
+    ranked.forEach((movieId, i) => bucketOf.set(movieId, Math.floor(i * buckets / ranked.length)));
+
+    const curve = Array.from({ length: Math.min(buckets, ranked.length) }, (_, bucket) => ({
+        bucket: bucket + 1,
+        items: 0,
+        minRatings: Infinity,
+        maxRatings: 0,
+        ratingShare: 0,
+        recommendationShare: 0
+    }));
+    let totalRatings = 0;
+    ranked.forEach(movieId => {
+        const entry = curve[bucketOf.get(movieId)];
+        const count = counts.get(movieId) || 0;
+        entry.items++;
+        entry.minRatings = Math.min(entry.minRatings, count);
+        entry.maxRatings = Math.max(entry.maxRatings, count);
+        entry.ratingShare += count;
+        totalRatings += count;
+    });
+
+    let slots = 0;
+    lists.forEach(list => list.forEach(movieId => {
+        if (!bucketOf.has(movieId)) return;
+        curve[bucketOf.get(movieId)].recommendationShare++;
+        slots++;
+    }));
+    curve.forEach(entry => {
+        entry.ratingShare = totalRatings > 0 ? entry.ratingShare / totalRatings : 0;
+        entry.recommendationShare = slots > 0 ? entry.recommendationShare / slots : 0;
+    });
+    return curve;
+}
+
+// lists: Map userId -> [movieId] (see recommendationLists()). options:
+//   catalog:    movie IDs that could have been recommended
+//   counts:     movieId -> number of ratings, from the training interactions
+//   userCount:  number of users behind the counts
+//   genresOf:   movieId => genres
+//   itemVector: movieId => vector or null, for embeddingDiversity
+//   buckets:    popularity buckets of the curve (default 10)
+function beyondAccuracyReport(lists, options = {}) {
+    const { catalog = [], counts = new Map(), genresOf = () => [], itemVector = () => null, buckets = 10 } = options;
+    const userCount = options.userCount || lists.size;
+
+    const exposure = new Map(catalog.map(movieId => [movieId, 0]));
+    const recommended = [];
+    lists.forEach(list => list.forEach(movieId => {
+        recommended.push(movieId);
+        if (exposure.has(movieId)) exposure.set(movieId, exposure.get(movieId) + 1);
+    }));
+
+    const embeddingDistance = (a, b) => {
+        const vectorA = itemVector(a);
+        const vectorB = itemVector(b);
+        return vectorA && vectorB ? 1 - cosineSimilarity(vectorA, vectorB) : null;
+    };
+    // Add-one smoothing keeps movies nobody rated (cold-start items) finite
+    const selfInformation = movieId => -Math.log2(((counts.get(movieId) || 0) + 1) / (userCount + 1));
+    const listValues = metric => meanOf(Array.from(lists.values(), list => intraListDiversity(list, metric)));
+
+    return {
+        users: lists.size,
+        slots: recommended.length,
+        coverage: catalogCoverage(lists, catalog),
+        gini: giniIndex(Array.from(exposure.values())),
+        genreDiversity: listValues((a, b) => genreDistance(genresOf(a), genresOf(b))),
+        embeddingDiversity: listValues(embeddingDistance),
+        novelty: meanOf(recommended.map(selfInformation)),
+        averagePopularity: meanOf(recommended.map(movieId => counts.get(movieId) || 0)),
+        popularityCurve: popularityBiasCurve(lists, counts, catalog, buckets)
+    };
+}
+
+// Export for CommonJS
+module.exports = {
+    ratingCounts,
+    recommendationLists,
+    catalogCoverage,
+    giniIndex,
+    genreDistance,
+    intraListDiversity,
+    popularityBiasCurve,
+    beyondAccuracyReport
+};
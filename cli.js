@@ -0,0 +1,600 @@
+// Headless train / evaluate / recommend on MovieLens-format data.
+//
+//   node cli.js train --model twotower [--data data] [--out model.json] [--epochs 100]
+//   node cli.js tune --model twotower [--strategy random|grid|halving] [--trials 10]
+//   node cli.js evaluate --model twotower,mlp|baselines|all [--split random,temporal-user]
+//   node cli.js report --model twotower,popular [--penalties 0,0.3,0.6]
+//   node cli.js solvers [--solvers sgd,als] [--epochs 30]
+//   node cli.js onboarding --model twotower [--strategy informative,coverage,popular]
+//   node cli.js recommend --model model.json --user 196 [-k 10]
+//   node cli.js similar --movie 50 [--method embedding|cooccurrence]
+//   node cli.js models
+//
+// node cli.js <command> --help lists every option of a command and what it
+// does. Progress goes to stderr so stdout (--format table|json) stays parseable.
+const fs = require('fs');
+const path = require('path');
+const { Recommender } = require('./recommender.js');
+const { modelNames, getModelDefinition } = require('./model-registry.js');
+const { saveModel, loadModel } = require('./model-io.js');
+const { summarizeDrops } = require('./recommendation-pipeline.js');
+const { TrainingJob } = require('./training-worker.js');
+const { HyperparameterSearch } = require('./tuning.js');
+const { measureOnboardingConvergence } = require('./onboarding.js');
+const { randomSeed } = require('./random.js');
+
+const COMMANDS = {
+    train: { model: null, data: 'data', out: 'model.json', epochs: null, feedback: null,
+        optimizer: null, schedule: null, validation: 0, config: null, seed: null, timeDecay: null,
+        blend: null, weights: null, solver: null, format: 'table' },
+    tune: { model: 'twotower', data: 'data', out: 'best-config.json', strategy: 'random', trials: 10,
+        epochs: 20, eta: 3, metric: 'validationLoss', k: 10, validation: 0.1,
+        feedback: null, optimizer: null, schedule: null, seed: null, timeDecay: null, solver: null, format: 'table' },
+    evaluate: { model: 'twotower', data: 'data', split: 'random', epochs: 100, k: 10,
+        feedback: null, optimizer: null, schedule: null, seed: null, timeDecay: null,
+        blend: null, weights: null, solver: null, format: 'table' },
+    solvers: { data: 'data', solvers: 'sgd,als', epochs: 30, validation: 0.1, feedback: null, timeDecay: null,
+        seed: null, format: 'table' },
+    onboarding: { model: 'twotower', data: 'data', strategy: 'informative', users: 50, answers: 10,
+        questions: 40, epochs: 20, k: 10, seed: null, feedback: null, optimizer: null, schedule: null,
+        format: 'table' },
+    recommend: { model: 'model.json', data: 'data', user: null, k: 10, excludeSeen: 'true',
+        genres: null, excludeGenres: null, yearMin: null, yearMax: null, maxPerGenre: null, mmr: null,
+        popularityPenalty: null, format: 'table' },
+    similar: { model: 'model.json', data: 'data', movie: null, method: 'embedding', metric: 'cosine', k: 10,
+        minSupport: null, genres: null, excludeGenres: null, format: 'table' },
+    report: { model: 'twotower', data: 'data', split: 'random', penalties: '0', buckets: 10, epochs: 100, k: 10,
+        feedback: null, optimizer: null, schedule: null, seed: null, timeDecay: null,
+        blend: null, weights: null, solver: null, format: 'table' },
+    models: { format: 'table' }
+};
+const NUMERIC = ['epochs', 'validation', 'k', 'yearMin', 'yearMax', 'maxPerGenre', 'mmr', 'trials', 'eta', 'seed',
+    'users', 'answers', 'questions', 'minSupport', 'timeDecay', 'popularityPenalty',
+    'buckets'];
+
+// Training options, shown for the commands that take them
+const TRAINING_HELP = [
+    ['feedback', '--feedback explicit|implicit:<bpr|softmax>:<uniform|popularity>\n' +
+        '                       explicit ratings (MSE) or implicit feedback with a loss and negative sampler'],
+    ['optimizer', '--optimizer sgd|momentum|adagrad|adam|adamw'],
+    ['schedule', '--schedule constant|step|cosine|warmup|plateau'],
+    ['solver', '--solver sgd|als     fit two-tower models by SGD or alternating least squares'],
+    ['timeDecay', '--time-decay DAYS    weigh ratings by recency, with that half-life'],
+    ['seed', '--seed N             repeat a run exactly (splits, initialization, shuffling, sampling);\n' +
+        '                       without it a fresh seed is drawn and reported']
+];
+
+const HELP = {
+    train: `node cli.js train --model NAME [--data data] [--out model.json] [--epochs 100]
+                [--validation 0.1] [--config best-config.json] [--blend weighted|stacked|rrf]
+                [--weights 0.5,0.5] [training options]
+
+Trains a registered model (see models) on every rating in a worker thread and
+saves it to --out. --validation holds out that share of the ratings for early
+stopping. --config trains with a configuration written by tune; command-line
+options win. --blend and --weights configure the ensemble. Ctrl-C cancels
+without writing --out.`,
+    tune: `node cli.js tune --model NAME [--strategy random|grid|halving] [--trials 10] [--epochs 20]
+               [--eta 3] [--metric validationLoss|rmse|ndcg|recall|hitRate] [-k 10]
+               [--validation 0.1] [--out best-config.json] [training options]
+
+Searches the model's hyperparameters on a validation split and writes the best
+configuration to --out, for train --config. Ctrl-C stops the search.`,
+    evaluate: `node cli.js evaluate --model NAMES [--split random] [--epochs 100] [-k 10]
+                   [--blend weighted|stacked|rrf] [--weights 0.5,0.5] [training options]
+
+Trains every listed model on the same split and scores it on the held-out
+ratings. --model is a comma-separated list of registered names and saved model
+files; baselines stands for every baseline and all for every registered model.
+A saved model is retrained from its hyperparameters, since it has seen the test
+ratings. --split takes random, leave-last-out, temporal-user, temporal-global
+and cold-start-items; with several, every mode uses the same seed and the table
+shows each metric's change from the first.`,
+    report: `node cli.js report --model NAMES [--penalties 0] [--split random] [--buckets 10]
+                 [--epochs 100] [-k 10] [training options]
+
+Trains the models like evaluate on one split and reports, over every user's top
+K, catalog coverage, the Gini index of exposure, genre and embedding intra-list
+diversity, novelty and the share of recommendations per popularity bucket. Each
+--penalties weight (0 to 1, 0: none) re-ranks with the popularity penalty, so
+the NDCG lost shows next to the coverage gained.`,
+    solvers: `node cli.js solvers [--solvers sgd,als] [--epochs 30] [--validation 0.1] [training options]
+
+Trains a two-tower model with each solver on the same validation split and
+prints their losses epoch by epoch, to compare convergence.`,
+    onboarding: `node cli.js onboarding --model NAME [--strategy informative,coverage,popular] [--users 50]
+                     [--answers 10] [--questions 40] [--epochs 20] [-k 10] [training options]
+
+Simulates new users answering onboarding questions and reports recommendation
+quality after each answer, for every listed strategy on the same users.`,
+    recommend: `node cli.js recommend --model model.json --user ID [-k 10] [--exclude-seen true]
+                    [--genres Comedy,Drama] [--exclude-genres Horror] [--year-min 1990]
+                    [--year-max 1999] [--max-per-genre 2] [--mmr 0.7] [--popularity-penalty 0.3]
+
+Top K for one user from a saved model, with the filter and re-ranking rules
+given and an explanation per movie.`,
+    similar: `node cli.js similar --movie ID [--model model.json] [--method embedding|cooccurrence]
+                  [--metric cosine|dot|jaccard|count] [-k 10] [--min-support 5]
+                  [--genres Comedy,Drama] [--exclude-genres Horror]
+
+Movies most like one movie, by the saved model's item vectors or by
+co-occurrence in the ratings (which needs no model).`,
+    models: `node cli.js models
+
+Lists the registered model names --model accepts.`
+};
+const COMMON_HELP = `Every command but models takes --data, the directory holding u.data and u.item
+(or the u.data file itself), and every command takes --format table|json.`;
+
+function helpText(command) {
+    if (!HELP[command]) {
+        return ['Usage: node cli.js <command> [options]', '',
+            ...Object.values(HELP).map(text => '  ' + text.split('\n')[0]), '',
+            'node cli.js <command> --help explains a command.'].join('\n');
+    }
+    const training = TRAINING_HELP.filter(([key]) => key in COMMANDS[command]).map(([, text]) => '  ' + text);
+    return [HELP[command], ...(training.length > 0 ? [['Training options:', ...training].join('\n')] : []), COMMON_HELP].join('\n\n');
+}
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    if (command === 'help' || command === '--help' || command === '-h') {
+        return { command: 'help', args: { topic: rest[0] || null } };
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Usage: node cli.js <${Object.keys(COMMANDS).join('|')}> [options] (--help for more)`);
+    }
+    if (rest.includes('--help') || rest.includes('-h')) {
+        return { command: 'help', args: { topic: command } };
+    }
+
+    const args = { ...COMMANDS[command] };
+    for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].replace(/^--?/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in args)) {
+            throw new Error(`Unknown option for ${command}: ${rest[i]}`);
+        }
+        if (i + 1 >= rest.length) {
+            throw new Error(`Missing value for ${rest[i]}`);
+        }
+        args[key] = NUMERIC.includes(key) ? Number(rest[i + 1]) : rest[i + 1];
+        if (NUMERIC.includes(key) && isNaN(args[key])) {
+            throw new Error(`${rest[i]} expects a number, got ${rest[i + 1]}`);
+        }
+    }
+    if (args.format !== 'table' && args.format !== 'json') {
+        throw new Error(`Unknown format: ${args.format} (expected table or json)`);
+    }
+    return { command, args };
+}
+
+// u.data and u.item live side by side, so a path to either file means its directory
+function dataDirectory(data) {
+    return fs.existsSync(data) && fs.statSync(data).isFile() ? path.dirname(data) : data;
+}
+
+function trainOptions(args) {
+    const options = args.feedback ? Recommender.parseFeedbackMode(args.feedback) : {};
+    if (args.optimizer) options.optimizer = args.optimizer;
+    if (args.schedule) options.schedule = args.schedule;
+    if (args.timeDecay) options.timeDecay = args.timeDecay;
+    if (args.solver) options.solver = args.solver;
+    return options;
+}
+
+// --blend and --weights configure the ensemble; other models ignore them
+function ensembleHyperparameters(args) {
+    const hyperparameters = {};
+    if (args.blend) hyperparameters.method = args.blend;
+    if (args.weights) hyperparameters.weights = list(args.weights).map(Number);
+    return hyperparameters;
+}
+
+function list(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function output(text) {
+    process.stdout.write(text + '\n');
+}
+
+function formatTable(rows, columns) {
+    const cell = value => typeof value === 'number' && !Number.isInteger(value)
+        ? String(Number(value.toPrecision(4)))
+        : String(value);
+    const widths = columns.map(([label, key]) => Math.max(label.length, ...rows.map(row => cell(row[key]).length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        line(columns.map(([label]) => label)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(([, key]) => cell(row[key]))))
+    ].join('\n');
+}
+
+async function train(recommender, args) {
+    const config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+    const name = args.model || config.model || 'twotower';
+    const epochs = args.epochs || config.epochs || 100;
+    const seed = args.seed !== null ? args.seed : (config.trainOptions || {}).seed;
+    const model = recommender.createModel(name, { ...config.hyperparameters, ...ensembleHyperparameters(args) });
+    let interactions = recommender.trainingData;
+    let validation = null;
+    if (args.validation > 0) {
+        ({ train: interactions, validation } = recommender.holdOutValidation(args.validation, seed));
+    }
+
+    const job = new TrainingJob(model, interactions, epochs,
+        { ...config.trainOptions, validation, seed, ...trainOptions(args) });
+    job.onProgress = ({ epoch, epochs, loss, validationLoss, etaMs }) => {
+        const validationText = validationLoss !== null ? `, validation ${validationLoss.toFixed(4)}` : '';
+        console.error(`epoch ${epoch + 1}/${epochs}: loss ${loss.toFixed(4)}${validationText}, ` +
+            `ETA ${Math.ceil(etaMs / 1000)}s`);
+    };
+    const cancel = () => job.cancel();
+    process.once('SIGINT', cancel);
+    let trained;
+    try {
+        trained = await job.start();
+    } finally {
+        process.removeListener('SIGINT', cancel);
+    }
+    const { losses } = trained;
+    await saveModel(trained.model, args.out);
+
+    const summary = {
+        model: name,
+        out: args.out,
+        interactions: interactions.length,
+        epochs: losses.length,
+        seed: trained.model.seed,
+        finalLoss: losses[losses.length - 1],
+        validationLoss: trained.model.validationLossHistory.length > 0
+            ? Math.min(...trained.model.validationLossHistory)
+            : null
+    };
+    if (args.format === 'json') {
+        output(JSON.stringify(summary, null, 2));
+    } else {
+        output(formatTable([summary], Object.keys(summary).map(key => [key, key])));
+    }
+}
+
+// --model for evaluate and report: registered names, baselines, all or
+// saved model files, as { displayName: { create, trainOptions } }
+async function evaluationModels(recommender, args) {
+    const models = {};
+    const names = list(args.model).flatMap(name => {
+        if (name === 'all') return modelNames();
+        return name === 'baselines' ? modelNames('baseline') : [name];
+    });
+    for (const name of names) {
+        if (modelNames().includes(name)) {
+            models[name] = { create: () => recommender.createModel(name, ensembleHyperparameters(args)), trainOptions: trainOptions(args) };
+            continue;
+        }
+        // Round-trip through the model so older file versions are migrated
+        const json = (await loadModel(name)).toJSON();
+        // Train the copy the way the saved model was trained unless overridden
+        const feedback = json.hyperparameters.feedback || 'explicit';
+        models[name] = {
+            create: () => recommender.createModelLike(json),
+            trainOptions: { feedback, ...trainOptions(args) }
+        };
+    }
+    return models;
+}
+
+async function evaluate(recommender, args) {
+    const models = await evaluationModels(recommender, args);
+    const modes = list(args.split);
+    const { seed, k, rows: compared } = await recommender.compareSplits(models, modes, {
+        epochs: args.epochs,
+        k: args.k,
+        seed: args.seed === null ? undefined : args.seed
+    });
+    const rows = compared.map(({ mode, name, model, losses, split, metrics, change }) => ({
+        model: name,
+        split: mode,
+        train: split.train.length,
+        test: split.test.length,
+        epochs: losses.length,
+        splitSeed: split.seed,
+        trainSeed: model.seed,
+        ...metrics,
+        change
+    }));
+
+    if (args.format === 'json') {
+        output(JSON.stringify(rows, null, 2));
+        return;
+    }
+    const percent = value => Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${(100 * value).toFixed(1)}%` : '-';
+    const changeColumns = modes.length > 1
+        ? [['RMSE change', 'rmseChange'], [`NDCG@${k} change`, 'ndcgChange']]
+        : [];
+    const tableRows = rows.map(row => ({ ...row, rmseChange: percent(row.change.rmse), ndcgChange: percent(row.change.ndcg) }));
+    output(formatTable(tableRows, [
+        ['Model', 'model'], ['Split', 'split'], ['Test', 'test'], ['RMSE', 'rmse'], ['MAE', 'mae'],
+        [`P@${k}`, 'precision'], [`R@${k}`, 'recall'], [`NDCG@${k}`, 'ndcg'],
+        [`MAP@${k}`, 'map'], [`HR@${k}`, 'hitRate'], ['Users', 'users'], ...changeColumns
+    ]));
+    output(`\nSeed: ${seed}`);
+}
+
+async function report(recommender, args) {
+    const penalties = list(args.penalties).map(Number);
+    if (penalties.length === 0 || penalties.some(penalty => isNaN(penalty) || penalty < 0 || penalty > 1)) {
+        throw new Error(`--penalties expects weights between 0 and 1, got ${args.penalties}`);
+    }
+    const { seed, k, split, rows } = await recommender.beyondAccuracy(await evaluationModels(recommender, args), {
+        mode: args.split,
+        penalties,
+        buckets: args.buckets,
+        epochs: args.epochs,
+        k: args.k,
+        seed: args.seed === null ? undefined : args.seed
+    });
+
+    if (args.format === 'json') {
+        output(JSON.stringify({
+            seed,
+            k,
+            split: args.split,
+            rows: rows.map(({ name, penalty, metrics, report: beyond }) => ({ model: name, penalty, metrics, ...beyond }))
+        }, null, 2));
+        return;
+    }
+    output(formatTable(rows.map(({ name, penalty, metrics, report: beyond }) => ({ model: name, penalty, ...metrics, ...beyond })), [
+        ['Model', 'model'], ['Penalty', 'penalty'], [`NDCG@${k}`, 'ndcg'], [`R@${k}`, 'recall'],
+        ['Coverage', 'coverage'], ['Gini', 'gini'], ['Genre ILD', 'genreDiversity'], ['Embedding ILD', 'embeddingDiversity'],
+        ['Novelty', 'novelty'], ['Avg ratings', 'averagePopularity'], ['Users', 'users']
+    ]));
+
+    // Share of recommendations per popularity bucket, against the share of
+    // the ratings the same movies got; an unbiased model follows the ratings row
+    const percent = value => `${(100 * value).toFixed(1)}%`;
+    const curve = rows[0].report.popularityCurve;
+    const bucketColumns = curve.map(({ bucket, minRatings, maxRatings }) => [`${bucket} (${minRatings}-${maxRatings})`, `b${bucket}`]);
+    const curveRow = (model, penalty, key, entries) => {
+        const row = { model, penalty };
+        entries.forEach(entry => { row[`b${entry.bucket}`] = percent(entry[key]); });
+        return row;
+    };
+    output(`\nRecommendations per popularity bucket (most rated first, ratings per movie on ${split.train.length + split.validation.length} train ratings):\n`);
+    output(formatTable([
+        curveRow('(ratings)', '-', 'ratingShare', curve),
+        ...rows.map(({ name, penalty, report: beyond }) => curveRow(name, penalty, 'recommendationShare', beyond.popularityCurve))
+    ], [['Model', 'model'], ['Penalty', 'penalty'], ...bucketColumns]));
+    output(`\nSeed: ${seed}`);
+}
+
+async function tune(recommender, args) {
+    const search = new HyperparameterSearch({
+        model: args.model,
+        createModel: (name, hyperparameters) => recommender.createModel(name, hyperparameters),
+        strategy: args.strategy,
+        trials: args.trials,
+        epochs: args.epochs,
+        eta: args.eta,
+        metric: args.metric,
+        k: args.k,
+        trainOptions: trainOptions(args),
+        seed: args.seed === null ? undefined : args.seed
+    });
+    const cancel = () => search.cancel();
+    process.once('SIGINT', cancel);
+    let ranked;
+    try {
+        const split = recommender.holdOutValidation(args.validation, args.seed === null ? undefined : args.seed);
+        ranked = await search.run(split, Array.from(recommender.movieIds));
+    } finally {
+        process.removeListener('SIGINT', cancel);
+    }
+
+    const best = search.exportBest();
+    fs.writeFileSync(args.out, JSON.stringify(best, null, 2));
+    console.log(`Saved best configuration to ${args.out}`);
+
+    if (args.format === 'json') {
+        output(JSON.stringify({ best, leaderboard: ranked }, null, 2));
+    } else {
+        const keys = Object.keys(search.space);
+        const rows = ranked.map((row, i) => ({ rank: i + 1, ...row, ...row.config, score: row.score === null ? '-' : row.score }));
+        output(formatTable(rows, [
+            ['#', 'rank'], ['Trial', 'id'], ['Status', 'status'], [args.metric, 'score'],
+            ['Epochs', 'trainedEpochs'], ['Seconds', 'seconds'], ['Seed', 'seed'], ...keys.map(key => [key, key])
+        ]));
+    }
+}
+
+async function solvers(recommender, args) {
+    const { seed, runs } = await recommender.compareSolvers(list(args.solvers), {
+        epochs: args.epochs,
+        validationRatio: args.validation,
+        trainOptions: trainOptions(args),
+        seed: args.seed === null ? undefined : args.seed
+    });
+
+    if (args.format === 'json') {
+        output(JSON.stringify({ seed, runs: runs.map(({ model, ...run }) => run) }, null, 2));
+        return;
+    }
+    // One row per epoch, one loss / validation / seconds column group per solver
+    const length = Math.max(...runs.map(run => run.epochs.length));
+    const rows = Array.from({length}, (_, epoch) => {
+        const row = { epoch: epoch + 1 };
+        runs.forEach(({ solver, epochs }) => {
+            const entry = epochs[epoch];
+            row[`${solver}Loss`] = entry ? entry.loss : '-';
+            row[`${solver}Validation`] = entry && entry.validationLoss !== null ? entry.validationLoss : '-';
+            row[`${solver}Seconds`] = entry ? entry.elapsedMs / 1000 : '-';
+        });
+        return row;
+    });
+    output(formatTable(rows, [['Epoch', 'epoch'], ...runs.flatMap(({ solver }) => [
+        [`${solver} loss`, `${solver}Loss`], [`${solver} validation`, `${solver}Validation`], [`${solver} s`, `${solver}Seconds`]
+    ])]));
+    output('');
+    runs.forEach(({ solver, model, epochs, validationRmse }) => {
+        const best = model.validationLossHistory.indexOf(Math.min(...model.validationLossHistory));
+        const rmseText = isNaN(validationRmse) ? '' : `, validation RMSE ${validationRmse.toFixed(4)}`;
+        output(`${solver}: best validation loss at epoch ${best + 1} of ${epochs.length}${rmseText}, ` +
+            `${(epochs[epochs.length - 1].elapsedMs / 1000).toFixed(1)}s in all`);
+    });
+    output(`Seed: ${seed}`);
+}
+
+async function onboarding(recommender, args) {
+    if (!modelNames().includes(args.model)) {
+        throw new Error(`onboarding needs a model name (${modelNames().join(', ')})`);
+    }
+
+    // One seed for all strategies, so they are compared on the same users and model
+    const seed = args.seed !== null ? args.seed : randomSeed();
+    const results = [];
+    for (const strategy of list(args.strategy)) {
+        const result = await measureOnboardingConvergence(recommender, {
+            createModel: () => recommender.createModel(args.model),
+            strategy,
+            trainOptions: trainOptions(args),
+            epochs: args.epochs,
+            users: args.users,
+            answers: args.answers,
+            questions: args.questions,
+            k: args.k,
+            seed
+        });
+        results.push({ strategy, ...result });
+    }
+
+    if (args.format === 'json') {
+        output(JSON.stringify({ model: args.model, seed, results }, null, 2));
+        return;
+    }
+    const rows = results.flatMap(({ strategy, rows: curve }) => curve.map(row => ({ strategy, ...row })));
+    output(formatTable(rows, [
+        ['Strategy', 'strategy'], ['Answers', 'answers'], ['Users', 'users'], [`NDCG@${args.k}`, 'ndcg'],
+        [`R@${args.k}`, 'recall'], ['RMSE', 'rmse'], [`Popular NDCG@${args.k}`, 'popularNdcg']
+    ]));
+    output('');
+    results.forEach(({ strategy, convergedAt }) => output(`${strategy}: 90% of the NDCG gain after ${convergedAt} answer(s)`));
+    output(`Seed: ${seed}`);
+}
+
+async function recommend(recommender, args) {
+    if (!args.user) {
+        throw new Error('recommend needs --user');
+    }
+
+    const model = await loadModel(args.model);
+    const { recommendations, dropped } = await recommender.recommendFor(model, args.user, args.k, {
+        excludeSeen: args.excludeSeen !== 'false',
+        includeGenres: list(args.genres),
+        excludeGenres: list(args.excludeGenres),
+        yearMin: args.yearMin === null ? undefined : args.yearMin,
+        yearMax: args.yearMax === null ? undefined : args.yearMax,
+        maxPerGenre: args.maxPerGenre === null ? undefined : args.maxPerGenre,
+        mmrLambda: args.mmr === null ? undefined : args.mmr,
+        popularityPenalty: args.popularityPenalty === null ? undefined : args.popularityPenalty
+    });
+
+    const title = movieId => recommender.movies.has(movieId) ? recommender.movies.get(movieId).title : movieId;
+    const rows = recommendations.map(({ movieId, score, explanation }, i) => {
+        const movie = recommender.movies.get(movieId);
+        return {
+            rank: i + 1,
+            movieId,
+            title: title(movieId),
+            genres: movie ? movie.genres.join(', ') : '',
+            score,
+            explanation
+        };
+    });
+
+    if (args.format === 'json') {
+        output(JSON.stringify({ userId: args.user, recommendations: rows, dropped: summarizeDrops(dropped) }, null, 2));
+    } else {
+        const tableRows = rows.map(row => ({
+            ...row,
+            because: row.explanation.becauseYouLiked.slice(0, 2).map(({ movieId }) => title(movieId)).join('; ') || '-'
+        }));
+        output(formatTable(tableRows, [
+            ['#', 'rank'], ['Movie', 'movieId'], ['Title', 'title'], ['Genres', 'genres'], ['Score', 'score'],
+            ['Because you liked', 'because']
+        ]));
+        const counts = Object.entries(summarizeDrops(dropped)).map(([rule, count]) => `${rule}: ${count}`);
+        if (counts.length > 0) output(`\nRemoved by rules: ${counts.join(', ')}`);
+    }
+}
+
+async function similar(recommender, args) {
+    if (!args.movie) {
+        throw new Error('similar needs --movie');
+    }
+    if (!recommender.movies.has(args.movie)) {
+        throw new Error(`Unknown movie: ${args.movie}`);
+    }
+
+    // Co-occurrence neighbors come from the ratings alone
+    const model = args.method === 'embedding' ? await loadModel(args.model) : null;
+    const neighbors = recommender.similarItems(model, args.movie, args.k, {
+        method: args.method,
+        metric: args.metric,
+        minSupport: args.minSupport === null ? undefined : args.minSupport,
+        includeGenres: list(args.genres),
+        excludeGenres: list(args.excludeGenres)
+    });
+
+    const rows = neighbors.map(({ movieId, score, support }, i) => {
+        const movie = recommender.movies.get(movieId);
+        return {
+            rank: i + 1,
+            movieId,
+            title: movie ? movie.title : movieId,
+            genres: movie ? movie.genres.join(', ') : '',
+            score,
+            support
+        };
+    });
+
+    if (args.format === 'json') {
+        output(JSON.stringify({ movieId: args.movie, method: args.method, metric: args.metric, similar: rows }, null, 2));
+    } else {
+        output(`Similar to ${recommender.formatMovie(args.movie)} (${args.method}, ${args.metric}):\n`);
+        output(formatTable(rows, [
+            ['#', 'rank'], ['Movie', 'movieId'], ['Title', 'title'], ['Genres', 'genres'], ['Score', 'score'], ['Support', 'support']
+        ]));
+    }
+}
+
+// The model registry: names accepted by --model
+async function models(recommender, args) {
+    const rows = modelNames().map(name => {
+        const { label, family, description } = getModelDefinition(name);
+        return { name, label, family, description };
+    });
+    if (args.format === 'json') {
+        output(JSON.stringify(rows, null, 2));
+    } else {
+        output(formatTable(rows, [['Name', 'name'], ['Model', 'label'], ['Family', 'family'], ['Description', 'description']]));
+    }
+}
+
+async function main() {
+    const { command, args } = parseArgs(process.argv.slice(2));
+    if (command === 'help') {
+        output(helpText(args.topic));
+        return;
+    }
+    // Library progress logging goes to stderr
+    console.log = (...values) => console.error(...values);
+
+    const recommender = new Recommender();
+    if (args.data) await recommender.loadData(dataDirectory(args.data));
+    await { train, evaluate, report, tune, solvers, onboarding, recommend, similar, models }[command](recommender, args);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(error.name === 'AbortError' ? 130 : 1);
+});
@@ -0,0 +1,499 @@
+// Typed-array training engine shared by TwoTowerModel and MLPModel.
+// Parameters live in Float32Array buffers and gradients are accumulated over a
+// mini-batch into preallocated buffers, then applied once per batch. Gradients
+// are summed rather than averaged, so learning rates keep their per-example meaning.
+const { createRandom } = require('./random.js');
+
+// The L2 coefficient to add to a gradient: 0 under an optimizer that decays
+// the parameters itself (AdamW), since the decay would otherwise apply twice
+function gradientRegularization(regularization, optimizer = null) {
+    return optimizer && optimizer.decoupledDecay ? 0 : regularization;
+}
+
+// Map-compatible table of embedding rows stored in one growable Float32Array.
+// get() returns a view into the buffer; views go stale when the table grows,
+// so hot loops should work with rowOf()/offsetOf() and `data` directly.
+class EmbeddingTable {
+    constructor(dim, initialCapacity = 64) {
+        this.dim = dim;
+        this.ids = [];
+        this.index = new Map();
+        this.data = new Float32Array(initialCapacity * dim);
+        this.gradient = new Float32Array(initialCapacity * dim);
+        this.touched = new Uint8Array(initialCapacity);
+        this.touchedRows = [];
+        this.slots = [];
+        this.slotOwner = null;
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    get capacity() {
+        return this.touched.length;
+    }
+
+    grow(minRows) {
+        const rows = Math.max(minRows, this.capacity * 2);
+        const data = new Float32Array(rows * this.dim);
+        const gradient = new Float32Array(rows * this.dim);
+        const touched = new Uint8Array(rows);
+        data.set(this.data);
+        gradient.set(this.gradient);
+        touched.set(this.touched);
+        this.data = data;
+        this.gradient = gradient;
+        this.touched = touched;
+        this.slots = this.slots.map(slot => {
+            const grown = new Float32Array(rows * this.dim);
+            grown.set(slot);
+            return grown;
+        });
+    }
+
+    add(id, values = null) {
+        let row = this.index.get(id);
+        if (row === undefined) {
+            row = this.ids.length;
+            if (row >= this.capacity) this.grow(row + 1);
+            this.ids.push(id);
+            this.index.set(id, row);
+        }
+        if (values) this.writeRow(row, values);
+        return row;
+    }
+
+    writeRow(row, values) {
+        const offset = row * this.dim;
+        for (let i = 0; i < this.dim; i++) {
+            this.data[offset + i] = values[i];
+        }
+    }
+
+    rowOf(id) {
+        const row = this.index.get(id);
+        return row === undefined ? -1 : row;
+    }
+
+    offsetOf(id) {
+        const row = this.index.get(id);
+        return row === undefined ? -1 : row * this.dim;
+    }
+
+    has(id) {
+        return this.index.has(id);
+    }
+
+    get(id) {
+        const row = this.index.get(id);
+        if (row === undefined) return undefined;
+        return this.data.subarray(row * this.dim, (row + 1) * this.dim);
+    }
+
+    set(id, values) {
+        this.add(id, values);
+        return this;
+    }
+
+    keys() {
+        return this.ids[Symbol.iterator]();
+    }
+
+    *entries() {
+        for (const id of this.ids) {
+            yield [id, this.get(id)];
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    forEach(callback) {
+        this.ids.forEach(id => callback(this.get(id), id, this));
+    }
+
+    clear() {
+        this.ids = [];
+        this.index.clear();
+        this.data.fill(0);
+        this.gradient.fill(0);
+        this.touched.fill(0);
+        this.touchedRows = [];
+        this.slots = [];
+        this.slotOwner = null;
+    }
+
+    markTouched(row) {
+        if (!this.touched[row]) {
+            this.touched[row] = 1;
+            this.touchedRows.push(row);
+        }
+    }
+
+    // gradient[row] += coefficient * source[sourceOffset..] + regularization * row;
+    // callers pass gradientRegularization() so AdamW gets no L2 term
+    accumulate(row, coefficient, source, sourceOffset = 0, regularization = 0) {
+        const offset = row * this.dim;
+        for (let i = 0; i < this.dim; i++) {
+            this.gradient[offset + i] += coefficient * source[sourceOffset + i] + regularization * this.data[offset + i];
+        }
+        this.markTouched(row);
+    }
+
+    // Optimizer state buffers laid out like `data`; reset when the optimizer changes
+    slotsFor(optimizer) {
+        if (this.slotOwner !== optimizer) {
+            this.slotOwner = optimizer;
+            this.slots = Array.from({length: optimizer.slotCount}, () => new Float32Array(this.data.length));
+        }
+        return this.slots;
+    }
+
+    // Plain SGD without an optimizer; otherwise only the touched rows are
+    // updated, so untouched rows keep their optimizer state as well
+    applyGradients(learningRate, optimizer = null) {
+        if (optimizer && optimizer.plain) optimizer = null;
+        const slots = optimizer ? this.slotsFor(optimizer) : null;
+        for (const row of this.touchedRows) {
+            const offset = row * this.dim;
+            if (optimizer) {
+                optimizer.update(this.data, this.gradient, slots, offset, offset + this.dim, learningRate);
+            } else {
+                for (let i = 0; i < this.dim; i++) {
+                    this.data[offset + i] -= learningRate * this.gradient[offset + i];
+                    this.gradient[offset + i] = 0;
+                }
+            }
+            this.touched[row] = 0;
+        }
+        this.touchedRows = [];
+    }
+
+    // Copy of the parameters, for restoring the best epoch after early stopping
+    snapshot() {
+        return { ids: [...this.ids], data: this.data.slice(0, this.ids.length * this.dim) };
+    }
+
+    restore(snapshot) {
+        this.clear();
+        snapshot.ids.forEach(id => this.add(id));
+        this.data.set(snapshot.data);
+    }
+}
+
+// Scalar-per-ID variant used for biases; get() returns the number itself
+class BiasTable extends EmbeddingTable {
+    constructor(initialCapacity = 64) {
+        super(1, initialCapacity);
+    }
+
+    get(id) {
+        const row = this.index.get(id);
+        return row === undefined ? undefined : this.data[row];
+    }
+
+    set(id, value) {
+        const row = this.add(id);
+        this.data[row] = value;
+        return this;
+    }
+
+    accumulateValue(row, value) {
+        this.gradient[row] += value;
+        this.markTouched(row);
+    }
+}
+
+// Fully connected ReLU network with a linear output layer. The output layer
+// can read `extraDim` additional inputs (e.g. a GMF branch) that the caller
+// writes next to the last hidden layer's activations before forward().
+// `random` drives the initialization and the dropout masks.
+class DenseNetwork {
+    constructor(dimensions, options = {}) {
+        this.dimensions = dimensions;
+        this.extraDim = options.extraDim || 0;
+        this.random = options.random || createRandom();
+        this.layers = [];
+        this.batchCapacity = 0;
+        this.slotOwner = null;
+
+        const layerCount = dimensions.length - 1;
+        for (let l = 0; l < layerCount; l++) {
+            const inputSize = this.layerInputSize(l);
+            const outputSize = dimensions[l + 1];
+            const weights = new Float32Array(outputSize * inputSize);
+
+            // He initialization for ReLU
+            const scale = Math.sqrt(2.0 / inputSize);
+            for (let i = 0; i < weights.length; i++) {
+                weights[i] = (this.random() - 0.5) * 2 * scale;
+            }
+
+            this.layers.push({
+                inputSize,
+                outputSize,
+                weights,
+                biases: new Float32Array(outputSize),
+                weightGradients: new Float32Array(outputSize * inputSize),
+                biasGradients: new Float32Array(outputSize)
+            });
+        }
+    }
+
+    layerInputSize(l) {
+        return this.dimensions[l] + (l === this.dimensions.length - 2 ? this.extraDim : 0);
+    }
+
+    // Width of activation buffer l (the input of layer l, or the network output)
+    activationWidth(l) {
+        return l < this.layers.length ? this.layerInputSize(l) : this.dimensions[l];
+    }
+
+    ensureWorkspace(batchSize) {
+        if (batchSize <= this.batchCapacity) return;
+
+        const capacity = Math.max(batchSize, this.batchCapacity * 2);
+        this.activations = [];
+        this.deltas = [];
+        for (let l = 0; l <= this.layers.length; l++) {
+            this.activations.push(new Float32Array(capacity * this.activationWidth(l)));
+            this.deltas.push(new Float32Array(capacity * this.activationWidth(l)));
+        }
+        this.preActivations = this.layers.map(layer => new Float32Array(capacity * layer.outputSize));
+        this.masks = this.layers.map(layer => new Float32Array(capacity * layer.outputSize));
+        this.batchCapacity = capacity;
+    }
+
+    get input() {
+        return this.activations[0];
+    }
+
+    get output() {
+        return this.activations[this.layers.length];
+    }
+
+    get inputGradient() {
+        return this.deltas[0];
+    }
+
+    // Buffer and row layout for the extra output-layer inputs
+    get extraActivations() {
+        return this.activations[this.layers.length - 1];
+    }
+
+    get extraGradients() {
+        return this.deltas[this.layers.length - 1];
+    }
+
+    extraOffset(b) {
+        const l = this.layers.length - 1;
+        return b * this.activationWidth(l) + this.dimensions[l];
+    }
+
+    forward(batchSize, training = false, dropoutRate = 0) {
+        const last = this.layers.length - 1;
+
+        for (let l = 0; l <= last; l++) {
+            const { inputSize, outputSize, weights, biases } = this.layers[l];
+            const input = this.activations[l];
+            const output = this.activations[l + 1];
+            const outputWidth = this.activationWidth(l + 1);
+            const pre = this.preActivations[l];
+            const mask = this.masks[l];
+
+            for (let b = 0; b < batchSize; b++) {
+                const inputOffset = b * inputSize;
+                for (let o = 0; o < outputSize; o++) {
+                    let sum = biases[o];
+                    const weightOffset = o * inputSize;
+                    for (let k = 0; k < inputSize; k++) {
+                        sum += weights[weightOffset + k] * input[inputOffset + k];
+                    }
+                    pre[b * outputSize + o] = sum;
+
+                    if (l < last) {
+                        // ReLU, then dropout during training
+                        let activation = sum > 0 ? sum : 0;
+                        if (training && dropoutRate > 0) {
+                            const keep = this.random() > dropoutRate ? 1 : 0;
+                            mask[b * outputSize + o] = keep;
+                            activation *= keep;
+                        } else {
+                            mask[b * outputSize + o] = 1;
+                        }
+                        output[b * outputWidth + o] = activation;
+                    } else {
+                        output[b * outputWidth + o] = sum;
+                    }
+                }
+            }
+        }
+
+        return this.output;
+    }
+
+    // Accumulates parameter gradients for the batch and leaves the gradient
+    // w.r.t. every activation buffer (including the input) in `deltas`.
+    backward(batchSize, outputGradients) {
+        const last = this.layers.length - 1;
+        const outputDelta = this.deltas[last + 1];
+        for (let i = 0; i < batchSize * this.dimensions[last + 1]; i++) {
+            outputDelta[i] = outputGradients[i];
+        }
+
+        for (let l = last; l >= 0; l--) {
+            const { inputSize, outputSize, weights, weightGradients, biasGradients } = this.layers[l];
+            const input = this.activations[l];
+            const delta = this.deltas[l + 1];
+            const deltaWidth = this.activationWidth(l + 1);
+            const inputDelta = this.deltas[l];
+            inputDelta.fill(0, 0, batchSize * inputSize);
+
+            for (let b = 0; b < batchSize; b++) {
+                const inputOffset = b * inputSize;
+                for (let o = 0; o < outputSize; o++) {
+                    const d = delta[b * deltaWidth + o];
+                    if (d === 0) continue;
+                    const weightOffset = o * inputSize;
+                    for (let k = 0; k < inputSize; k++) {
+                        weightGradients[weightOffset + k] += d * input[inputOffset + k];
+                        inputDelta[inputOffset + k] += d * weights[weightOffset + k];
+                    }
+                    biasGradients[o] += d;
+                }
+            }
+
+            // Hidden activations went through ReLU (leaky derivative) and dropout;
+            // the extra inputs of the output layer did not
+            if (l > 0) {
+                const hiddenSize = this.dimensions[l];
+                const pre = this.preActivations[l - 1];
+                const mask = this.masks[l - 1];
+                for (let b = 0; b < batchSize; b++) {
+                    for (let k = 0; k < hiddenSize; k++) {
+                        const derivative = pre[b * hiddenSize + k] > 0 ? 1 : 0.01;
+                        inputDelta[b * inputSize + k] *= derivative * mask[b * hiddenSize + k];
+                    }
+                }
+            }
+        }
+    }
+
+    // L2 regularization is applied once per example in the batch (`count`),
+    // as a term of the gradient: plain SGD (without an optimizer), momentum,
+    // AdaGrad and Adam see it like the loss gradient. AdamW gets no L2 term,
+    // since it decays the weights itself (decoupled weight decay).
+    applyGradients(learningRate, regularization = 0, count = 1, optimizer = null) {
+        const decay = gradientRegularization(regularization, optimizer) * count;
+        if (optimizer && optimizer.plain) optimizer = null;
+        if (optimizer && this.slotOwner !== optimizer) {
+            this.slotOwner = optimizer;
+            for (const layer of this.layers) {
+                layer.weightSlots = Array.from({length: optimizer.slotCount}, () => new Float32Array(layer.weights.length));
+                layer.biasSlots = Array.from({length: optimizer.slotCount}, () => new Float32Array(layer.biases.length));
+            }
+        }
+
+        for (const layer of this.layers) {
+            const { weights, biases, weightGradients, biasGradients } = layer;
+            if (optimizer) {
+                for (let i = 0; i < weights.length; i++) {
+                    weightGradients[i] += decay * weights[i];
+                }
+                optimizer.update(weights, weightGradients, layer.weightSlots, 0, weights.length, learningRate);
+                optimizer.update(biases, biasGradients, layer.biasSlots, 0, biases.length, learningRate);
+                continue;
+            }
+            for (let i = 0; i < weights.length; i++) {
+                weights[i] -= learningRate * (weightGradients[i] + decay * weights[i]);
+                weightGradients[i] = 0;
+            }
+            for (let i = 0; i < biases.length; i++) {
+                biases[i] -= learningRate * biasGradients[i];
+                biasGradients[i] = 0;
+            }
+        }
+    }
+
+    // Discards accumulated parameter gradients, for backward passes that only
+    // want the input gradient (the network stays frozen)
+    clearGradients() {
+        for (const layer of this.layers) {
+            layer.weightGradients.fill(0);
+            layer.biasGradients.fill(0);
+        }
+    }
+
+    snapshot() {
+        return this.layers.map(({ weights, biases }) => ({ weights: weights.slice(), biases: biases.slice() }));
+    }
+
+    restore(snapshot) {
+        this.layers.forEach((layer, l) => {
+            layer.weights.set(snapshot[l].weights);
+            layer.biases.set(snapshot[l].biases);
+        });
+    }
+
+    // Nested [layer][output][input] arrays, the layout used in saved models
+    getWeights() {
+        return this.layers.map(({ inputSize, outputSize, weights }) =>
+            Array.from({length: outputSize}, (_, o) => Array.from(weights.subarray(o * inputSize, (o + 1) * inputSize)))
+        );
+    }
+
+    getBiases() {
+        return this.layers.map(({ biases }) => Array.from(biases));
+    }
+
+    setParameters(weights, biases) {
+        if (weights.length !== this.layers.length) {
+            throw new Error(`Invalid model file: expected ${this.layers.length} layers but found ${weights.length}`);
+        }
+        this.layers.forEach((layer, l) => {
+            if (weights[l].length !== layer.outputSize || weights[l][0].length !== layer.inputSize) {
+                throw new Error(`Invalid model file: layer ${l} should be ${layer.outputSize}x${layer.inputSize}`);
+            }
+            weights[l].forEach((row, o) => layer.weights.set(row, o * layer.inputSize));
+            layer.biases.set(biases[l]);
+        });
+    }
+}
+
+// Solves A x = b for a symmetric positive definite `matrix` (array of rows)
+// by Cholesky decomposition; used for closed-form least-squares updates
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const lower = Array.from({length: n}, () => new Float64Array(n));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+            if (i === j) {
+                if (sum <= 0) throw new Error('Matrix is not positive definite');
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+
+    // Forward substitution for L y = b, then back substitution for Lᵀ x = y
+    const x = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = vector[i];
+        for (let k = 0; k < i; k++) sum -= lower[i][k] * x[k];
+        x[i] = sum / lower[i][i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = x[i];
+        for (let k = i + 1; k < n; k++) sum -= lower[k][i] * x[k];
+        x[i] = sum / lower[i][i];
+    }
+    return Array.from(x);
+}
+
+// Export for CommonJS
+module.exports = { EmbeddingTable, BiasTable, DenseNetwork, solveLinearSystem, gradientRegularization };
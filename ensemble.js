@@ -0,0 +1,303 @@
+// Hybrid of several models (by default the two-tower and the MLP) behind
+// the same train / predict / recommend interface, so it trains in a
+// TrainingJob, evaluates next to its components and saves like any model.
+//
+// Blend methods:
+//   weighted  fixed weights over the components' scores
+//   stacked   a linear model over the components' scores, fit by ridge
+//             least squares on the validation split
+//   rrf       reciprocal-rank fusion: sum of weight / (rrfK + rank) over
+//             each component's top `depth` list
+//
+// Explicit models blend predicted ratings. Implicit scores have no common
+// scale, so each component's is standardized first (see fit()).
+const { TwoTowerModel, MLPModel, MODEL_FORMAT_VERSION, migrateModelJSON } = require('./two-tower.js');
+const { GlobalMeanModel, BiasModel, PopularityModel, UserKNNModel, ItemKNNModel } = require('./baselines.js');
+const { solveLinearSystem } = require('./engine.js');
+const { splitInteractions } = require('./evaluation.js');
+const { createRandom } = require('./random.js');
+
+const ENSEMBLE_METHODS = ['weighted', 'stacked', 'rrf'];
+const COMPONENT_TYPES = { TwoTowerModel, MLPModel, GlobalMeanModel, BiasModel, PopularityModel, UserKNNModel, ItemKNNModel };
+
+// Mean per epoch of the curves that have values; curves that stopped early
+// keep their last value
+function meanCurve(curves) {
+    const filled = curves.filter(curve => curve.length > 0);
+    const length = Math.max(0, ...filled.map(curve => curve.length));
+    return Array.from({length}, (_, epoch) =>
+        filled.reduce((sum, curve) => sum + curve[Math.min(epoch, curve.length - 1)], 0) / filled.length
+    );
+}
+
+class EnsembleModel {
+    // options: method, weights (one per component, default equal), rrfK
+    // (default 60), depth (list length per component for rrf and for
+    // candidate generation, default 100), regularization (stacker ridge
+    // penalty), stackRatio (share of the ratings held out to fit the stacker
+    // when train() gets no validation split)
+    constructor(components = [new TwoTowerModel(), new MLPModel()], options = {}) {
+        if (components.length === 0) {
+            throw new Error('An ensemble needs at least one component model');
+        }
+        this.method = options.method || 'weighted';
+        if (!ENSEMBLE_METHODS.includes(this.method)) {
+            throw new Error(`Unknown ensemble method: ${this.method} (expected one of ${ENSEMBLE_METHODS.join(', ')})`);
+        }
+        this.weights = options.weights || components.map(() => 1);
+        if (this.weights.length !== components.length) {
+            throw new Error(`Expected ${components.length} ensemble weights, got ${this.weights.length}`);
+        }
+        this.components = components;
+        this.rrfK = options.rrfK || 60;
+        this.depth = options.depth || 100;
+        this.regularization = options.regularization === undefined ? 0.01 : options.regularization;
+        this.stackRatio = options.stackRatio || 0.1;
+
+        this.feedback = 'explicit';
+        // Per-component { mean, std } of implicit scores
+        this.normalization = components.map(() => ({ mean: 0, std: 1 }));
+        // Stacked blend: { intercept, coefficients }
+        this.stacker = null;
+        this.seed = null;
+        this.isTrained = false;
+        // Mean of the components' curves per epoch (see train()), for loss
+        // charts only: the components' losses need not share units (rating
+        // MSE, logistic loss, ...). Each component keeps its own curves.
+        this.lossHistory = [];
+        this.validationLossHistory = [];
+    }
+
+    // Trains every component on `interactions` with the same options (plus
+    // options.componentOptions[i] for component i), then fits the blend.
+    // The stacker is fit on options.validation, or on `stackRatio` of the
+    // ratings held out from the components when there is none. Returns the
+    // components' mean training loss per epoch, also kept in lossHistory next
+    // to their mean validation loss in validationLossHistory.
+    async train(interactions, epochs = 100, options = {}) {
+        const { componentOptions = [], onEpoch = null, ...shared } = options;
+        const random = createRandom(shared.seed);
+        this.seed = random.seed;
+
+        let train = interactions;
+        let validation = shared.validation || null;
+        if (this.method === 'stacked' && !(validation && validation.length > 0)) {
+            ({ train, validation } = splitInteractions(interactions, {
+                validationRatio: this.stackRatio, testRatio: 0, seed: this.seed
+            }));
+        }
+
+        console.log(`Training ensemble of ${this.components.length} models (${this.method})...`);
+        const curves = [];
+        for (let i = 0; i < this.components.length; i++) {
+            curves.push(await this.components[i].train(train, epochs, {
+                ...shared,
+                ...componentOptions[i],
+                seed: this.seed,
+                validation: shared.validation || null,
+                onEpoch: onEpoch && (progress => onEpoch({
+                    ...progress,
+                    epoch: i * epochs + progress.epoch,
+                    epochs: this.components.length * epochs
+                }))
+            }));
+        }
+
+        this.fit(train, validation, random);
+        console.log('Ensemble training completed');
+
+        this.lossHistory = meanCurve(curves);
+        this.validationLossHistory = meanCurve(this.components.map(component => component.validationLossHistory || []));
+        return this.lossHistory;
+    }
+
+    // Fits the blend over already trained components: the implicit score
+    // normalization (mean and spread of each component's scores over random
+    // user-item pairs from `interactions`) and, for the stacked method, the
+    // stacker on `validation` (a sample of `interactions` when missing,
+    // which favors whichever component overfits most)
+    fit(interactions, validation = null, random = createRandom(this.seed)) {
+        if (this.components.some(component => !component.isTrained)) {
+            throw new Error('Every ensemble component must be trained before fitting the blend');
+        }
+        const feedbacks = new Set(this.components.map(component => component.feedback));
+        if (feedbacks.size > 1) {
+            throw new Error('Ensemble components must all be trained on the same feedback type');
+        }
+        this.feedback = this.components[0].feedback;
+        if (this.seed === null) this.seed = random.seed;
+
+        const userIds = [...new Set(interactions.map(i => i.userId))];
+        const movieIds = [...new Set(interactions.map(i => i.movieId))];
+        const pick = values => values[Math.floor(random() * values.length)];
+        if (this.feedback === 'implicit') {
+            const pairs = Array.from({length: 1000}, () => [pick(userIds), pick(movieIds)]);
+            this.normalization = this.components.map(component => {
+                const scores = pairs.map(([userId, movieId]) => component.score(userId, movieId));
+                const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+                const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+                return { mean, std: Math.sqrt(variance) || 1 };
+            });
+        }
+
+        this.stacker = null;
+        if (this.method === 'stacked') {
+            const examples = validation && validation.length > 0
+                ? validation
+                : Array.from({length: Math.min(5000, interactions.length)}, () => pick(interactions));
+            this.fitStacker(examples, movieIds, random);
+        }
+        this.isTrained = true;
+        return this;
+    }
+
+    // Ridge regression of the rating (explicit) or of 1 for a rated item and
+    // 0 for a uniformly drawn one (implicit) on the components' scores
+    fitStacker(examples, movieIds, random) {
+        const rows = [];
+        const targets = [];
+        examples.forEach(({ userId, movieId, rating }) => {
+            rows.push([1, ...this.componentScores(userId, movieId)]);
+            targets.push(this.feedback === 'implicit' ? 1 : rating);
+            if (this.feedback === 'implicit') {
+                const negativeId = movieIds[Math.floor(random() * movieIds.length)];
+                rows.push([1, ...this.componentScores(userId, negativeId)]);
+                targets.push(0);
+            }
+        });
+
+        const n = this.components.length + 1;
+        const matrix = Array.from({length: n}, () => new Float64Array(n));
+        const vector = new Float64Array(n);
+        rows.forEach((row, r) => {
+            for (let i = 0; i < n; i++) {
+                vector[i] += row[i] * targets[r];
+                for (let j = 0; j < n; j++) matrix[i][j] += row[i] * row[j];
+            }
+        });
+        // The intercept is not penalized
+        for (let i = 1; i < n; i++) matrix[i][i] += this.regularization * rows.length;
+
+        const [intercept, ...coefficients] = solveLinearSystem(matrix, vector);
+        this.stacker = { intercept, coefficients };
+        console.log(`Stacker fit on ${examples.length} ratings: intercept ${intercept.toFixed(3)}, ` +
+            `coefficients ${coefficients.map(c => c.toFixed(3)).join(', ')}`);
+    }
+
+    // Each component's predicted rating (explicit) or standardized score (implicit)
+    componentScores(userId, movieId) {
+        return this.components.map((component, i) => this.normalize(i, component.score(userId, movieId)));
+    }
+
+    normalize(i, score) {
+        if (this.feedback !== 'implicit') return score;
+        const { mean, std } = this.normalization[i];
+        return (score - mean) / std;
+    }
+
+    // Blend of the components' scores (in componentScores() units)
+    blend(scores) {
+        if (this.method === 'stacked' && this.stacker) {
+            const value = scores.reduce((sum, score, i) => sum + this.stacker.coefficients[i] * score, this.stacker.intercept);
+            return this.feedback === 'implicit' ? value : Math.max(1, Math.min(5, value));
+        }
+        const total = this.weights.reduce((a, b) => a + b, 0);
+        return scores.reduce((sum, score, i) => sum + this.weights[i] * score, 0) / total;
+    }
+
+    predict(userId, movieId) {
+        return this.blend(this.componentScores(userId, movieId));
+    }
+
+    score(userId, movieId) {
+        return this.predict(userId, movieId);
+    }
+
+    // rrf fuses the components' top lists. The score blends take each
+    // component's top `depth` as candidates and rescore their union, so an
+    // item no component ranks that high is never recommended.
+    async recommend(userId, allMovieIds, topK = 5) {
+        if (!this.isTrained) {
+            throw new Error('Ensemble model not trained yet');
+        }
+
+        const depth = Math.max(this.depth, topK);
+        const lists = await Promise.all(this.components.map(component => component.recommend(userId, allMovieIds, depth)));
+        if (this.method === 'rrf') {
+            const fused = new Map();
+            lists.forEach((list, i) => list.forEach(({ movieId }, rank) => {
+                fused.set(movieId, (fused.get(movieId) || 0) + this.weights[i] / (this.rrfK + rank + 1));
+            }));
+            return Array.from(fused, ([movieId, score]) => ({ movieId, score }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+        }
+
+        // One recommend() per component scores the whole pool in its fast path
+        const pool = [...new Set(lists.flatMap(list => list.map(({ movieId }) => movieId)))];
+        const scored = await Promise.all(this.components.map(async (component, i) => {
+            const scores = new Map((await component.recommend(userId, pool, pool.length)).map(({ movieId, score }) => [movieId, score]));
+            return movieId => this.normalize(i, scores.has(movieId) ? scores.get(movieId) : component.score(userId, movieId));
+        }));
+        return pool
+            .map(movieId => ({ movieId, score: this.blend(scored.map(scoreOf => scoreOf(movieId))) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    // Folds the user's ratings into every component that supports it (see
+    // foldInUser() of each); true when any component was updated
+    foldInUser(userId, interactions, options = {}) {
+        return this.components
+            .map(component => component.foldInUser && component.foldInUser(userId, interactions, options))
+            .some(Boolean);
+    }
+
+    toJSON() {
+        return {
+            type: 'EnsembleModel',
+            version: MODEL_FORMAT_VERSION,
+            hyperparameters: {
+                method: this.method,
+                weights: this.weights,
+                rrfK: this.rrfK,
+                depth: this.depth,
+                regularization: this.regularization,
+                stackRatio: this.stackRatio,
+                feedback: this.feedback
+            },
+            seed: this.seed,
+            isTrained: this.isTrained,
+            lossHistory: this.lossHistory,
+            validationLossHistory: this.validationLossHistory,
+            normalization: this.normalization,
+            stacker: this.stacker,
+            components: this.components.map(component => component.toJSON())
+        };
+    }
+
+    static fromJSON(json) {
+        json = migrateModelJSON(json, 'EnsembleModel');
+        const components = json.components.map(component => {
+            const ComponentClass = COMPONENT_TYPES[component.type];
+            if (!ComponentClass) {
+                throw new Error(`Unknown ensemble component type: ${component.type}`);
+            }
+            return ComponentClass.fromJSON(component);
+        });
+
+        const h = json.hyperparameters;
+        const model = new EnsembleModel(components, h);
+        model.feedback = h.feedback;
+        model.seed = json.seed;
+        model.isTrained = json.isTrained;
+        model.lossHistory = json.lossHistory || [];
+        model.validationLossHistory = json.validationLossHistory || [];
+        model.normalization = json.normalization;
+        model.stacker = json.stacker;
+        return model;
+    }
+}
+
+// Export for CommonJS
+module.exports = { EnsembleModel, ENSEMBLE_METHODS };
@@ -0,0 +1,287 @@
+// Offline evaluation: train/validation/test splits plus rating and ranking metrics
+const { createRandom, shuffleInPlace } = require('./random.js');
+
+function groupByUser(interactions) {
+    const byUser = new Map();
+    interactions.forEach((interaction, index) => {
+        if (!byUser.has(interaction.userId)) byUser.set(interaction.userId, []);
+        byUser.get(interaction.userId).push({ interaction, index });
+    });
+    return byUser;
+}
+
+// Oldest first by timestamp, ties (and missing timestamps) in input order
+function byTime(a, b) {
+    return (a.interaction.timestamp || 0) - (b.interaction.timestamp || 0) || a.index - b.index;
+}
+
+// Splits interactions per user so every user keeps some history in train.
+//   mode 'random':          each user's ratings are shuffled and cut by ratio
+//   mode 'leave-last-out':  each user's latest rating goes to test, the one before to validation
+//   mode 'temporal-user':   each user's latest ratings go to test and the ones
+//                           before to validation, cut by ratio
+//   mode 'temporal-global': one cut-off time for everyone (see splitGlobalTime())
+// "Latest" uses the timestamp when present and input order otherwise.
+// `seed` fixes the random split; the split records the seed it used.
+function splitInteractions(interactions, options = {}) {
+    const { mode = 'random', validationRatio = 0.1, testRatio = 0.2, minTrainPerUser = 1 } = options;
+    const random = createRandom(options.seed);
+    if (mode === 'temporal-global') {
+        return { ...splitGlobalTime(interactions, { validationRatio, testRatio, minTrainPerUser }), seed: random.seed };
+    }
+    const train = [];
+    const validation = [];
+    const test = [];
+
+    groupByUser(interactions).forEach(entries => {
+        let ordered;
+        let validationCount;
+        let testCount;
+
+        if (mode === 'random') {
+            ordered = shuffleInPlace([...entries], random);
+            testCount = Math.floor(entries.length * testRatio);
+            validationCount = Math.floor(entries.length * validationRatio);
+        } else if (mode === 'leave-last-out') {
+            ordered = [...entries].sort(byTime).reverse();
+            testCount = 1;
+            validationCount = validationRatio > 0 ? 1 : 0;
+        } else if (mode === 'temporal-user') {
+            ordered = [...entries].sort(byTime).reverse();
+            testCount = Math.floor(entries.length * testRatio);
+            validationCount = Math.floor(entries.length * validationRatio);
+        } else {
+            throw new Error(`Unknown split mode: ${mode}`);
+        }
+
+        // Never hold out a user's whole history
+        const available = Math.max(0, entries.length - minTrainPerUser);
+        testCount = Math.min(testCount, available);
+        validationCount = Math.min(validationCount, available - testCount);
+
+        ordered.forEach(({ interaction }, i) => {
+            if (i < testCount) test.push(interaction);
+            else if (i < testCount + validationCount) validation.push(interaction);
+            else train.push(interaction);
+        });
+    });
+
+    return { train, validation, test, mode, seed: random.seed };
+}
+
+// Global temporal split: the latest `testRatio` of all ratings are the test
+// set and the `validationRatio` before them validation, so nothing in train
+// happened after anything held out. Held-out ratings of users with fewer
+// than `minTrainPerUser` ratings before the cut-off are dropped, since there
+// is no history to recommend from; the split counts them in `dropped`.
+function splitGlobalTime(interactions, options = {}) {
+    const { validationRatio = 0.1, testRatio = 0.2, minTrainPerUser = 1 } = options;
+    const ordered = interactions.map((interaction, index) => ({ interaction, index })).sort(byTime);
+    const testStart = ordered.length - Math.floor(ordered.length * testRatio);
+    const validationStart = testStart - Math.floor(ordered.length * validationRatio);
+
+    const train = ordered.slice(0, validationStart).map(({ interaction }) => interaction);
+    const trainCounts = new Map();
+    train.forEach(({ userId }) => trainCounts.set(userId, (trainCounts.get(userId) || 0) + 1));
+    const known = ({ interaction }) => (trainCounts.get(interaction.userId) || 0) >= minTrainPerUser;
+
+    const heldOut = ordered.slice(validationStart);
+    const validation = ordered.slice(validationStart, testStart).filter(known).map(({ interaction }) => interaction);
+    const test = ordered.slice(testStart).filter(known).map(({ interaction }) => interaction);
+    const cutoff = ordered.length > 0 && testStart < ordered.length ? ordered[testStart].interaction.timestamp : null;
+
+    return {
+        train,
+        validation,
+        test,
+        mode: 'temporal-global',
+        cutoff,
+        dropped: heldOut.length - validation.length - test.length
+    };
+}
+
+// Holds out every rating of a random subset of items, so those items are
+// never seen in training. Evaluating with `coldItemIds` as the candidate set
+// measures how well a model scores brand-new catalog entries.
+function splitColdStartItems(interactions, options = {}) {
+    const { itemRatio = 0.1 } = options;
+    const random = createRandom(options.seed);
+    const movieIds = shuffleInPlace([...new Set(interactions.map(i => i.movieId))], random);
+    const coldItemIds = movieIds.slice(0, Math.max(1, Math.floor(movieIds.length * itemRatio)));
+    const cold = new Set(coldItemIds);
+
+    const train = [];
+    const test = [];
+    interactions.forEach(interaction => {
+        (cold.has(interaction.movieId) ? test : train).push(interaction);
+    });
+
+    return { train, validation: [], test, mode: 'cold-start-items', coldItemIds, seed: random.seed };
+}
+
+function rmse(pairs) {
+    if (pairs.length === 0) return NaN;
+    const sum = pairs.reduce((acc, { predicted, actual }) => acc + (predicted - actual) ** 2, 0);
+    return Math.sqrt(sum / pairs.length);
+}
+
+function mae(pairs) {
+    if (pairs.length === 0) return NaN;
+    const sum = pairs.reduce((acc, { predicted, actual }) => acc + Math.abs(predicted - actual), 0);
+    return sum / pairs.length;
+}
+
+function precisionAtK(ranked, relevant, k) {
+    if (k === 0) return 0;
+    const hits = ranked.slice(0, k).filter(id => relevant.has(id)).length;
+    return hits / k;
+}
+
+function recallAtK(ranked, relevant, k) {
+    if (relevant.size === 0) return 0;
+    const hits = ranked.slice(0, k).filter(id => relevant.has(id)).length;
+    return hits / relevant.size;
+}
+
+function ndcgAtK(ranked, relevant, k) {
+    let dcg = 0;
+    ranked.slice(0, k).forEach((id, i) => {
+        if (relevant.has(id)) dcg += 1 / Math.log2(i + 2);
+    });
+
+    let idcg = 0;
+    for (let i = 0; i < Math.min(relevant.size, k); i++) {
+        idcg += 1 / Math.log2(i + 2);
+    }
+    return idcg > 0 ? dcg / idcg : 0;
+}
+
+// Average precision truncated at K; MAP is its mean over users
+function averagePrecisionAtK(ranked, relevant, k) {
+    if (relevant.size === 0) return 0;
+    let hits = 0;
+    let sum = 0;
+    ranked.slice(0, k).forEach((id, i) => {
+        if (relevant.has(id)) {
+            hits++;
+            sum += hits / (i + 1);
+        }
+    });
+    return sum / Math.min(relevant.size, k);
+}
+
+function hitRateAtK(ranked, relevant, k) {
+    return ranked.slice(0, k).some(id => relevant.has(id)) ? 1 : 0;
+}
+
+class Evaluator {
+    constructor(options = {}) {
+        this.k = options.k || 10;
+        // Test ratings at or above this count as relevant for ranking metrics
+        this.relevanceThreshold = options.relevanceThreshold ?? 4;
+        // Cap on evaluated users, since ranking scores the whole catalog per user
+        this.maxUsers = options.maxUsers || Infinity;
+        // RecommendationPipeline to rank through, e.g. to score a re-ranker;
+        // the candidates it gets already exclude the user's seen items
+        this.pipeline = options.pipeline || null;
+    }
+
+    // Implicit-feedback models output ranking scores, not ratings, so they get no RMSE/MAE
+    evaluateRatings(model, test) {
+        if (model.feedback === 'implicit') {
+            return { rmse: NaN, mae: NaN };
+        }
+
+        const pairs = test.map(({ userId, movieId, rating }) => ({
+            predicted: model.predict(userId, movieId),
+            actual: rating
+        }));
+        return { rmse: rmse(pairs), mae: mae(pairs) };
+    }
+
+    // Ranks every candidate the user has not seen in train/validation and scores
+    // the top K against the user's relevant test items.
+    async evaluateRanking(model, seen, test, allMovieIds) {
+        const seenByUser = new Map();
+        seen.forEach(({ userId, movieId }) => {
+            if (!seenByUser.has(userId)) seenByUser.set(userId, new Set());
+            seenByUser.get(userId).add(movieId);
+        });
+
+        const relevantByUser = new Map();
+        test.forEach(({ userId, movieId, rating }) => {
+            if (rating < this.relevanceThreshold) return;
+            if (!relevantByUser.has(userId)) relevantByUser.set(userId, new Set());
+            relevantByUser.get(userId).add(movieId);
+        });
+
+        const totals = { precision: 0, recall: 0, ndcg: 0, map: 0, hitRate: 0 };
+        let users = 0;
+
+        for (const [userId, relevant] of relevantByUser) {
+            if (users >= this.maxUsers) break;
+
+            const userSeen = seenByUser.get(userId) || new Set();
+            const candidates = allMovieIds.filter(id => !userSeen.has(id));
+            const recommendations = this.pipeline
+                ? (await this.pipeline.recommend(model, userId, candidates, this.k)).recommendations
+                : await model.recommend(userId, candidates, this.k);
+            const ranked = recommendations.map(rec => rec.movieId);
+
+            totals.precision += precisionAtK(ranked, relevant, this.k);
+            totals.recall += recallAtK(ranked, relevant, this.k);
+            totals.ndcg += ndcgAtK(ranked, relevant, this.k);
+            totals.map += averagePrecisionAtK(ranked, relevant, this.k);
+            totals.hitRate += hitRateAtK(ranked, relevant, this.k);
+            users++;
+        }
+
+        const result = { users };
+        Object.keys(totals).forEach(key => {
+            result[key] = users > 0 ? totals[key] / users : 0;
+        });
+        return result;
+    }
+
+    async evaluate(model, split, allMovieIds) {
+        const seen = [...split.train, ...split.validation];
+        const ratingMetrics = this.evaluateRatings(model, split.test);
+        const rankingMetrics = await this.evaluateRanking(model, seen, split.test, allMovieIds);
+        return { ...ratingMetrics, ...rankingMetrics, k: this.k };
+    }
+
+    // Trains each model on the train split only and evaluates it on test.
+    // `models` maps a display name to a factory returning an untrained model,
+    // or to { create, trainOptions } for options specific to that model.
+    // Cold-start splits rank only the held-out items. The validation split
+    // drives early stopping unless the options set `validation` themselves.
+    async compare(models, split, allMovieIds, epochs = 100, trainOptions = {}) {
+        const candidates = split.coldItemIds || allMovieIds;
+        const results = [];
+        for (const [name, entry] of Object.entries(models)) {
+            const { create, trainOptions: modelOptions = {} } = typeof entry === 'function' ? { create: entry } : entry;
+            const model = create();
+            const options = { validation: split.validation, ...trainOptions, ...modelOptions };
+            console.log(`Evaluating ${name} on ${split.mode} split...`);
+            const losses = await model.train(split.train, epochs, options);
+            const metrics = await this.evaluate(model, split, candidates);
+            results.push({ name, model, losses, metrics });
+        }
+        return results;
+    }
+}
+
+// Export for CommonJS
+module.exports = {
+    Evaluator,
+    splitInteractions,
+    splitGlobalTime,
+    splitColdStartItems,
+    rmse,
+    mae,
+    precisionAtK,
+    recallAtK,
+    ndcgAtK,
+    averagePrecisionAtK,
+    hitRateAtK
+};
@@ -0,0 +1,52 @@
+// "Because you liked ..." explanations for recommendations. Each one lists
+// the user's liked movies closest to the recommended movie in the model's
+// item space, the genres it shares with the movies they liked, and, for
+// models with an additive score (TwoTowerModel.explainScore()), the score
+// broken down into global bias, user bias, item bias and interaction term.
+const { cosineSimilarity } = require('./recommendation-pipeline.js');
+
+// options:
+//   movies:          the catalog, for genres
+//   interactions:    the user's ratings
+//   likedThreshold:  ratings at or above this count as liked (default 4)
+//   maxItems:        number of liked movies to cite (default 3)
+function explainRecommendations(model, userId, movieIds, options = {}) {
+    const { movies = new Map(), interactions = [], likedThreshold = 4, maxItems = 3 } = options;
+    const liked = interactions
+        .filter(({ rating }) => rating >= likedThreshold)
+        .map(({ movieId, rating }) => ({
+            movieId,
+            rating,
+            vector: model.getItemVector ? model.getItemVector(movieId) : null,
+            genres: movies.has(movieId) ? movies.get(movieId).genres : []
+        }));
+
+    return movieIds.map(movieId => {
+        const vector = model.getItemVector ? model.getItemVector(movieId) : null;
+        const becauseYouLiked = vector
+            ? liked
+                .filter(item => item.vector && item.movieId !== movieId)
+                .map(item => ({ movieId: item.movieId, rating: item.rating, similarity: cosineSimilarity(vector, item.vector) }))
+                .filter(({ similarity }) => similarity > 0)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, maxItems)
+            : [];
+
+        // Genres of the movie, by how many liked movies share them
+        const genres = movies.has(movieId) ? movies.get(movieId).genres : [];
+        const sharedGenres = genres
+            .map(genre => ({ genre, count: liked.filter(item => item.genres.includes(genre)).length }))
+            .filter(({ count }) => count > 0)
+            .sort((a, b) => b.count - a.count);
+
+        return {
+            movieId,
+            becauseYouLiked,
+            sharedGenres,
+            breakdown: model.explainScore ? model.explainScore(userId, movieId) : null
+        };
+    });
+}
+
+// Export for CommonJS
+module.exports = { explainRecommendations };
@@ -0,0 +1,113 @@
+// Item side features from u.item: genre flags, release year bucket and title tokens
+const { GENRES } = require('./movielens.js');
+
+// Boundaries between release year buckets: <1950, 1950-1959, ..., 1990-1994, 1995+
+const YEAR_BUCKETS = [1950, 1960, 1970, 1980, 1990, 1995];
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'and', 'in', 'on', 'to', 'for', 'with', 'la', 'le', 'les', 'de', 'il']);
+
+class ItemFeatureEncoder {
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens || 200;
+        // Tokens rarer than this carry no signal a projection could learn from
+        this.minTokenCount = options.minTokenCount || 3;
+        this.tokenVocabulary = [];
+        this.tokenIndex = new Map();
+    }
+
+    static tokenize(title) {
+        return (title || '')
+            .toLowerCase()
+            .replace(/\(\d{4}\)\s*$/, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    fit(movies) {
+        const counts = new Map();
+        movies.forEach(movie => {
+            new Set(ItemFeatureEncoder.tokenize(movie.title)).forEach(token => {
+                counts.set(token, (counts.get(token) || 0) + 1);
+            });
+        });
+
+        this.tokenVocabulary = Array.from(counts.entries())
+            .filter(([, count]) => count >= this.minTokenCount)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, this.maxTokens)
+            .map(([token]) => token);
+        this.tokenIndex = new Map(this.tokenVocabulary.map((token, i) => [token, i]));
+        return this;
+    }
+
+    get yearOffset() {
+        return GENRES.length;
+    }
+
+    get tokenOffset() {
+        // One slot per bucket plus the "unknown year" slot
+        return this.yearOffset + YEAR_BUCKETS.length + 2;
+    }
+
+    get dimension() {
+        return this.tokenOffset + this.tokenVocabulary.length;
+    }
+
+    yearBucket(year) {
+        if (!year) return YEAR_BUCKETS.length + 1;
+        return YEAR_BUCKETS.filter(boundary => year >= boundary).length;
+    }
+
+    // Returns a sparse vector { indices, values } scaled to unit length
+    encode(movie) {
+        const indices = [];
+
+        (movie.genreFlags || []).forEach((flag, i) => {
+            if (flag) indices.push(i);
+        });
+        indices.push(this.yearOffset + this.yearBucket(movie.year));
+
+        new Set(ItemFeatureEncoder.tokenize(movie.title)).forEach(token => {
+            if (this.tokenIndex.has(token)) indices.push(this.tokenOffset + this.tokenIndex.get(token));
+        });
+
+        const value = 1 / Math.sqrt(indices.length);
+        return { indices, values: indices.map(() => value) };
+    }
+
+    encodeAll(movies) {
+        const features = new Map();
+        movies.forEach((movie, movieId) => features.set(movieId, this.encode(movie)));
+        return features;
+    }
+
+    describe(index) {
+        if (index < this.yearOffset) return `genre:${GENRES[index]}`;
+        if (index < this.tokenOffset) {
+            const bucket = index - this.yearOffset;
+            if (bucket === YEAR_BUCKETS.length + 1) return 'year:unknown';
+            if (bucket === 0) return `year:<${YEAR_BUCKETS[0]}`;
+            if (bucket === YEAR_BUCKETS.length) return `year:${YEAR_BUCKETS[bucket - 1]}+`;
+            return `year:${YEAR_BUCKETS[bucket - 1]}-${YEAR_BUCKETS[bucket] - 1}`;
+        }
+        return `title:${this.tokenVocabulary[index - this.tokenOffset]}`;
+    }
+
+    toJSON() {
+        return {
+            maxTokens: this.maxTokens,
+            minTokenCount: this.minTokenCount,
+            tokenVocabulary: [...this.tokenVocabulary]
+        };
+    }
+
+    static fromJSON(json) {
+        const encoder = new ItemFeatureEncoder(json);
+        encoder.tokenVocabulary = [...json.tokenVocabulary];
+        encoder.tokenIndex = new Map(encoder.tokenVocabulary.map((token, i) => [token, i]));
+        return encoder;
+    }
+}
+
+// Export for CommonJS
+module.exports = { ItemFeatureEncoder, YEAR_BUCKETS };
@@ -0,0 +1,82 @@
+// Model persistence: JSON files in Node, downloads and file pickers in the browser
+const { TwoTowerModel, MLPModel } = require('./two-tower.js');
+const { EnsembleModel } = require('./ensemble.js');
+const { GlobalMeanModel, BiasModel, PopularityModel, UserKNNModel, ItemKNNModel } = require('./baselines.js');
+
+const MODEL_TYPES = {
+    TwoTowerModel,
+    MLPModel,
+    EnsembleModel,
+    GlobalMeanModel,
+    BiasModel,
+    PopularityModel,
+    UserKNNModel,
+    ItemKNNModel
+};
+
+function modelFromJSON(json) {
+    const ModelClass = json && MODEL_TYPES[json.type];
+    if (!ModelClass) {
+        throw new Error(`Unknown model type: ${json && json.type ? json.type : 'missing "type" field'}`);
+    }
+    return ModelClass.fromJSON(json);
+}
+
+function serializeModel(model) {
+    if (typeof model.toJSON !== 'function') {
+        throw new Error('Model does not support serialization');
+    }
+    return JSON.stringify(model.toJSON());
+}
+
+function parseModel(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid model file: ' + error.message);
+    }
+    return modelFromJSON(json);
+}
+
+// Node helpers
+async function saveModel(model, path) {
+    const fs = require('fs');
+    await fs.promises.writeFile(path, serializeModel(model), 'utf8');
+    console.log(`Saved ${model.constructor.name} to ${path}`);
+}
+
+async function loadModel(path) {
+    const fs = require('fs');
+    const text = await fs.promises.readFile(path, 'utf8');
+    return parseModel(text);
+}
+
+// Browser helpers
+function downloadModel(model, filename) {
+    const blob = new Blob([serializeModel(model)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+async function readModelFile(file) {
+    return parseModel(await file.text());
+}
+
+// Export for CommonJS
+module.exports = {
+    MODEL_TYPES,
+    modelFromJSON,
+    serializeModel,
+    parseModel,
+    saveModel,
+    loadModel,
+    downloadModel,
+    readModelFile
+};
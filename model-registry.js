@@ -0,0 +1,220 @@
+// Every model the app, the CLI and the evaluation code can build by name.
+// A model is any object with the interface TwoTowerModel and MLPModel share:
+//   train(interactions, epochs, options)  resolves to the per-epoch losses
+//   predict(userId, movieId)               predicted rating
+//   score(userId, movieId)                 ranking score
+//   recommend(userId, movieIds, topK)      resolves to [{ movieId, score }] best first,
+//                                          without explanations (Recommender.recommendFor() adds them)
+//   isTrained, feedback, lossHistory, validationLossHistory
+//   toJSON() and a static fromJSON() listed in model-io.js MODEL_TYPES, so
+//   it trains in a TrainingJob and saves to a file
+// and optionally foldInUser(), getItemVector() / getMovieEmbeddings() and
+// explainScore(), which the features built on them check for.
+//
+// A definition is { label, description, family, create, matches, createLike }:
+//   family:     'twotower', 'mlp', 'ensemble' or 'baseline'; the app picks
+//               each model's training controls by it
+//   create:     (hyperparameters, context) => untrained model; context
+//               carries itemFeatureEncoder and movies (a Recommender will do)
+//   matches:    json => true for the saved models this name rebuilds
+//   createLike: (json, context) => untrained copy of a saved model;
+//               defaults to create() with the saved hyperparameters
+const { TwoTowerModel, MLPModel } = require('./two-tower.js');
+const { EnsembleModel } = require('./ensemble.js');
+const { GlobalMeanModel, BiasModel, PopularityModel, UserKNNModel, ItemKNNModel } = require('./baselines.js');
+
+const MODEL_METHODS = ['train', 'predict', 'score', 'recommend', 'toJSON'];
+
+const MODEL_DEFINITIONS = new Map();
+
+function registerModel(name, definition) {
+    if (MODEL_DEFINITIONS.has(name)) {
+        throw new Error(`Model already registered: ${name}`);
+    }
+    if (typeof definition.create !== 'function') {
+        throw new Error(`Model ${name} needs a create(hyperparameters, context) function`);
+    }
+    MODEL_DEFINITIONS.set(name, {
+        label: name,
+        description: '',
+        family: 'baseline',
+        matches: () => false,
+        createLike: (json, context) => definition.create(json.hyperparameters || {}, context),
+        ...definition,
+        name
+    });
+}
+
+function getModelDefinition(name) {
+    const definition = MODEL_DEFINITIONS.get(name);
+    if (!definition) {
+        throw new Error(`Unknown model: ${name} (expected one of ${modelNames().join(', ')})`);
+    }
+    return definition;
+}
+
+// Registered names in registration order, optionally of one family only
+function modelNames(family = null) {
+    return Array.from(MODEL_DEFINITIONS.values())
+        .filter(definition => !family || definition.family === family)
+        .map(definition => definition.name);
+}
+
+// Throws unless `model` implements the shared interface
+function checkModel(model, name = model.constructor.name) {
+    const missing = MODEL_METHODS.filter(method => typeof model[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Model ${name} does not implement ${missing.map(method => `${method}()`).join(', ')}`);
+    }
+    if (typeof model.isTrained !== 'boolean') {
+        throw new Error(`Model ${name} has no isTrained flag`);
+    }
+    return model;
+}
+
+function buildModel(name, hyperparameters = {}, context = {}) {
+    return checkModel(getModelDefinition(name).create(hyperparameters, context), name);
+}
+
+// Name of the definition that rebuilds a saved model, or null
+function modelNameFor(json) {
+    const definition = Array.from(MODEL_DEFINITIONS.values()).find(candidate => candidate.matches(json));
+    return definition ? definition.name : null;
+}
+
+// An untrained model with the architecture and hyperparameters of a saved one
+function buildModelLike(json, context = {}) {
+    const name = modelNameFor(json);
+    if (!name) {
+        throw new Error(`Unknown model type: ${json.type}`);
+    }
+    return checkModel(getModelDefinition(name).createLike(json, context), name);
+}
+
+// embeddingDim, learningRate, regularization and retrievalConfig for the
+// two-tower models
+function createTwoTower(h, encoder = null, movies = null) {
+    const model = new TwoTowerModel(h.embeddingDim);
+    if (encoder) model.setItemFeatures(encoder, movies);
+    if (h.retrievalConfig) model.setRetrievalIndex(h.retrievalConfig);
+    return withRates(model, h);
+}
+
+// inputDim, hiddenLayers, useGMF, gmfDim, learningRate, embeddingLearningRate,
+// regularization and dropoutRate for the MLPs
+function createMLP(h, encoding) {
+    const model = new MLPModel(h.inputDim, h.hiddenLayers, 1, {
+        encoding,
+        useGMF: h.useGMF,
+        gmfDim: h.gmfDim,
+        embeddingLearningRate: h.embeddingLearningRate
+    });
+    if (h.dropoutRate !== undefined) model.dropoutRate = h.dropoutRate;
+    return withRates(model, h);
+}
+
+function withRates(model, h) {
+    if (h.learningRate !== undefined) model.learningRate = h.learningRate;
+    if (h.regularization !== undefined) model.regularization = h.regularization;
+    return model;
+}
+
+registerModel('twotower', {
+    label: 'Simple Embedding Model',
+    description: 'Linear interactions, fast training, good generalization',
+    family: 'twotower',
+    matches: json => json.type === 'TwoTowerModel' && !json.itemFeatures,
+    create: h => createTwoTower(h)
+});
+registerModel('twotower-features', {
+    label: 'Feature-aware Two-Tower',
+    description: 'Item tower adds genres, year and title words, so unrated movies get a vector',
+    family: 'twotower',
+    matches: json => json.type === 'TwoTowerModel' && !!json.itemFeatures,
+    create: (h, context) => createTwoTower(h, context.itemFeatureEncoder, context.movies)
+});
+registerModel('mlp', {
+    label: 'MLP Deep Learning Model',
+    description: 'Learned user/item embeddings fused with a GMF branch (NeuMF), non-linear patterns',
+    family: 'mlp',
+    matches: json => json.type === 'MLPModel' && json.hyperparameters.encoding !== 'hashed',
+    create: h => createMLP(h, 'embedding')
+});
+registerModel('mlp-hashed', {
+    label: 'MLP (hashed inputs)',
+    description: 'MLP over fixed hashed user and item bits',
+    family: 'mlp',
+    matches: json => json.type === 'MLPModel' && json.hyperparameters.encoding === 'hashed',
+    create: h => createMLP(h, 'hashed')
+});
+// hyperparameters: the names of its `components` (default twotower and mlp,
+// each with its defaults) and the EnsembleModel options (method, weights, ...)
+registerModel('ensemble', {
+    label: 'Ensemble',
+    description: 'Blend of its component models by fixed weights, a stacker or rank fusion',
+    family: 'ensemble',
+    matches: json => json.type === 'EnsembleModel',
+    create: (h, context) => new EnsembleModel((h.components || ['twotower', 'mlp']).map(component => {
+        if (getModelDefinition(component).family === 'ensemble') {
+            throw new Error('An ensemble cannot contain another ensemble');
+        }
+        return buildModel(component, {}, context);
+    }), h),
+    createLike: (json, context) => new EnsembleModel(
+        json.components.map(component => buildModelLike(component, context)),
+        json.hyperparameters
+    )
+});
+registerModel('global-mean', {
+    label: 'Global mean',
+    description: 'Predicts the mean rating for everything',
+    matches: json => json.type === 'GlobalMeanModel',
+    create: () => new GlobalMeanModel()
+});
+registerModel('bias', {
+    label: 'User and item biases',
+    description: 'Mean rating plus ridge-fit user and item offsets',
+    matches: json => json.type === 'BiasModel',
+    create: h => new BiasModel(h)
+});
+registerModel('popular', {
+    label: 'Most popular',
+    description: 'The most rated movies for everyone',
+    matches: json => json.type === 'PopularityModel',
+    create: h => new PopularityModel(h)
+});
+registerModel('user-knn', {
+    label: 'User kNN (cosine)',
+    description: 'Ratings of the most similar users, cosine similarity with shrinkage',
+    matches: json => json.type === 'UserKNNModel' && json.hyperparameters.similarity === 'cosine',
+    create: h => new UserKNNModel({ similarity: 'cosine', ...h })
+});
+registerModel('user-knn-pearson', {
+    label: 'User kNN (Pearson)',
+    description: 'Ratings of the most similar users, Pearson correlation with shrinkage',
+    matches: json => json.type === 'UserKNNModel' && json.hyperparameters.similarity === 'pearson',
+    create: h => new UserKNNModel({ similarity: 'pearson', ...h })
+});
+registerModel('item-knn', {
+    label: 'Item kNN (cosine)',
+    description: "The user's ratings of the most similar movies, cosine similarity with shrinkage",
+    matches: json => json.type === 'ItemKNNModel' && json.hyperparameters.similarity === 'cosine',
+    create: h => new ItemKNNModel({ similarity: 'cosine', ...h })
+});
+registerModel('item-knn-pearson', {
+    label: 'Item kNN (Pearson)',
+    description: "The user's ratings of the most similar movies, Pearson correlation with shrinkage",
+    matches: json => json.type === 'ItemKNNModel' && json.hyperparameters.similarity === 'pearson',
+    create: h => new ItemKNNModel({ similarity: 'pearson', ...h })
+});
+
+// Export for CommonJS
+module.exports = {
+    registerModel,
+    getModelDefinition,
+    modelNames,
+    checkModel,
+    buildModel,
+    buildModelLike,
+    modelNameFor
+};
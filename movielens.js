@@ -0,0 +1,136 @@
+// MovieLens 100K dataset loader (u.data ratings + u.item movie catalog)
+const GENRES = [
+    'unknown', 'Action', 'Adventure', 'Animation', "Children's", 'Comedy', 'Crime',
+    'Documentary', 'Drama', 'Fantasy', 'Film-Noir', 'Horror', 'Musical', 'Mystery',
+    'Romance', 'Sci-Fi', 'Thriller', 'War', 'Western'
+];
+
+const isNode = typeof process !== 'undefined' && !!(process.versions && process.versions.node)
+    && typeof window === 'undefined';
+
+class MovieLensDataset {
+    constructor(ratings = [], movies = new Map()) {
+        this.ratings = ratings;
+        this.movies = movies;
+        this.userIds = new Set(ratings.map(r => r.userId));
+        this.movieIds = new Set(ratings.map(r => r.movieId));
+    }
+
+    // u.data: user id \t item id \t rating \t timestamp
+    static parseRatings(text) {
+        const ratings = [];
+        const lines = text.split(/\r?\n/);
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const [userId, movieId, rating, timestamp] = line.split('\t');
+            const value = parseFloat(rating);
+            if (!userId || !movieId || isNaN(value)) {
+                throw new Error(`Malformed rating line: "${line}"`);
+            }
+
+            ratings.push({
+                userId: userId.trim(),
+                movieId: movieId.trim(),
+                rating: value,
+                timestamp: parseInt(timestamp, 10) || 0
+            });
+        }
+
+        return ratings;
+    }
+
+    // u.item: id | title | release date | video release date | IMDb URL | 19 genre flags
+    static parseItems(text) {
+        const movies = new Map();
+        const lines = text.split(/\r?\n/);
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const fields = line.split('|');
+            if (fields.length < 5 + GENRES.length) {
+                throw new Error(`Malformed item line: "${line}"`);
+            }
+
+            const [id, title, releaseDate, , imdbUrl] = fields;
+            const flags = fields.slice(5, 5 + GENRES.length);
+            const genres = GENRES.filter((_, i) => flags[i] === '1');
+
+            movies.set(id.trim(), {
+                id: id.trim(),
+                title: title.trim(),
+                releaseDate: releaseDate.trim(),
+                year: MovieLensDataset.parseYear(releaseDate, title),
+                imdbUrl: imdbUrl.trim(),
+                genres,
+                genreFlags: flags.map(flag => flag === '1' ? 1 : 0)
+            });
+        }
+
+        return movies;
+    }
+
+    static parseYear(releaseDate, title) {
+        const dateMatch = /(\d{4})\s*$/.exec(releaseDate || '');
+        if (dateMatch) return parseInt(dateMatch[1], 10);
+
+        const titleMatch = /\((\d{4})\)\s*$/.exec(title || '');
+        return titleMatch ? parseInt(titleMatch[1], 10) : null;
+    }
+
+    // Reads a data file with fetch in the browser and fs in Node.
+    // u.item is Latin-1 encoded, so both paths decode it explicitly.
+    static async readFile(path, encoding = 'utf-8') {
+        if (isNode) {
+            const fs = require('fs');
+            return fs.promises.readFile(path, encoding === 'latin1' ? 'latin1' : 'utf8');
+        }
+
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+        }
+        const buffer = await response.arrayBuffer();
+        return new TextDecoder(encoding === 'latin1' ? 'iso-8859-1' : 'utf-8').decode(buffer);
+    }
+
+    static async load(basePath = 'data') {
+        const join = (file) => isNode ? require('path').join(basePath, file) : `${basePath}/${file}`;
+
+        const [ratingsText, itemsText] = await Promise.all([
+            MovieLensDataset.readFile(join('u.data')),
+            MovieLensDataset.readFile(join('u.item'), 'latin1')
+        ]);
+
+        const dataset = new MovieLensDataset(
+            MovieLensDataset.parseRatings(ratingsText),
+            MovieLensDataset.parseItems(itemsText)
+        );
+        console.log(`Loaded MovieLens: ${dataset.ratings.length} ratings, ` +
+            `${dataset.userIds.size} users, ${dataset.movies.size} movies`);
+        return dataset;
+    }
+
+    getMovie(movieId) {
+        return this.movies.get(movieId) || null;
+    }
+
+    getTitle(movieId) {
+        const movie = this.movies.get(movieId);
+        return movie ? movie.title : movieId;
+    }
+
+    getGenres(movieId) {
+        const movie = this.movies.get(movieId);
+        return movie ? movie.genres : [];
+    }
+
+    toTrainingData() {
+        return this.ratings.map(({ userId, movieId, rating }) => ({ userId, movieId, rating }));
+    }
+}
+
+// Export for CommonJS
+module.exports = { MovieLensDataset, GENRES };
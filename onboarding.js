@@ -0,0 +1,222 @@
+// New-user onboarding: picks a short list of movies worth asking a
+// cold-start user about, folds each answer into the models as it comes in,
+// and measures how fast recommendations improve with the number of answers.
+//
+// Strategies for choosing the questions:
+//   popular      the most-rated movies
+//   informative  popularity x rating variance (movies many users have seen
+//                and disagree about), diversified by genre
+//   coverage     the same score, diversified by the model's item vectors so
+//                the questions spread over the embedding space
+const { MMRRule } = require('./recommendation-pipeline.js');
+const { GENRES } = require('./movielens.js');
+const { rmse, recallAtK, ndcgAtK } = require('./evaluation.js');
+const { createRandom, shuffleInPlace } = require('./random.js');
+
+const ONBOARDING_STRATEGIES = ['popular', 'informative', 'coverage'];
+
+// Rating count, mean and variance per movie, for movies with at least
+// `minRatings` ratings (fewer make the variance noise and few users can answer)
+function movieRatingStats(interactions, minRatings = 20) {
+    const sums = new Map();
+    interactions.forEach(({ movieId, rating }) => {
+        const entry = sums.get(movieId) || { count: 0, sum: 0, squares: 0 };
+        entry.count++;
+        entry.sum += rating;
+        entry.squares += rating * rating;
+        sums.set(movieId, entry);
+    });
+
+    return Array.from(sums.entries())
+        .filter(([, { count }]) => count >= minRatings)
+        .map(([movieId, { count, sum, squares }]) => {
+            const mean = sum / count;
+            return { movieId, count, mean, variance: Math.max(0, squares / count - mean * mean) };
+        });
+}
+
+function genreVector(movie) {
+    return GENRES.map(genre => movie && movie.genres.includes(genre) ? 1 : 0);
+}
+
+// The `count` movies to ask about, best first. options: strategy, model (for
+// coverage), movies (the catalog, for genre diversity), lambda (MMR trade-off
+// between informativeness and diversity), minRatings, exclude (movie IDs)
+function selectOnboardingItems(interactions, count = 10, options = {}) {
+    const { strategy = 'informative', model = null, movies = new Map(), lambda = 0.7, minRatings = 20 } = options;
+    if (!ONBOARDING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown onboarding strategy: ${strategy} (expected one of ${ONBOARDING_STRATEGIES.join(', ')})`);
+    }
+    if (strategy === 'coverage' && !(model && model.isTrained && model.getItemVector)) {
+        throw new Error('The coverage strategy needs a trained model with item vectors');
+    }
+
+    const excluded = new Set(options.exclude || []);
+    const stats = movieRatingStats(interactions, minRatings).filter(({ movieId }) => !excluded.has(movieId));
+    if (strategy === 'popular') {
+        return stats.sort((a, b) => b.count - a.count).slice(0, count).map(({ movieId }) => movieId);
+    }
+
+    const ranked = stats
+        .map(({ movieId, count: ratings, variance }) => ({ movieId, score: Math.log(1 + ratings) * variance }))
+        .sort((a, b) => b.score - a.score);
+    const itemVector = strategy === 'coverage'
+        ? movieId => model.getItemVector(movieId)
+        : movieId => genreVector(movies.get(movieId));
+    return new MMRRule({ lambda }).apply(ranked, { topK: count, itemVector }, () => {}).map(({ movieId }) => movieId);
+}
+
+// One user's onboarding. Questions are asked in order; every answer is
+// stored through recommender.addInteraction() and folded into `models` (the
+// recommender's current models by default) at once. Ask more questions than
+// answers are needed, since users skip the movies they have not seen.
+class OnboardingSession {
+    constructor(recommender, userId, questions, options = {}) {
+        this.recommender = recommender;
+        this.userId = userId;
+        this.questions = questions;
+        this.target = options.answers || 10;
+        this.models = options.models || null;
+        this.position = 0;
+        this.answers = [];
+        this.skipped = [];
+    }
+
+    // Movie ID of the current question; null once done
+    get current() {
+        return this.done ? null : this.questions[this.position];
+    }
+
+    get done() {
+        return this.answers.length >= this.target || this.position >= this.questions.length;
+    }
+
+    // Records the rating of the current movie; returns the updated models
+    answer(rating) {
+        const movieId = this.current;
+        if (movieId === null) {
+            throw new Error('Onboarding is already complete');
+        }
+        this.recommender.addInteraction(this.userId, movieId, rating);
+        this.answers.push({ movieId, rating });
+        this.position++;
+        return this.models
+            ? this.recommender.foldIn(this.userId, this.models)
+            : this.recommender.foldIn(this.userId);
+    }
+
+    // The user has not seen the current movie
+    skip() {
+        if (this.current === null) return;
+        this.skipped.push(this.current);
+        this.position++;
+    }
+}
+
+// Simulates onboarding on held-out users. Trains createModel() without
+// them, then replays each user's own ratings of the onboarding questions
+// one answer at a time (skipping movies they never rated), folding each into
+// the model, and scores the top K after every answer against the rest of
+// their ratings. Only users who can answer `answers` questions count, so
+// every row averages over the same users.
+// Returns { questions, rows, convergedAt }: one row per answer count with
+// the mean NDCG/recall@K (RMSE for explicit models) and the same metrics for
+// a most-popular list as reference; convergedAt is the first answer count
+// reaching 90% of the final NDCG gain over no answers.
+async function measureOnboardingConvergence(recommender, options = {}) {
+    const {
+        createModel,
+        strategy = 'informative',
+        trainOptions = {},
+        epochs = 20,
+        users = 50,
+        answers: maxAnswers = 10,
+        questions: questionCount = 40,
+        minUserRatings = 40,
+        relevanceThreshold = 4,
+        k = 10
+    } = options;
+    const random = createRandom(options.seed);
+
+    const byUser = new Map();
+    recommender.trainingData.forEach(interaction => {
+        if (!byUser.has(interaction.userId)) byUser.set(interaction.userId, []);
+        byUser.get(interaction.userId).push(interaction);
+    });
+    const eligible = Array.from(byUser.keys()).filter(userId => byUser.get(userId).length >= minUserRatings);
+    const heldOut = new Set(shuffleInPlace(eligible, random).slice(0, users));
+    if (heldOut.size === 0) {
+        throw new Error(`No user has the ${minUserRatings} ratings needed to simulate onboarding`);
+    }
+
+    const train = recommender.trainingData.filter(({ userId }) => !heldOut.has(userId));
+    const model = createModel();
+    if (typeof model.foldInUser !== 'function') {
+        throw new Error(`${model.constructor.name} cannot fold in new users, so onboarding cannot be simulated with it`);
+    }
+    console.log(`Onboarding simulation: training on ${train.length} interactions, ${heldOut.size} held-out users`);
+    await model.train(train, epochs, { ...trainOptions, seed: random.seed });
+
+    const questions = selectOnboardingItems(train, questionCount, { strategy, model, movies: recommender.movies });
+    const popular = movieRatingStats(train, 1).sort((a, b) => b.count - a.count).map(({ movieId }) => movieId);
+    const explicit = model.feedback !== 'implicit';
+    const totals = Array.from({length: maxAnswers + 1}, () => ({
+        users: 0, ndcg: 0, recall: 0, popularNdcg: 0, popularRecall: 0, pairs: []
+    }));
+
+    for (const userId of heldOut) {
+        const ratings = new Map(byUser.get(userId).map(({ movieId, rating }) => [movieId, rating]));
+        const answered = questions.filter(movieId => ratings.has(movieId)).slice(0, maxAnswers);
+        const answeredSet = new Set(answered);
+        const test = byUser.get(userId).filter(({ movieId }) => !answeredSet.has(movieId));
+        const relevant = new Set(test.filter(({ rating }) => rating >= relevanceThreshold).map(({ movieId }) => movieId));
+        if (answered.length < maxAnswers || relevant.size === 0) continue;
+
+        // Candidates exclude every answer, so all rows rank the same pool
+        const candidates = Array.from(recommender.movieIds).filter(movieId => !answeredSet.has(movieId));
+        const popularRanked = popular.filter(movieId => !answeredSet.has(movieId)).slice(0, k);
+        for (let n = 0; n <= maxAnswers; n++) {
+            if (n > 0) {
+                model.foldInUser(userId, answered.slice(0, n).map(movieId => ({ userId, movieId, rating: ratings.get(movieId) })));
+            }
+            const ranked = (await model.recommend(userId, candidates, k)).map(({ movieId }) => movieId);
+            const row = totals[n];
+            row.users++;
+            row.ndcg += ndcgAtK(ranked, relevant, k);
+            row.recall += recallAtK(ranked, relevant, k);
+            row.popularNdcg += ndcgAtK(popularRanked, relevant, k);
+            row.popularRecall += recallAtK(popularRanked, relevant, k);
+            if (explicit) {
+                test.forEach(({ movieId, rating }) => row.pairs.push({ predicted: model.predict(userId, movieId), actual: rating }));
+            }
+        }
+    }
+
+    if (totals[0].users === 0) {
+        throw new Error(`No held-out user could answer ${maxAnswers} of the ${questions.length} questions`);
+    }
+
+    const rows = totals.map(({ users: count, ndcg, recall, popularNdcg, popularRecall, pairs }, answers) => ({
+        answers,
+        users: count,
+        ndcg: ndcg / count,
+        recall: recall / count,
+        rmse: explicit ? rmse(pairs) : NaN,
+        popularNdcg: popularNdcg / count,
+        popularRecall: popularRecall / count
+    }));
+
+    const first = rows[0].ndcg;
+    const gain = rows[rows.length - 1].ndcg - first;
+    const converged = rows.find(row => gain <= 0 || row.ndcg - first >= 0.9 * gain);
+    return { questions, rows, convergedAt: converged ? converged.answers : null };
+}
+
+// Export for CommonJS
+module.exports = {
+    ONBOARDING_STRATEGIES,
+    movieRatingStats,
+    selectOnboardingItems,
+    OnboardingSession,
+    measureOnboardingConvergence
+};
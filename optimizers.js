@@ -0,0 +1,372 @@
+// Optimizers, learning-rate schedules and validation-based early stopping.
+//
+// Optimizers update a parameter buffer in place from an accumulated gradient
+// buffer and clear the gradient. Per-parameter state (momentum, squared
+// gradient averages) lives in "slot" buffers owned by whoever owns the
+// parameters, so embedding tables can update only their touched rows.
+
+class Optimizer {
+    constructor(options = {}) {
+        this.iterations = 0;
+        this.options = options;
+    }
+
+    get slotCount() {
+        return 0;
+    }
+
+    // True for momentum-free SGD, which the engine applies inline
+    get plain() {
+        return false;
+    }
+
+    // True when update() decays the parameters itself (AdamW), so callers
+    // leave out their own L2 gradient term
+    get decoupledDecay() {
+        return false;
+    }
+
+    // Called once per mini-batch before any update()
+    beginStep() {
+        this.iterations++;
+    }
+
+    update(params, grads, slots, start, end, learningRate) {
+        throw new Error('update() must be implemented by the optimizer');
+    }
+}
+
+class SGD extends Optimizer {
+    constructor(options = {}) {
+        super(options);
+        this.momentum = options.momentum || 0;
+    }
+
+    get slotCount() {
+        return this.momentum > 0 ? 1 : 0;
+    }
+
+    get plain() {
+        return this.momentum === 0;
+    }
+
+    update(params, grads, slots, start, end, learningRate) {
+        if (this.momentum > 0) {
+            const velocity = slots[0];
+            for (let i = start; i < end; i++) {
+                velocity[i] = this.momentum * velocity[i] + grads[i];
+                params[i] -= learningRate * velocity[i];
+                grads[i] = 0;
+            }
+            return;
+        }
+
+        for (let i = start; i < end; i++) {
+            params[i] -= learningRate * grads[i];
+            grads[i] = 0;
+        }
+    }
+}
+
+class AdaGrad extends Optimizer {
+    constructor(options = {}) {
+        super(options);
+        this.epsilon = options.epsilon || 1e-8;
+    }
+
+    get slotCount() {
+        return 1;
+    }
+
+    update(params, grads, slots, start, end, learningRate) {
+        const accumulator = slots[0];
+        for (let i = start; i < end; i++) {
+            accumulator[i] += grads[i] * grads[i];
+            params[i] -= learningRate * grads[i] / (Math.sqrt(accumulator[i]) + this.epsilon);
+            grads[i] = 0;
+        }
+    }
+}
+
+// Adam with a global step counter; rows of an embedding table that a batch
+// does not touch keep their moments unchanged (lazy Adam).
+class Adam extends Optimizer {
+    constructor(options = {}) {
+        super(options);
+        this.beta1 = options.beta1 ?? 0.9;
+        this.beta2 = options.beta2 ?? 0.999;
+        this.epsilon = options.epsilon || 1e-8;
+        this.weightDecay = 0;
+    }
+
+    get slotCount() {
+        return 2;
+    }
+
+    get decoupledDecay() {
+        return this.weightDecay > 0;
+    }
+
+    update(params, grads, slots, start, end, learningRate) {
+        const [m, v] = slots;
+        const t = Math.max(this.iterations, 1);
+        const correction1 = 1 - Math.pow(this.beta1, t);
+        const correction2 = 1 - Math.pow(this.beta2, t);
+
+        for (let i = start; i < end; i++) {
+            // AdamW: weight decay decoupled from the adaptive gradient step
+            if (this.weightDecay > 0) {
+                params[i] -= learningRate * this.weightDecay * params[i];
+            }
+            m[i] = this.beta1 * m[i] + (1 - this.beta1) * grads[i];
+            v[i] = this.beta2 * v[i] + (1 - this.beta2) * grads[i] * grads[i];
+            params[i] -= learningRate * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + this.epsilon);
+            grads[i] = 0;
+        }
+    }
+}
+
+class AdamW extends Adam {
+    constructor(options = {}) {
+        super(options);
+        this.weightDecay = options.weightDecay !== undefined ? options.weightDecay : 0.01;
+    }
+}
+
+const OPTIMIZERS = {
+    sgd: (options) => new SGD(options),
+    momentum: (options) => new SGD({ momentum: 0.9, ...options }),
+    adagrad: (options) => new AdaGrad(options),
+    adam: (options) => new Adam(options),
+    adamw: (options) => new AdamW(options)
+};
+
+// Accepts a name ('adam') or an object ({ type: 'adam', beta1: 0.8 })
+function createOptimizer(config = 'sgd') {
+    const { type, ...options } = typeof config === 'string' ? { type: config } : config;
+    const factory = OPTIMIZERS[type];
+    if (!factory) {
+        throw new Error(`Unknown optimizer: ${type}`);
+    }
+    return factory(options);
+}
+
+// Schedules map an epoch to a multiplier of the model's base learning rate.
+
+class ConstantSchedule {
+    factor() {
+        return 1;
+    }
+}
+
+class StepSchedule {
+    constructor(options = {}) {
+        this.stepSize = options.stepSize || 10;
+        this.gamma = options.gamma || 0.5;
+    }
+
+    factor(epoch) {
+        return Math.pow(this.gamma, Math.floor(epoch / this.stepSize));
+    }
+}
+
+class CosineSchedule {
+    constructor(options = {}) {
+        this.epochs = options.epochs || 100;
+        this.minFactor = options.minFactor || 0;
+    }
+
+    factor(epoch) {
+        const progress = Math.min(epoch / Math.max(this.epochs - 1, 1), 1);
+        return this.minFactor + (1 - this.minFactor) * 0.5 * (1 + Math.cos(Math.PI * progress));
+    }
+}
+
+// Linear warmup over the first epochs, then hands over to another schedule
+class WarmupSchedule {
+    constructor(options = {}) {
+        this.warmupEpochs = options.warmupEpochs || 5;
+        this.after = createSchedule(options.after || 'constant', options);
+    }
+
+    factor(epoch, trainLoss) {
+        if (epoch < this.warmupEpochs) {
+            return (epoch + 1) / (this.warmupEpochs + 1);
+        }
+        return this.after.factor(epoch - this.warmupEpochs, trainLoss);
+    }
+}
+
+// Multiplies the rate by `decay` whenever the training loss went up; this is
+// the behaviour MLPModel always had before schedules were configurable.
+class PlateauSchedule {
+    constructor(options = {}) {
+        this.decay = options.decay || 0.95;
+        this.current = 1;
+        this.previousLoss = Infinity;
+    }
+
+    factor(epoch, trainLoss) {
+        if (trainLoss !== undefined) {
+            if (trainLoss > this.previousLoss) this.current *= this.decay;
+            this.previousLoss = trainLoss;
+        }
+        return this.current;
+    }
+}
+
+const SCHEDULES = {
+    constant: ConstantSchedule,
+    step: StepSchedule,
+    cosine: CosineSchedule,
+    warmup: WarmupSchedule,
+    plateau: PlateauSchedule
+};
+
+function createSchedule(config = 'constant', defaults = {}) {
+    const { type, ...options } = typeof config === 'string' ? { type: config } : config;
+    const Schedule = SCHEDULES[type];
+    if (!Schedule) {
+        throw new Error(`Unknown learning rate schedule: ${type}`);
+    }
+    return new Schedule({ ...defaults, ...options });
+}
+
+// Model fields that the schedule scales; MLPModel has a separate embedding rate
+const LEARNING_RATE_FIELDS = ['learningRate', 'embeddingLearningRate'];
+
+// Drives the epoch loop of a model's train(): learning rate per epoch,
+// validation loss, early stopping and checkpoint restore.
+//
+// With `validation` interactions it stops after `patience` epochs without a
+// validation improvement of at least `minDelta` and restores the best
+// checkpoint. Without them it keeps the old rule of stopping once the
+// training loss changes by less than `minDelta` after `minEpochs`.
+class TrainingMonitor {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.name = options.name || model.constructor.name;
+        this.validation = options.validation && options.validation.length > 0 ? options.validation : null;
+        this.patience = options.patience || 5;
+        this.minDelta = options.minDelta !== undefined ? options.minDelta : 0.0001;
+        this.minEpochs = options.minEpochs || 10;
+        this.baseRates = LEARNING_RATE_FIELDS
+            .filter(field => typeof model[field] === 'number')
+            .map(field => [field, model[field]]);
+        this.schedule = createSchedule(options.schedule || 'constant', { epochs: options.epochs });
+        this.epochs = options.epochs;
+        this.onEpoch = options.onEpoch || null;
+        this.signal = options.signal || null;
+        this.startTime = Date.now();
+        this.cancelled = false;
+
+        this.losses = [];
+        this.validationLosses = [];
+        this.bestLoss = Infinity;
+        this.bestEpoch = -1;
+        this.checkpoint = null;
+        this.previousLoss = Infinity;
+        this.lastTrainLoss = undefined;
+        this.factor = 1;
+    }
+
+    // Learning-rate multiplier for the coming epoch
+    startEpoch(epoch) {
+        this.factor = this.schedule.factor(epoch, this.lastTrainLoss);
+        this.baseRates.forEach(([field, rate]) => { this.model[field] = rate * this.factor; });
+        return this.factor;
+    }
+
+    // Records the epoch and resolves to true when training should stop. With
+    // an onEpoch callback or abort signal it yields to the event loop after
+    // every epoch, so progress can be painted and a cancel request handled.
+    async endEpoch(epoch, trainLoss) {
+        this.losses.push(trainLoss);
+        this.lastTrainLoss = trainLoss;
+
+        let stop = false;
+        if (this.validation) {
+            const validationLoss = this.model.computeLoss(this.validation);
+            this.validationLosses.push(validationLoss);
+
+            if (validationLoss < this.bestLoss - this.minDelta) {
+                this.bestLoss = validationLoss;
+                this.bestEpoch = epoch;
+                this.checkpoint = this.model.getCheckpoint();
+            } else if (epoch - this.bestEpoch >= this.patience) {
+                console.log(`${this.name} early stopping at epoch ${epoch}, best validation loss ` +
+                    `${this.bestLoss.toFixed(4)} at epoch ${this.bestEpoch}`);
+                stop = true;
+            }
+        } else if (Math.abs(this.previousLoss - trainLoss) < this.minDelta && epoch > this.minEpochs) {
+            console.log(`${this.name} early stopping at epoch ${epoch}`);
+            stop = true;
+        }
+        this.previousLoss = trainLoss;
+
+        if (epoch % 20 === 0) {
+            const validationText = this.validation
+                ? `, Validation: ${this.validationLosses[this.validationLosses.length - 1].toFixed(4)}`
+                : '';
+            console.log(`${this.name} Epoch ${epoch}, Loss: ${trainLoss.toFixed(4)}${validationText}, ` +
+                `LR: ${this.model.learningRate.toFixed(6)}`);
+        }
+
+        if (this.onEpoch) {
+            const elapsedMs = Date.now() - this.startTime;
+            this.onEpoch({
+                epoch,
+                epochs: this.epochs,
+                loss: trainLoss,
+                validationLoss: this.validation ? this.validationLosses[this.validationLosses.length - 1] : null,
+                learningRate: this.model.learningRate,
+                elapsedMs,
+                // Upper bound: early stopping may end training sooner
+                etaMs: elapsedMs / (epoch + 1) * Math.max(this.epochs - epoch - 1, 0)
+            });
+        }
+        if (this.onEpoch || this.signal) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (this.signal && this.signal.aborted) {
+            console.log(`${this.name} training cancelled at epoch ${epoch}`);
+            this.cancelled = true;
+            stop = true;
+        }
+        return stop;
+    }
+
+    // Restores the base learning rates and the best checkpoint, and stores the
+    // loss curves on the model. Throws an AbortError if training was cancelled.
+    finish() {
+        this.baseRates.forEach(([field, rate]) => { this.model[field] = rate; });
+        if (this.cancelled) {
+            const error = new Error(`${this.name} training cancelled`);
+            error.name = 'AbortError';
+            throw error;
+        }
+        if (this.checkpoint) {
+            this.model.restoreCheckpoint(this.checkpoint);
+        }
+        this.model.lossHistory = this.losses;
+        this.model.validationLossHistory = this.validationLosses;
+        return this.losses;
+    }
+}
+
+// Export for CommonJS
+module.exports = {
+    Optimizer,
+    SGD,
+    AdaGrad,
+    Adam,
+    AdamW,
+    createOptimizer,
+    ConstantSchedule,
+    StepSchedule,
+    CosineSchedule,
+    WarmupSchedule,
+    PlateauSchedule,
+    createSchedule,
+    TrainingMonitor
+};
@@ -0,0 +1,267 @@
+// 2-D projections of embedding vectors for visualization: PCA by power
+// iteration on the covariance matrix, and exact t-SNE for small catalogs.
+// Both take an array of equal-length numeric vectors and return points as
+// [x, y] arrays in the same order.
+const { createRandom } = require('./random.js');
+
+function columnMeans(vectors, dim) {
+    const mean = new Float64Array(dim);
+    vectors.forEach(vector => {
+        for (let i = 0; i < dim; i++) mean[i] += vector[i];
+    });
+    return mean.map(value => value / Math.max(vectors.length, 1));
+}
+
+// Principal components by power iteration with deflation. Returns the
+// projected points plus what is needed to project further vectors (e.g. a
+// user embedding) into the same plane. The starting vectors come from a fixed
+// seed so redrawing the same embeddings keeps the axes' orientation.
+function pca(vectors, options = {}) {
+    const { components = 2, iterations = 200, tolerance = 1e-10, seed = 1 } = options;
+    const random = createRandom(seed);
+    if (vectors.length === 0) {
+        return { points: [], mean: [], components: [], explainedVariance: [], project: () => [0, 0] };
+    }
+
+    const dim = vectors[0].length;
+    const mean = columnMeans(vectors, dim);
+    const covariance = new Float64Array(dim * dim);
+    vectors.forEach(vector => {
+        for (let i = 0; i < dim; i++) {
+            const di = vector[i] - mean[i];
+            for (let j = i; j < dim; j++) {
+                covariance[i * dim + j] += di * (vector[j] - mean[j]);
+            }
+        }
+    });
+    const scale = 1 / Math.max(vectors.length - 1, 1);
+    for (let i = 0; i < dim; i++) {
+        for (let j = i; j < dim; j++) {
+            covariance[i * dim + j] *= scale;
+            covariance[j * dim + i] = covariance[i * dim + j];
+        }
+    }
+
+    let totalVariance = 0;
+    for (let i = 0; i < dim; i++) totalVariance += covariance[i * dim + i];
+
+    const axes = [];
+    const variances = [];
+    for (let c = 0; c < Math.min(components, dim); c++) {
+        let axis = Float64Array.from({length: dim}, () => random() - 0.5);
+        let eigenvalue = 0;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const next = new Float64Array(dim);
+            for (let i = 0; i < dim; i++) {
+                for (let j = 0; j < dim; j++) next[i] += covariance[i * dim + j] * axis[j];
+            }
+            const norm = Math.sqrt(next.reduce((sum, value) => sum + value * value, 0));
+            if (norm === 0) break;
+            next.forEach((value, i) => { next[i] = value / norm; });
+
+            let change = 0;
+            for (let i = 0; i < dim; i++) change += Math.abs(Math.abs(next[i]) - Math.abs(axis[i]));
+            axis = next;
+            eigenvalue = norm;
+            if (change < tolerance) break;
+        }
+
+        // Remove this component before looking for the next one
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j < dim; j++) covariance[i * dim + j] -= eigenvalue * axis[i] * axis[j];
+        }
+        axes.push(Array.from(axis));
+        variances.push(totalVariance > 0 ? eigenvalue / totalVariance : 0);
+    }
+
+    const project = vector => axes.map(axis => {
+        let value = 0;
+        for (let i = 0; i < dim; i++) value += (vector[i] - mean[i]) * axis[i];
+        return value;
+    });
+
+    return {
+        points: vectors.map(project),
+        mean: Array.from(mean),
+        components: axes,
+        explainedVariance: variances,
+        project
+    };
+}
+
+// Conditional probabilities p(j|i) with a per-point Gaussian bandwidth found
+// by binary search so that each row has the requested perplexity.
+function affinities(distances, n, perplexity) {
+    const P = new Float64Array(n * n);
+    const targetEntropy = Math.log(perplexity);
+
+    for (let i = 0; i < n; i++) {
+        let beta = 1;
+        let low = -Infinity;
+        let high = Infinity;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            let sum = 0;
+            let weighted = 0;
+            for (let j = 0; j < n; j++) {
+                if (j === i) continue;
+                const p = Math.exp(-distances[i * n + j] * beta);
+                P[i * n + j] = p;
+                sum += p;
+                weighted += distances[i * n + j] * p;
+            }
+            sum = Math.max(sum, 1e-300);
+            const entropy = Math.log(sum) + beta * weighted / sum;
+            for (let j = 0; j < n; j++) P[i * n + j] /= sum;
+
+            const difference = entropy - targetEntropy;
+            if (Math.abs(difference) < 1e-5) break;
+            if (difference > 0) {
+                low = beta;
+                beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+            } else {
+                high = beta;
+                beta = low === -Infinity ? beta / 2 : (beta + low) / 2;
+            }
+        }
+    }
+
+    // Symmetrize into joint probabilities
+    const joint = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            joint[i * n + j] = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+        }
+    }
+    return joint;
+}
+
+// Exact O(n²) t-SNE (van der Maaten & Hinton, 2008) with early exaggeration,
+// momentum and per-parameter gains. Starts from the scaled PCA layout so
+// runs are stable. Fine for a few thousand points.
+function tsne(vectors, options = {}) {
+    const {
+        perplexity = 30,
+        iterations = 300,
+        learningRate = 200,
+        exaggeration = 12,
+        exaggerationIterations = 100,
+        onProgress = null
+    } = options;
+    const n = vectors.length;
+    if (n < 3) return { points: vectors.map(() => [0, 0]) };
+
+    const dim = vectors[0].length;
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let d = 0;
+            for (let k = 0; k < dim; k++) d += (vectors[i][k] - vectors[j][k]) ** 2;
+            distances[i * n + j] = d;
+            distances[j * n + i] = d;
+        }
+    }
+    const P = affinities(distances, n, Math.min(perplexity, (n - 1) / 3));
+
+    const initial = pca(vectors).points;
+    const spread = Math.sqrt(initial.reduce((sum, [x]) => sum + x * x, 0) / n) || 1;
+    const Y = new Float64Array(n * 2);
+    initial.forEach(([x, y], i) => {
+        Y[2 * i] = x / spread * 1e-4;
+        Y[2 * i + 1] = (y || 0) / spread * 1e-4;
+    });
+
+    const velocity = new Float64Array(n * 2);
+    const gains = new Float64Array(n * 2).fill(1);
+    const gradient = new Float64Array(n * 2);
+    const numerators = new Float64Array(n * n);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const exaggerate = iteration < exaggerationIterations ? exaggeration : 1;
+        const momentum = iteration < 250 ? 0.5 : 0.8;
+
+        // Student-t kernel between all pairs
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = Y[2 * i] - Y[2 * j];
+                const dy = Y[2 * i + 1] - Y[2 * j + 1];
+                const q = 1 / (1 + dx * dx + dy * dy);
+                numerators[i * n + j] = q;
+                numerators[j * n + i] = q;
+                sum += 2 * q;
+            }
+        }
+
+        gradient.fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                const q = numerators[i * n + j];
+                const force = 4 * (exaggerate * P[i * n + j] - q / sum) * q;
+                gradient[2 * i] += force * (Y[2 * i] - Y[2 * j]);
+                gradient[2 * i + 1] += force * (Y[2 * i + 1] - Y[2 * j + 1]);
+            }
+        }
+
+        for (let k = 0; k < n * 2; k++) {
+            const sameDirection = Math.sign(gradient[k]) === Math.sign(velocity[k]);
+            gains[k] = Math.max(sameDirection ? gains[k] * 0.8 : gains[k] + 0.2, 0.01);
+            velocity[k] = momentum * velocity[k] - learningRate * gains[k] * gradient[k];
+            Y[k] += velocity[k];
+        }
+
+        // Keep the layout centred
+        let meanX = 0;
+        let meanY = 0;
+        for (let i = 0; i < n; i++) {
+            meanX += Y[2 * i];
+            meanY += Y[2 * i + 1];
+        }
+        for (let i = 0; i < n; i++) {
+            Y[2 * i] -= meanX / n;
+            Y[2 * i + 1] -= meanY / n;
+        }
+
+        if (onProgress && iteration % 50 === 0) onProgress(iteration, iterations);
+    }
+
+    return { points: Array.from({length: n}, (_, i) => [Y[2 * i], Y[2 * i + 1]]) };
+}
+
+// Places an out-of-sample vector (e.g. a user embedding in a t-SNE layout) at
+// the similarity-weighted mean position of its `k` highest-scoring items.
+function placeByNeighbors(vector, vectors, points, k = 10) {
+    const scored = vectors.map((other, i) => {
+        let dot = 0;
+        for (let d = 0; d < vector.length; d++) dot += vector[d] * other[d];
+        return { i, dot };
+    }).sort((a, b) => b.dot - a.dot).slice(0, k);
+
+    const low = scored[scored.length - 1].dot;
+    let totalWeight = 0;
+    let x = 0;
+    let y = 0;
+    scored.forEach(({ i, dot }) => {
+        const weight = dot - low + 1e-6;
+        x += weight * points[i][0];
+        y += weight * points[i][1];
+        totalWeight += weight;
+    });
+    return [x / totalWeight, y / totalWeight];
+}
+
+// Tab-separated vectors and metadata in the format external embedding
+// viewers (e.g. the TensorBoard projector) load: one row per item, vectors
+// without a header, metadata with one.
+function toVectorsTSV(vectors) {
+    return vectors.map(vector => Array.from(vector, value => Number(value).toPrecision(6)).join('\t')).join('\n') + '\n';
+}
+
+function toMetadataTSV(rows, columns) {
+    const clean = value => String(value === null || value === undefined ? '' : value).replace(/[\t\n\r]/g, ' ');
+    const lines = [columns.join('\t'), ...rows.map(row => columns.map(column => clean(row[column])).join('\t'))];
+    return lines.join('\n') + '\n';
+}
+
+// Export for CommonJS
+module.exports = { pca, tsne, placeByNeighbors, toVectorsTSV, toMetadataTSV };
@@ -0,0 +1,37 @@
+// Seedable pseudo-random numbers. Everything that draws random numbers
+// (initialization, shuffling, dropout, negative sampling, splits, k-means)
+// takes a generator from createRandom() so a run can be repeated from its seed.
+
+// A fresh 32-bit seed; the only place that reads Math.random()
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// mulberry32: a small, fast generator with 32 bits of state. Returns a
+// function with the same contract as Math.random(), carrying its seed. A
+// missing (undefined or null) seed draws a fresh one.
+function createRandom(seed) {
+    if (seed === undefined || seed === null) seed = randomSeed();
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+    random.seed = seed >>> 0;
+    return random;
+}
+
+// Unbiased Fisher-Yates shuffle
+function shuffleInPlace(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// Export for CommonJS
+module.exports = { randomSeed, createRandom, shuffleInPlace };
@@ -0,0 +1,309 @@
+// Post-processing around a model's recommend(): business-rule filters and
+// diversity re-ranking. Every rule that removes an item records why.
+//
+// Rules come in two stages:
+//   'filter' rules decide per item, before the model ranks the candidates
+//   'rerank' rules see the ranked list (over-fetched from the model) and may
+//            reorder or drop items
+// Each result carries `dropped: [{ movieId, rule, reason }]`.
+
+class ExcludeSeenRule {
+    constructor() {
+        this.name = 'exclude-seen';
+        this.stage = 'filter';
+    }
+
+    check(movieId, context) {
+        return context.seen.has(movieId) ? 'already rated by the user' : null;
+    }
+}
+
+// include: the movie needs at least one of these genres
+// exclude: the movie may have none of these genres
+class GenreFilterRule {
+    constructor(options = {}) {
+        this.name = 'genre-filter';
+        this.stage = 'filter';
+        this.include = new Set(options.include || []);
+        this.exclude = new Set(options.exclude || []);
+    }
+
+    check(movieId, context) {
+        const genres = context.genresOf(movieId);
+        const excluded = genres.find(genre => this.exclude.has(genre));
+        if (excluded) {
+            return `genre ${excluded} is excluded`;
+        }
+        if (this.include.size > 0 && !genres.some(genre => this.include.has(genre))) {
+            return `none of the genres ${[...this.include].join(', ')}`;
+        }
+        return null;
+    }
+}
+
+// Inclusive release-year range; either end may be left open
+class YearRangeRule {
+    constructor(options = {}) {
+        this.name = 'year-range';
+        this.stage = 'filter';
+        this.min = options.min !== undefined ? options.min : null;
+        this.max = options.max !== undefined ? options.max : null;
+    }
+
+    check(movieId, context) {
+        const movie = context.movies.get(movieId);
+        const year = movie ? movie.year : null;
+        if (year === null || year === undefined) {
+            return 'release year unknown';
+        }
+        if (this.min !== null && year < this.min) {
+            return `released ${year}, before ${this.min}`;
+        }
+        if (this.max !== null && year > this.max) {
+            return `released ${year}, after ${this.max}`;
+        }
+        return null;
+    }
+}
+
+// Keeps at most `maxPerGenre` items of each genre, in ranked order. A movie
+// counts towards every one of its genres.
+class GenreCapRule {
+    constructor(options = {}) {
+        this.name = 'genre-cap';
+        this.stage = 'rerank';
+        this.maxPerGenre = options.maxPerGenre || 2;
+    }
+
+    apply(ranked, context, drop) {
+        const counts = new Map();
+        return ranked.filter(rec => {
+            const genres = context.genresOf(rec.movieId);
+            const full = genres.find(genre => (counts.get(genre) || 0) >= this.maxPerGenre);
+            if (full) {
+                drop(rec.movieId, `${full} already has ${this.maxPerGenre} items`);
+                return false;
+            }
+            genres.forEach(genre => counts.set(genre, (counts.get(genre) || 0) + 1));
+            return true;
+        });
+    }
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Maximal marginal relevance: greedily picks the item maximizing
+// lambda * relevance - (1 - lambda) * max cosine similarity to the items
+// already picked. Relevance is the model score min-max scaled over the pool.
+// Items without a vector count as dissimilar to everything.
+class MMRRule {
+    constructor(options = {}) {
+        this.name = 'mmr';
+        this.stage = 'rerank';
+        this.lambda = options.lambda !== undefined ? options.lambda : 0.7;
+    }
+
+    apply(ranked, context, drop) {
+        if (ranked.length === 0) return ranked;
+
+        const scores = ranked.map(rec => rec.score);
+        const low = Math.min(...scores);
+        const range = Math.max(...scores) - low || 1;
+        const vectors = ranked.map(rec => context.itemVector(rec.movieId));
+
+        const remaining = ranked.map((rec, i) => i);
+        const picked = [];
+        const maxSimilarity = new Float64Array(ranked.length).fill(-Infinity);
+        while (picked.length < context.topK && remaining.length > 0) {
+            let bestPosition = 0;
+            let bestValue = -Infinity;
+            remaining.forEach((i, position) => {
+                const relevance = (ranked[i].score - low) / range;
+                const value = this.lambda * relevance - (1 - this.lambda) * (picked.length > 0 ? maxSimilarity[i] : 0);
+                if (value > bestValue) {
+                    bestValue = value;
+                    bestPosition = position;
+                }
+            });
+
+            const [chosen] = remaining.splice(bestPosition, 1);
+            picked.push(chosen);
+            remaining.forEach(i => {
+                const similarity = vectors[i] && vectors[chosen] ? cosineSimilarity(vectors[i], vectors[chosen]) : 0;
+                if (similarity > maxSimilarity[i]) maxSimilarity[i] = similarity;
+            });
+        }
+
+        // Items that would have made the top K on relevance alone
+        remaining
+            .filter(i => i < context.topK)
+            .forEach(i => drop(ranked[i].movieId, 'displaced by more diverse items'));
+        return picked.map(i => ranked[i]);
+    }
+}
+
+// Trades relevance for the long tail: reorders the pool by
+// (1 - weight) * relevance - weight * popularity, both min-max scaled over
+// the pool. Popularity is the log of how many users rated the movie, so
+// weight 0 keeps the model's order.
+class PopularityPenaltyRule {
+    constructor(options = {}) {
+        this.name = 'popularity-penalty';
+        this.stage = 'rerank';
+        this.weight = options.weight !== undefined ? options.weight : 0.3;
+    }
+
+    apply(ranked, context, drop) {
+        if (ranked.length === 0) return ranked;
+
+        const scale = values => {
+            const low = Math.min(...values);
+            const range = Math.max(...values) - low || 1;
+            return values.map(value => (value - low) / range);
+        };
+        const relevance = scale(ranked.map(rec => rec.score));
+        const popularity = scale(ranked.map(rec => Math.log1p(context.popularity(rec.movieId))));
+        const value = i => (1 - this.weight) * relevance[i] - this.weight * popularity[i];
+        const order = ranked.map((rec, i) => i).sort((a, b) => value(b) - value(a) || a - b);
+
+        order.slice(context.topK)
+            .filter(i => i < context.topK)
+            .forEach(i => drop(ranked[i].movieId, 'displaced by less popular items'));
+        return order.map(i => ranked[i]);
+    }
+}
+
+const RULES = {
+    'exclude-seen': ExcludeSeenRule,
+    'genre-filter': GenreFilterRule,
+    'year-range': YearRangeRule,
+    'genre-cap': GenreCapRule,
+    mmr: MMRRule,
+    'popularity-penalty': PopularityPenaltyRule
+};
+
+// Accepts a rule instance, a name ('genre-cap') or { type, ...options }
+function createRule(config) {
+    if (typeof config === 'object' && config.stage) return config;
+    const { type, ...options } = typeof config === 'string' ? { type: config } : config;
+    const Rule = RULES[type];
+    if (!Rule) {
+        throw new Error(`Unknown recommendation rule: ${type}`);
+    }
+    return new Rule(options);
+}
+
+// movies: Map of movieId -> u.item movie ({ genres, year, ... })
+// interactions: the user history used by exclude-seen, and the rating
+//               counts used by popularity-penalty
+// Seen items are excluded unless `excludeSeen: false`.
+class RecommendationPipeline {
+    constructor(options = {}) {
+        this.movies = options.movies || new Map();
+        // How many ranked items to request from the model per requested item
+        // when rerank rules may remove some
+        this.overfetch = options.overfetch || 5;
+        this.rules = [];
+        this.setInteractions(options.interactions || []);
+        if (options.excludeSeen !== false) this.add('exclude-seen');
+        (options.rules || []).forEach(rule => this.add(rule));
+    }
+
+    setInteractions(interactions) {
+        this.seenByUser = new Map();
+        this.ratingCounts = new Map();
+        interactions.forEach(({ userId, movieId }) => {
+            if (!this.seenByUser.has(userId)) this.seenByUser.set(userId, new Set());
+            this.seenByUser.get(userId).add(movieId);
+            this.ratingCounts.set(movieId, (this.ratingCounts.get(movieId) || 0) + 1);
+        });
+        return this;
+    }
+
+    add(rule) {
+        this.rules.push(createRule(rule));
+        return this;
+    }
+
+    createContext(model, userId, topK) {
+        return {
+            userId,
+            topK,
+            movies: this.movies,
+            seen: this.seenByUser.get(userId) || new Set(),
+            genresOf: movieId => {
+                const movie = this.movies.get(movieId);
+                return movie ? movie.genres : [];
+            },
+            itemVector: movieId => model.getItemVector ? model.getItemVector(movieId) : null,
+            popularity: movieId => this.ratingCounts.get(movieId) || 0
+        };
+    }
+
+    // Runs the filter rules, asks the model for a ranked pool and applies the
+    // rerank rules to it. Returns { recommendations, dropped }.
+    async recommend(model, userId, allMovieIds, topK = 5) {
+        const context = this.createContext(model, userId, topK);
+        const dropped = [];
+        const filters = this.rules.filter(rule => rule.stage === 'filter');
+        const rerankers = this.rules.filter(rule => rule.stage === 'rerank');
+
+        const candidates = allMovieIds.filter(movieId => {
+            for (const rule of filters) {
+                const reason = rule.check(movieId, context);
+                if (reason) {
+                    dropped.push({ movieId, rule: rule.name, reason });
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        // Rerank rules can remove most of the pool (e.g. a tight genre cap), so
+        // the pool doubles until topK items survive or the candidates run out
+        let poolSize = rerankers.length > 0 ? topK * this.overfetch : topK;
+        for (;;) {
+            const rerankDrops = [];
+            let ranked = await model.recommend(userId, candidates, poolSize);
+            for (const rule of rerankers) {
+                ranked = rule.apply(ranked, context, (movieId, reason) => rerankDrops.push({ movieId, rule: rule.name, reason }));
+            }
+
+            if (ranked.length >= topK || poolSize >= candidates.length) {
+                return { recommendations: ranked.slice(0, topK), dropped: [...dropped, ...rerankDrops] };
+            }
+            poolSize *= 2;
+        }
+    }
+}
+
+// Number of dropped items per rule, e.g. { 'exclude-seen': 272, 'genre-cap': 3 }
+function summarizeDrops(dropped) {
+    const counts = {};
+    dropped.forEach(({ rule }) => { counts[rule] = (counts[rule] || 0) + 1; });
+    return counts;
+}
+
+// Export for CommonJS
+module.exports = {
+    ExcludeSeenRule,
+    GenreFilterRule,
+    YearRangeRule,
+    GenreCapRule,
+    MMRRule,
+    PopularityPenaltyRule,
+    createRule,
+    cosineSimilarity,
+    RecommendationPipeline,
+    summarizeDrops
+};
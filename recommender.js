@@ -0,0 +1,371 @@
+// DOM-free recommender workflow shared by the browser app (app.js) and the
+// command-line tool (cli.js): data loading, the interaction store, model
+// construction, training, evaluation and filtered recommendations.
+const { buildModel, buildModelLike } = require('./model-registry.js');
+const { MovieLensDataset } = require('./movielens.js');
+const { ItemFeatureEncoder } = require('./item-features.js');
+const { Evaluator, splitInteractions, splitColdStartItems } = require('./evaluation.js');
+const { RecommendationPipeline, GenreFilterRule } = require('./recommendation-pipeline.js');
+const { ratingCounts, recommendationLists, beyondAccuracyReport } = require('./beyond-accuracy.js');
+const { embeddingNeighbors, ItemKNN } = require('./similar-items.js');
+const { explainRecommendations } = require('./explanations.js');
+const { randomSeed } = require('./random.js');
+
+// Split modes accepted by createSplit() (see splitInteractions()); the
+// temporal ones hold out the latest ratings by timestamp, per user or at one
+// global cut-off time
+const SPLIT_MODES = ['random', 'leave-last-out', 'temporal-user', 'temporal-global', 'cold-start-items'];
+
+class Recommender {
+    constructor() {
+        // Current models by registry name (see model-registry.js)
+        this.models = new Map();
+        this.userItemInteractions = new Map();
+        this.userIds = new Set();
+        this.movieIds = new Set();
+        this.movies = new Map();
+        this.dataset = null;
+        this.itemFeatureEncoder = null;
+        this.trainingData = [];
+        // Co-occurrence neighbors, kept in step with trainingData
+        this.itemKNN = new ItemKNN();
+        // Interactions added since the models were last fully trained, and
+        // how many of them call for a retrain (0: never)
+        this.pendingInteractions = 0;
+        this.retrainEvery = 0;
+    }
+
+    // Loads u.data and u.item from `basePath` (a directory, or URL prefix in
+    // the browser) and fits the item feature encoder on the catalog
+    async loadData(basePath = 'data') {
+        this.userItemInteractions.clear();
+        this.userIds.clear();
+        this.movieIds.clear();
+        this.trainingData = [];
+        this.pendingInteractions = 0;
+
+        this.dataset = await MovieLensDataset.load(basePath);
+        this.movies = this.dataset.movies;
+        this.dataset.ratings.forEach(({ userId, movieId, rating, timestamp }) => {
+            this.userItemInteractions.set(`${userId}-${movieId}`, rating);
+            this.userIds.add(userId);
+            this.trainingData.push({ userId, movieId, rating, timestamp });
+        });
+        // Every catalog entry is a candidate, not only the rated ones
+        this.movies.forEach((_, movieId) => this.movieIds.add(movieId));
+        this.itemKNN.fit(this.trainingData);
+        this.itemFeatureEncoder = new ItemFeatureEncoder().fit(this.movies);
+        return this.dataset;
+    }
+
+    formatMovie(movieId) {
+        const movie = this.movies.get(movieId);
+        if (!movie) return movieId;
+        return movie.genres.length > 0 ? `${movie.title} [${movie.genres.join(', ')}]` : movie.title;
+    }
+
+    // `timestamp` is in Unix seconds, like u.data; it defaults to now
+    addInteraction(userId, movieId, rating, timestamp = Math.floor(Date.now() / 1000)) {
+        if (!userId || !movieId || isNaN(rating) || rating < 1 || rating > 5) {
+            throw new Error('Please enter valid user ID, movie ID, and rating (1-5)');
+        }
+        if (!Number.isFinite(timestamp) || timestamp < 0) {
+            throw new Error(`Invalid timestamp: ${timestamp}`);
+        }
+
+        this.userItemInteractions.set(`${userId}-${movieId}`, rating);
+        this.userIds.add(userId);
+        this.movieIds.add(movieId);
+        const interaction = { userId, movieId, rating, timestamp };
+        this.trainingData.push(interaction);
+        this.itemKNN.add(interaction);
+        this.pendingInteractions++;
+        return interaction;
+    }
+
+    // The user's ratings, the latest one per movie
+    userInteractions(userId) {
+        const latest = new Map();
+        this.trainingData.forEach(interaction => {
+            if (interaction.userId === userId) latest.set(interaction.movieId, interaction);
+        });
+        return Array.from(latest.values());
+    }
+
+    // Folds the user's ratings into each trained model that supports it (see
+    // foldInUser()), so their recommendations reflect new interactions before
+    // the next retrain. Returns the models that were updated.
+    foldIn(userId, models = Array.from(this.models.values()), options = {}) {
+        const interactions = this.userInteractions(userId);
+        return models.filter(model => model.isTrained && model.foldInUser && model.foldInUser(userId, interactions, options));
+    }
+
+    // True once retrainEvery interactions have been added since the last
+    // full training run
+    get retrainDue() {
+        return this.retrainEvery > 0 && this.pendingInteractions >= this.retrainEvery;
+    }
+
+    // Call after a full retrain; `count` is the number of pending
+    // interactions it covered (all of them by default)
+    markTrained(count = this.pendingInteractions) {
+        this.pendingInteractions = Math.max(0, this.pendingInteractions - count);
+    }
+
+    createFeatureTwoTower() {
+        return this.createModel('twotower-features');
+    }
+
+    // A registered model by name (see model-registry.js); `hyperparameters`
+    // overrides its constructor defaults
+    createModel(name, hyperparameters = {}) {
+        return buildModel(name, hyperparameters, this);
+    }
+
+    // An untrained model with the architecture and hyperparameters of a saved
+    // one, for retraining it on an evaluation split
+    createModelLike(json) {
+        return buildModelLike(json, this);
+    }
+
+    // 'explicit' or 'implicit:<loss>:<sampler>', as in the app's feedback selector
+    static parseFeedbackMode(value) {
+        const [feedback, loss, sampler] = value.split(':');
+        if (feedback !== 'explicit' && feedback !== 'implicit') {
+            throw new Error(`Unknown feedback mode: ${value}`);
+        }
+        return feedback === 'implicit' ? { feedback, loss, sampler } : { feedback };
+    }
+
+    // Splits off a per-user validation set for early stopping
+    holdOutValidation(validationRatio = 0.1, seed) {
+        const { train, validation } = splitInteractions(this.trainingData, { validationRatio, testRatio: 0, seed });
+        return { train, validation };
+    }
+
+    // Trains `model` on `interactions` (all loaded ratings by default); a
+    // `validation` set enables early stopping
+    async train(model, options = {}) {
+        const { epochs = 100, interactions = this.trainingData, ...trainOptions } = options;
+        if (interactions.length < 10) {
+            throw new Error('Need at least 10 interactions to start training');
+        }
+        return model.train(interactions, epochs, trainOptions);
+    }
+
+    createSplit(mode = 'random', seed) {
+        // 'temporal' was the name of leave-last-out before the temporal modes
+        if (mode === 'temporal') mode = 'leave-last-out';
+        if (!SPLIT_MODES.includes(mode)) {
+            throw new Error(`Unknown split mode: ${mode} (expected one of ${SPLIT_MODES.join(', ')})`);
+        }
+        if (mode === 'cold-start-items') {
+            return splitColdStartItems(this.trainingData, { seed });
+        }
+        return splitInteractions(this.trainingData, { mode, seed });
+    }
+
+    // Trains every model on the split's train part and scores it on test.
+    // `models` maps a display name to a factory or { create, trainOptions };
+    // `seed` fixes both the split and every model's training run.
+    async evaluate(models, mode = 'random', options = {}) {
+        const { epochs = 100, k = 10, trainOptions = {}, seed } = options;
+        if (this.trainingData.length < 10) {
+            throw new Error('Need at least 10 interactions to evaluate');
+        }
+
+        const split = this.createSplit(mode, seed);
+        const evaluator = new Evaluator({ k });
+        const results = await evaluator.compare(models, split, Array.from(this.movieIds), epochs, { seed, ...trainOptions });
+        return { split, results, k };
+    }
+
+    // Evaluates the same models on each split mode with one seed, to show how
+    // far a random split, which trains on ratings made after the test ones,
+    // flatters them compared to temporal splits. Returns { seed, k, rows }:
+    // one row per mode and model with its split, metrics and `change`, the
+    // relative difference of every metric from that model's row on the first
+    // mode, or null when that row's metric is 0 or NaN.
+    async compareSplits(models, modes = ['random', 'temporal-user', 'temporal-global'], options = {}) {
+        const seed = options.seed === undefined || options.seed === null ? randomSeed() : options.seed;
+        const rows = [];
+        let k;
+        for (const mode of modes) {
+            const evaluation = await this.evaluate(models, mode, { ...options, seed });
+            k = evaluation.k;
+            evaluation.results.forEach(({ name, model, losses, metrics }) => {
+                const base = rows.find(row => row.name === name);
+                const change = {};
+                Object.keys(metrics).forEach(key => {
+                    if (key === 'k' || key === 'users') return;
+                    if (!base) {
+                        change[key] = 0;
+                        return;
+                    }
+                    // No relative change from a metric that is 0 or undefined (NaN)
+                    const from = base.metrics[key];
+                    change[key] = from !== 0 && Number.isFinite(from) && Number.isFinite(metrics[key])
+                        ? (metrics[key] - from) / from
+                        : null;
+                });
+                rows.push({ mode, name, model, losses, split: evaluation.split, metrics, change });
+            });
+        }
+        return { seed, k, rows };
+    }
+
+    // Whether the models only recommend blockbusters: trains them on one split
+    // like evaluate(), then for each popularity penalty weight (0: the model's
+    // own ranking, see the popularity-penalty rule) ranks the unseen movies for
+    // every user and reports the ranking metrics next to coverage, exposure
+    // Gini, diversity, novelty and the popularity-bias curve (see
+    // beyond-accuracy.js), with popularity counted on the train part.
+    // Returns { seed, k, split, rows: [{ name, penalty, model, metrics, report }] }.
+    async beyondAccuracy(models, options = {}) {
+        const { mode = 'random', penalties = [0], buckets = 10, maxUsers, ...evaluateOptions } = options;
+        const seed = options.seed === undefined || options.seed === null ? randomSeed() : options.seed;
+        const { split, results, k } = await this.evaluate(models, mode, { ...evaluateOptions, seed });
+
+        const seen = [...split.train, ...split.validation];
+        const candidates = split.coldItemIds || Array.from(this.movieIds);
+        const context = {
+            catalog: candidates,
+            counts: ratingCounts(seen),
+            userCount: new Set(seen.map(({ userId }) => userId)).size,
+            genresOf: movieId => this.movies.has(movieId) ? this.movies.get(movieId).genres : [],
+            buckets
+        };
+
+        const rows = [];
+        for (const { name, model, metrics } of results) {
+            for (const penalty of penalties) {
+                console.log(`Beyond-accuracy report for ${name}, popularity penalty ${penalty}...`);
+                const pipeline = new RecommendationPipeline({ movies: this.movies, interactions: seen, excludeSeen: false });
+                if (penalty > 0) pipeline.add({ type: 'popularity-penalty', weight: penalty });
+                const rankedMetrics = penalty > 0
+                    ? await new Evaluator({ k, pipeline }).evaluate(model, split, candidates)
+                    : metrics;
+                const lists = await recommendationLists(model, seen, candidates, { k, pipeline, maxUsers });
+                const report = beyondAccuracyReport(lists, {
+                    ...context,
+                    itemVector: movieId => model.getItemVector ? model.getItemVector(movieId) : null
+                });
+                rows.push({ name, penalty, model, metrics: rankedMetrics, report });
+            }
+        }
+        return { seed, k, split, rows };
+    }
+
+    // Trains one two-tower model per solver ('sgd', 'als') on the same
+    // validation split and seed and records every epoch's training loss,
+    // validation loss and elapsed time, to compare how fast each converges.
+    // Returns { seed, runs: [{ solver, model, epochs: [{ epoch, loss,
+    // validationLoss, elapsedMs }], validationRmse }] }; validationRmse is
+    // the best epoch's, for explicit feedback only.
+    async compareSolvers(solvers = ['sgd', 'als'], options = {}) {
+        const { epochs = 30, validationRatio = 0.1, trainOptions = {} } = options;
+        const seed = options.seed === undefined || options.seed === null ? randomSeed() : options.seed;
+        const { train, validation } = this.holdOutValidation(validationRatio, seed);
+
+        const runs = [];
+        for (const solver of solvers) {
+            const model = this.createModel('twotower', options.hyperparameters);
+            const history = [];
+            await model.train(train, epochs, {
+                ...trainOptions,
+                solver,
+                seed,
+                validation,
+                onEpoch: ({ epoch, loss, validationLoss, elapsedMs }) => history.push({ epoch, loss, validationLoss, elapsedMs })
+            });
+            runs.push({
+                solver,
+                model,
+                epochs: history,
+                validationRmse: model.feedback === 'implicit' ? NaN : Math.sqrt(Math.min(...model.validationLossHistory))
+            });
+        }
+        return { seed, runs };
+    }
+
+    // rules: { excludeSeen, includeGenres, excludeGenres, yearMin, yearMax,
+    //          maxPerGenre, mmrLambda, popularityPenalty }; unset entries
+    //          leave that rule out
+    buildPipeline(rules = {}) {
+        const pipeline = new RecommendationPipeline({
+            movies: this.movies,
+            interactions: this.trainingData,
+            excludeSeen: rules.excludeSeen !== false
+        });
+
+        const include = rules.includeGenres || [];
+        const exclude = rules.excludeGenres || [];
+        if (include.length > 0 || exclude.length > 0) {
+            pipeline.add({ type: 'genre-filter', include, exclude });
+        }
+        if (rules.yearMin !== undefined || rules.yearMax !== undefined) {
+            pipeline.add({ type: 'year-range', min: rules.yearMin, max: rules.yearMax });
+        }
+        if (rules.maxPerGenre !== undefined) {
+            pipeline.add({ type: 'genre-cap', maxPerGenre: rules.maxPerGenre });
+        }
+        if (rules.mmrLambda !== undefined) {
+            pipeline.add({ type: 'mmr', lambda: rules.mmrLambda });
+        }
+        if (rules.popularityPenalty !== undefined) {
+            pipeline.add({ type: 'popularity-penalty', weight: rules.popularityPenalty });
+        }
+        return pipeline;
+    }
+
+    // Filtered top-K for one user; returns { recommendations, dropped }. Every
+    // recommendation carries its explanation (see explain()). This is the one
+    // place explanations are attached: model.recommend() and the pipeline
+    // return bare { movieId, score }, so other callers use explain() themselves.
+    async recommendFor(model, userId, topK = 5, rules = {}) {
+        if (!model.isTrained) {
+            throw new Error('Please train models first before testing');
+        }
+        const result = await this.buildPipeline(rules).recommend(model, userId, Array.from(this.movieIds), topK);
+        const explanations = this.explain(model, userId, result.recommendations.map(({ movieId }) => movieId));
+        return {
+            ...result,
+            recommendations: result.recommendations.map((rec, i) => ({ ...rec, explanation: explanations[i] }))
+        };
+    }
+
+    // Why `model` recommends `movieIds` to the user: { movieId, becauseYouLiked,
+    // sharedGenres, breakdown } per movie
+    explain(model, userId, movieIds) {
+        return explainRecommendations(model, userId, movieIds, {
+            movies: this.movies,
+            interactions: this.userInteractions(userId)
+        });
+    }
+
+    // Movies most like `movieId`, [{ movieId, score, support }] (see
+    // similar-items.js). options:
+    //   method:      'embedding' (the model's item vectors, the default) or
+    //                'cooccurrence' (item-kNN over the ratings; `model` is unused)
+    //   metric:      cosine or dot for embeddings; cosine, jaccard or count
+    //                for co-occurrence
+    //   minSupport, includeGenres, excludeGenres
+    // Empty when the model has no vector for the movie or nobody rated it.
+    similarItems(model, movieId, k = 10, options = {}) {
+        const { method = 'embedding', metric = 'cosine', minSupport, includeGenres = [], excludeGenres = [] } = options;
+        const genreRule = new GenreFilterRule({ include: includeGenres, exclude: excludeGenres });
+        const context = { genresOf: id => this.movies.has(id) ? this.movies.get(id).genres : [] };
+        const filter = id => genreRule.check(id, context) === null;
+
+        if (method === 'cooccurrence') {
+            return this.itemKNN.neighbors(movieId, { k, metric, minSupport, filter });
+        }
+        if (method !== 'embedding') {
+            throw new Error(`Unknown similarity method: ${method} (expected embedding or cooccurrence)`);
+        }
+        return embeddingNeighbors(model, movieId, { k, metric, minSupport, filter, counts: this.itemKNN.counts() });
+    }
+}
+
+// Export for CommonJS
+module.exports = { Recommender, SPLIT_MODES };
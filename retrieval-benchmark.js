@@ -0,0 +1,108 @@
+// Recall vs latency of the retrieval indexes on MovieLens u.data.
+//
+//   node retrieval-benchmark.js [--epochs 30] [--k 10] [--users 943] [--model path/to/twotower-model.json]
+//
+// Trains a TwoTowerModel (or loads a saved one), then answers a top-K query
+// for every user with exhaustive scoring (the old recommend() path), the
+// exact index and IVF with several nprobe settings. Recall@K is measured
+// against the exact index.
+const path = require('path');
+const { MovieLensDataset } = require('./movielens.js');
+const { TwoTowerModel } = require('./two-tower.js');
+const { ItemFeatureEncoder } = require('./item-features.js');
+const { loadModel } = require('./model-io.js');
+const { ExactIndex, IVFIndex } = require('./retrieval.js');
+
+function parseArgs(argv) {
+    const args = { epochs: 30, k: 10, users: Infinity, model: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in args)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        args[key] = key === 'model' ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    return args;
+}
+
+function timeQueries(userIds, query) {
+    const results = new Map();
+    const start = process.hrtime.bigint();
+    userIds.forEach(userId => results.set(userId, query(userId)));
+    const milliseconds = Number(process.hrtime.bigint() - start) / 1e6;
+    return { results, msPerQuery: milliseconds / userIds.length };
+}
+
+function recall(results, reference, k) {
+    let found = 0;
+    let total = 0;
+    reference.forEach((expected, userId) => {
+        const actual = new Set(results.get(userId).map(hit => hit.id));
+        expected.slice(0, k).forEach(hit => { if (actual.has(hit.id)) found++; });
+        total += Math.min(k, expected.length);
+    });
+    return total > 0 ? found / total : 0;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataset = await MovieLensDataset.load(path.join(__dirname, 'data'));
+
+    let model;
+    if (args.model) {
+        model = await loadModel(args.model);
+    } else {
+        model = new TwoTowerModel();
+        model.setItemFeatures(new ItemFeatureEncoder().fit(dataset.movies), dataset.movies);
+        const log = console.log;
+        console.log = () => {};
+        try {
+            await model.train(dataset.toTrainingData(), args.epochs);
+        } finally {
+            console.log = log;
+        }
+    }
+
+    const userIds = Array.from(model.userEmbeddings.keys()).slice(0, args.users);
+    const movieIds = Array.from(dataset.movies.keys());
+    const items = model.getMovieEmbeddings().map(({ movieId, vector }) => ({
+        id: movieId,
+        vector,
+        bias: model.getItemBias(movieId)
+    }));
+    const queryOf = userId => model.userEmbeddings.get(userId);
+
+    const rows = [];
+    const exhaustive = timeQueries(userIds, userId =>
+        model.recommendExhaustive(userId, movieIds, args.k).map(({ movieId }) => ({ id: movieId }))
+    );
+    const exact = new ExactIndex().build(items);
+    const exactRun = timeQueries(userIds, userId => exact.search(queryOf(userId), args.k));
+    rows.push(['exhaustive recommend()', exhaustive, 0]);
+    rows.push(['exact index', exactRun, 0]);
+
+    const ivf = new IVFIndex();
+    const buildStart = process.hrtime.bigint();
+    ivf.build(items);
+    const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+    for (const nprobe of [1, 2, 4, 8, 16].filter(n => n <= ivf.nlist)) {
+        const run = timeQueries(userIds, userId => ivf.search(queryOf(userId), args.k, { nprobe }));
+        rows.push([`ivf nlist=${ivf.nlist} nprobe=${nprobe}`, run, buildMs]);
+    }
+
+    console.log(`\n${items.length} items, ${userIds.length} queries, top-${args.k}`);
+    console.log('Method                          Recall@K    ms/query    Build ms');
+    rows.forEach(([label, run, build]) => {
+        console.log(
+            label.padEnd(30) +
+            recall(run.results, exactRun.results, args.k).toFixed(3).padStart(10) +
+            run.msPerQuery.toFixed(3).padStart(12) +
+            build.toFixed(1).padStart(12)
+        );
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
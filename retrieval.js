@@ -0,0 +1,274 @@
+// Top-K maximum inner product search (MIPS) over item vectors.
+//
+// Each item is stored as [vector, bias] and each query as [userVector, 1], so
+// the inner product is bias + user·item: the part of the two-tower score that
+// varies between items. ExactIndex scans everything; IVFIndex clusters the
+// items and only scans the clusters closest to the query.
+const { createRandom } = require('./random.js');
+
+// Fixed-size min-heap keeping the K highest scores seen
+class TopK {
+    constructor(k) {
+        this.k = k;
+        this.scores = [];
+        this.items = [];
+    }
+
+    get size() {
+        return this.scores.length;
+    }
+
+    push(item, score) {
+        if (this.k <= 0) return;
+        if (this.scores.length < this.k) {
+            this.scores.push(score);
+            this.items.push(item);
+            this.siftUp(this.scores.length - 1);
+        } else if (score > this.scores[0]) {
+            this.scores[0] = score;
+            this.items[0] = item;
+            this.siftDown(0);
+        }
+    }
+
+    siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[parent] <= this.scores[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    siftDown(i) {
+        const n = this.scores.length;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < n && this.scores[left] < this.scores[smallest]) smallest = left;
+            if (right < n && this.scores[right] < this.scores[smallest]) smallest = right;
+            if (smallest === i) break;
+            this.swap(i, smallest);
+            i = smallest;
+        }
+    }
+
+    swap(a, b) {
+        [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    }
+
+    // Highest score first
+    toArray() {
+        return this.items
+            .map((item, i) => ({ item, score: this.scores[i] }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+class ExactIndex {
+    constructor() {
+        this.ids = [];
+        this.index = new Map();
+        this.dim = 0;
+        this.data = new Float32Array(0);
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    has(id) {
+        return this.index.has(id);
+    }
+
+    // items: [{ id, vector, bias }]
+    build(items) {
+        this.dim = items.length > 0 ? items[0].vector.length + 1 : 0;
+        this.ids = items.map(item => item.id);
+        this.index = new Map(this.ids.map((id, row) => [id, row]));
+        this.data = new Float32Array(items.length * this.dim);
+        items.forEach(({ vector, bias }, row) => {
+            const offset = row * this.dim;
+            for (let i = 0; i < vector.length; i++) {
+                this.data[offset + i] = vector[i];
+            }
+            this.data[offset + this.dim - 1] = bias || 0;
+        });
+        return this;
+    }
+
+    scoreRow(row, query) {
+        const offset = row * this.dim;
+        const last = this.dim - 1;
+        let score = this.data[offset + last];
+        for (let i = 0; i < last; i++) {
+            score += this.data[offset + i] * query[i];
+        }
+        return score;
+    }
+
+    scanRows(rows, query, topK, filter) {
+        for (let n = 0; n < rows.length; n++) {
+            const row = rows[n];
+            if (filter && !filter.has(this.ids[row])) continue;
+            topK.push(row, this.scoreRow(row, query));
+        }
+    }
+
+    // Top `k` items for a user vector, [{ id, score }] with the highest score
+    // first. `filter` is an optional Set of allowed item IDs.
+    search(query, k, options = {}) {
+        const topK = new TopK(k);
+        const filter = options.filter || null;
+        for (let row = 0; row < this.ids.length; row++) {
+            if (filter && !filter.has(this.ids[row])) continue;
+            topK.push(row, this.scoreRow(row, query));
+        }
+        return topK.toArray().map(({ item, score }) => ({ id: this.ids[item], score }));
+    }
+}
+
+// Inverted file index. Inner products are turned into Euclidean distances by
+// appending sqrt(M² - |x|²) to every item (M = largest item norm) and 0 to the
+// query, so k-means clusters items by how well they can score for the same
+// users. A query scans the `nprobe` clusters with the best centroids.
+class IVFIndex extends ExactIndex {
+    constructor(options = {}) {
+        super();
+        this.nlist = options.nlist || 0;
+        this.nprobe = options.nprobe || 4;
+        this.iterations = options.iterations || 10;
+        // Seeds the k-means initialization
+        this.random = createRandom(options.seed);
+        this.centroids = new Float32Array(0);
+        this.centroidNorms = new Float32Array(0);
+        this.lists = [];
+    }
+
+    build(items) {
+        super.build(items);
+        const n = this.ids.length;
+        const dim = this.dim;
+        const width = dim + 1;
+        // One cluster per ~sqrt(n) items unless nlist is given
+        const nlist = Math.max(1, Math.min(n, this.nlist || Math.round(Math.sqrt(n))));
+
+        let maxNorm = 0;
+        const norms = new Float32Array(n);
+        for (let row = 0; row < n; row++) {
+            let norm = 0;
+            for (let i = 0; i < dim; i++) norm += this.data[row * dim + i] ** 2;
+            norms[row] = norm;
+            maxNorm = Math.max(maxNorm, norm);
+        }
+        const points = new Float32Array(n * width);
+        for (let row = 0; row < n; row++) {
+            points.set(this.data.subarray(row * dim, (row + 1) * dim), row * width);
+            points[row * width + dim] = Math.sqrt(Math.max(0, maxNorm - norms[row]));
+        }
+
+        // k-means, seeded with distinct random items
+        const centroids = new Float32Array(nlist * width);
+        const seeds = Array.from({length: n}, (_, i) => i);
+        for (let c = 0; c < nlist; c++) {
+            const pick = c + Math.floor(this.random() * (n - c));
+            [seeds[c], seeds[pick]] = [seeds[pick], seeds[c]];
+            centroids.set(points.subarray(seeds[c] * width, (seeds[c] + 1) * width), c * width);
+        }
+
+        const assignment = new Int32Array(n);
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            let changed = 0;
+            for (let row = 0; row < n; row++) {
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let c = 0; c < nlist; c++) {
+                    let distance = 0;
+                    for (let i = 0; i < width; i++) {
+                        const d = points[row * width + i] - centroids[c * width + i];
+                        distance += d * d;
+                    }
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = c;
+                    }
+                }
+                if (iteration === 0 || assignment[row] !== best) changed++;
+                assignment[row] = best;
+            }
+            if (changed === 0) break;
+
+            // Empty clusters keep their previous centroid
+            const sums = new Float32Array(nlist * width);
+            const counts = new Int32Array(nlist);
+            for (let row = 0; row < n; row++) {
+                const c = assignment[row];
+                counts[c]++;
+                for (let i = 0; i < width; i++) sums[c * width + i] += points[row * width + i];
+            }
+            for (let c = 0; c < nlist; c++) {
+                if (counts[c] === 0) continue;
+                for (let i = 0; i < width; i++) centroids[c * width + i] = sums[c * width + i] / counts[c];
+            }
+        }
+
+        const lists = Array.from({length: nlist}, () => []);
+        for (let row = 0; row < n; row++) lists[assignment[row]].push(row);
+        this.lists = lists.map(rows => Int32Array.from(rows));
+        this.centroids = centroids;
+        this.centroidNorms = new Float32Array(nlist);
+        for (let c = 0; c < nlist; c++) {
+            for (let i = 0; i < width; i++) this.centroidNorms[c] += centroids[c * width + i] ** 2;
+        }
+        this.nlist = nlist;
+        return this;
+    }
+
+    // |q' - c|² = |q'|² + |c|² - 2 q'·c with q' = [query, 1, 0]
+    rankLists(query) {
+        const width = this.dim + 1;
+        const last = this.dim - 1;
+        const ranked = this.lists.map((_, c) => {
+            const offset = c * width;
+            let dot = this.centroids[offset + last];
+            for (let i = 0; i < last; i++) dot += this.centroids[offset + i] * query[i];
+            return { list: c, distance: this.centroidNorms[c] - 2 * dot };
+        });
+        return ranked.sort((a, b) => a.distance - b.distance);
+    }
+
+    // Falls back to an exact scan when the probed clusters hold fewer than
+    // `k` allowed items
+    search(query, k, options = {}) {
+        const nprobe = Math.min(options.nprobe || this.nprobe, this.lists.length);
+        const filter = options.filter || null;
+        const topK = new TopK(k);
+        this.rankLists(query).slice(0, nprobe).forEach(({ list }) => {
+            this.scanRows(this.lists[list], query, topK, filter);
+        });
+        if (topK.size < k) {
+            return super.search(query, k, options);
+        }
+        return topK.toArray().map(({ item, score }) => ({ id: this.ids[item], score }));
+    }
+}
+
+const RETRIEVAL_INDEXES = {
+    exact: ExactIndex,
+    ivf: IVFIndex
+};
+
+// Accepts a name ('ivf') or an object ({ type: 'ivf', nprobe: 8 })
+function createRetrievalIndex(config = 'exact') {
+    const { type, ...options } = typeof config === 'string' ? { type: config } : config;
+    const Index = RETRIEVAL_INDEXES[type];
+    if (!Index) {
+        throw new Error(`Unknown retrieval index: ${type}`);
+    }
+    return new Index(options);
+}
+
+// Export for CommonJS
+module.exports = { TopK, ExactIndex, IVFIndex, createRetrievalIndex };
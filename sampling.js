@@ -0,0 +1,111 @@
+// Negative samplers for implicit-feedback training. Every interaction is a
+// positive; negatives are drawn from items the user has not interacted with.
+const { createRandom } = require('./random.js');
+
+class NegativeSampler {
+    constructor(interactions, options = {}) {
+        this.movieIds = [...new Set(interactions.map(i => i.movieId))];
+        // Give up on rejection sampling after this many hits on the user's own items
+        this.maxAttempts = options.maxAttempts || 20;
+        this.random = options.random || createRandom(options.seed);
+        this.positives = new Map();
+        interactions.forEach(({ userId, movieId }) => {
+            if (!this.positives.has(userId)) this.positives.set(userId, new Set());
+            this.positives.get(userId).add(movieId);
+        });
+    }
+
+    drawCandidate() {
+        throw new Error('drawCandidate() must be implemented by the sampler');
+    }
+
+    sample(userId) {
+        const seen = this.positives.get(userId);
+        let candidate = this.drawCandidate();
+        for (let attempt = 1; seen && seen.has(candidate) && attempt < this.maxAttempts; attempt++) {
+            candidate = this.drawCandidate();
+        }
+        return candidate;
+    }
+
+    sampleMany(userId, count) {
+        return Array.from({length: count}, () => this.sample(userId));
+    }
+}
+
+class UniformNegativeSampler extends NegativeSampler {
+    drawCandidate() {
+        return this.movieIds[Math.floor(this.random() * this.movieIds.length)];
+    }
+}
+
+// Samples proportionally to popularity^exponent (0.75 as in word2vec), so
+// popular items the user skipped make harder negatives than obscure ones.
+class PopularityNegativeSampler extends NegativeSampler {
+    constructor(interactions, options = {}) {
+        super(interactions, options);
+        this.exponent = options.exponent !== undefined ? options.exponent : 0.75;
+
+        const counts = new Map();
+        interactions.forEach(({ movieId }) => counts.set(movieId, (counts.get(movieId) || 0) + 1));
+
+        let total = 0;
+        this.cumulative = this.movieIds.map(movieId => {
+            total += Math.pow(counts.get(movieId), this.exponent);
+            return total;
+        });
+        this.total = total;
+    }
+
+    drawCandidate() {
+        const target = this.random() * this.total;
+        let low = 0;
+        let high = this.cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.cumulative[mid] <= target) low = mid + 1;
+            else high = mid;
+        }
+        return this.movieIds[low];
+    }
+}
+
+const NEGATIVE_SAMPLERS = {
+    uniform: UniformNegativeSampler,
+    popularity: PopularityNegativeSampler
+};
+
+function createNegativeSampler(type, interactions, options = {}) {
+    const Sampler = NEGATIVE_SAMPLERS[type || 'uniform'];
+    if (!Sampler) {
+        throw new Error(`Unknown negative sampler: ${type}`);
+    }
+    return new Sampler(interactions, options);
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function logSigmoid(x) {
+    // Numerically stable log(sigmoid(x))
+    return x >= 0 ? -Math.log1p(Math.exp(-x)) : x - Math.log1p(Math.exp(x));
+}
+
+function softmax(logits) {
+    const max = Math.max(...logits);
+    const exps = logits.map(value => Math.exp(value - max));
+    const sum = exps.reduce((acc, value) => acc + value, 0);
+    return exps.map(value => value / sum);
+}
+
+// Export for CommonJS
+module.exports = {
+    NegativeSampler,
+    UniformNegativeSampler,
+    PopularityNegativeSampler,
+    createNegativeSampler,
+    sigmoid,
+    logSigmoid,
+    softmax
+};
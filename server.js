@@ -0,0 +1,418 @@
+// Local HTTP recommendation service around saved models.
+//
+//   node server.js [--port 8080] [--data data]
+//                  [--models twotower=twotower-model.json,mlp=mlp-model.json] [--poll 1000]
+//                  [--retrain-every 0] [--retrain-epochs 20] [--retrain-time-decay 30]
+//                  [--retrain-feedback explicit|implicit:bpr:uniform] [--retrain-optimizer adam]
+//                  [--retrain-schedule cosine] [--retrain-solver sgd|als]
+//
+//   GET  /health
+//   GET  /users/:id/recommendations?k=10&model=twotower
+//        [&excludeSeen=false&genres=Comedy,Drama&excludeGenres=Horror
+//         &yearMin=1990&yearMax=1999&maxPerGenre=2&mmr=0.7&popularityPenalty=0.3]
+//   GET  /items/:id/similar?k=10&model=twotower
+//        [&method=embedding|cooccurrence&metric=cosine|dot|jaccard|count
+//         &minSupport=5&genres=Comedy&excludeGenres=Horror]
+//   POST /interactions   {"userId": "196", "movieId": "242", "rating": 4[, "timestamp": 881250949]}
+//
+// Every recommendation carries an explanation: the user's liked movies
+// closest to it, shared genres and, for two-tower models, the score breakdown.
+// Model files are polled every --poll ms and reloaded when they change, so
+// saving a newly trained model (cli.js train --out ...) swaps it in without
+// a restart. A file that fails to load keeps the previous model serving.
+// Ingested interactions are kept in memory and folded into every loaded
+// model at once, so the user's next recommendations reflect them. With
+// --retrain-every N, every N ingested interactions start a full retrain of
+// each model (in a worker thread) that replaces it in memory; the model
+// files are left alone. --retrain-time-decay weighs those retrains' ratings
+// by recency, with that half-life in days; the other --retrain-* options
+// are train options as in cli.js (feedback defaults to each model's own).
+// Interactions without a Unix
+// timestamp are stamped with the time they arrive. Errors are JSON { error } bodies with a 4xx/5xx status.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Recommender } = require('./recommender.js');
+const { loadModel } = require('./model-io.js');
+const { summarizeDrops } = require('./recommendation-pipeline.js');
+const { TrainingJob } = require('./training-worker.js');
+
+const MAX_K = 100;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const NUMERIC = ['port', 'poll', 'retrainEvery', 'retrainEpochs', 'retrainTimeDecay'];
+
+function parseArgs(argv) {
+    const args = {
+        port: 8080,
+        data: 'data',
+        models: 'twotower=twotower-model.json,mlp=mlp-model.json',
+        poll: 1000,
+        retrainEvery: 0,
+        retrainEpochs: 20,
+        retrainTimeDecay: null,
+        retrainFeedback: null,
+        retrainOptimizer: null,
+        retrainSchedule: null,
+        retrainSolver: null
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in args)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        args[key] = NUMERIC.includes(key) ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return args;
+}
+
+// Named models loaded from files and reloaded when the files change
+class ModelRegistry {
+    constructor(pollInterval = 1000) {
+        this.pollInterval = pollInterval;
+        this.entries = new Map();
+        this.retraining = false;
+    }
+
+    get names() {
+        return Array.from(this.entries.keys());
+    }
+
+    async add(name, file) {
+        const entry = { name, file: path.resolve(file), model: null, loadedAt: null, error: null };
+        this.entries.set(name, entry);
+        await this.reload(entry);
+        fs.watchFile(entry.file, { interval: this.pollInterval }, (current, previous) => {
+            if (current.mtimeMs > 0 && current.mtimeMs !== previous.mtimeMs) this.reload(entry);
+        });
+    }
+
+    async reload(entry) {
+        try {
+            entry.model = await loadModel(entry.file);
+            entry.loadedAt = new Date().toISOString();
+            entry.error = null;
+            console.log(`Loaded model ${entry.name} from ${entry.file}`);
+        } catch (error) {
+            // A half-written file fails to parse; the next change retries
+            entry.error = error.message;
+            console.log(`Could not load model ${entry.name}: ${error.message}`);
+        }
+    }
+
+    // The named model, or the first one that is loaded
+    get(name) {
+        if (name) {
+            const entry = this.entries.get(name);
+            if (!entry) {
+                throw new HttpError(404, `Unknown model: ${name} (available: ${this.names.join(', ')})`);
+            }
+            if (!entry.model) {
+                throw new HttpError(503, `Model ${name} is not loaded${entry.error ? `: ${entry.error}` : ''}`);
+            }
+            return entry;
+        }
+        const loaded = Array.from(this.entries.values()).find(entry => entry.model);
+        if (!loaded) {
+            throw new HttpError(503, 'No model is loaded');
+        }
+        return loaded;
+    }
+
+    get loaded() {
+        return Array.from(this.entries.values()).filter(entry => entry.model);
+    }
+
+    // Folds the user's ratings into every loaded model; names of the updated ones
+    foldIn(recommender, userId) {
+        return this.loaded
+            .filter(entry => recommender.foldIn(userId, [entry.model]).length > 0)
+            .map(entry => entry.name);
+    }
+
+    // Retrains a fresh copy of every loaded model on all interactions and
+    // swaps it in, one model at a time. Ratings that arrive meanwhile are
+    // folded into the new model before it serves. `trainOptions` go to
+    // every model's train(); feedback defaults to the one it was trained on.
+    async retrain(recommender, epochs, trainOptions = {}) {
+        if (this.retraining) return;
+        this.retraining = true;
+        const trainedCount = recommender.trainingData.length;
+        const pending = recommender.pendingInteractions;
+        try {
+            for (const entry of this.loaded) {
+                const json = entry.model.toJSON();
+                const job = new TrainingJob(recommender.createModelLike(json), recommender.trainingData.slice(), epochs, {
+                    feedback: json.hyperparameters.feedback || 'explicit',
+                    ...trainOptions
+                });
+                const { model } = await job.start();
+                new Set(recommender.trainingData.slice(trainedCount).map(({ userId }) => userId))
+                    .forEach(userId => recommender.foldIn(userId, [model]));
+                entry.model = model;
+                entry.loadedAt = new Date().toISOString();
+                console.log(`Retrained model ${entry.name} on ${trainedCount} interactions`);
+            }
+            recommender.markTrained(pending);
+        } catch (error) {
+            console.log(`Retraining failed: ${error.message}`);
+        } finally {
+            this.retraining = false;
+        }
+    }
+
+    close() {
+        this.entries.forEach(entry => fs.unwatchFile(entry.file));
+    }
+}
+
+function sendJSON(response, status, body) {
+    const text = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text)
+    });
+    response.end(text);
+}
+
+function readJSONBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function integerParam(params, name, fallback, min, max = Infinity) {
+    if (!params.has(name)) return fallback;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < min || value > max) {
+        const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+        throw new HttpError(400, `${name} must be an integer ${range}`);
+    }
+    return value;
+}
+
+function numberParam(params, name, min = -Infinity, max = Infinity) {
+    if (!params.has(name)) return undefined;
+    const value = Number(params.get(name));
+    if (params.get(name).trim() === '' || isNaN(value)) {
+        throw new HttpError(400, `${name} must be a number`);
+    }
+    if (value < min || value > max) {
+        throw new HttpError(400, `${name} must be from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function listParam(params, name) {
+    return params.has(name) ? params.get(name).split(',').map(value => value.trim()).filter(Boolean) : [];
+}
+
+function describeMovie(recommender, movieId) {
+    const movie = recommender.movies.get(movieId);
+    return { movieId, title: movie ? movie.title : movieId, genres: movie ? movie.genres : [] };
+}
+
+function createHandler(recommender, registry, options = {}) {
+    const routes = [
+        ['GET', /^\/health$/, () => ({
+            status: 'ok',
+            interactions: recommender.trainingData.length,
+            pendingInteractions: recommender.pendingInteractions,
+            retraining: registry.retraining,
+            models: registry.names.map(name => {
+                const { file, model, loadedAt, error } = registry.entries.get(name);
+                return { name, file, type: model ? model.constructor.name : null, loadedAt, error };
+            })
+        })],
+
+        ['GET', /^\/users\/([^/]+)\/recommendations$/, async ([userId], params) => {
+            const { name, model } = registry.get(params.get('model'));
+            const k = integerParam(params, 'k', 10, 1, MAX_K);
+            const { recommendations, dropped } = await recommender.recommendFor(model, userId, k, {
+                excludeSeen: params.get('excludeSeen') !== 'false',
+                includeGenres: listParam(params, 'genres'),
+                excludeGenres: listParam(params, 'excludeGenres'),
+                yearMin: numberParam(params, 'yearMin'),
+                yearMax: numberParam(params, 'yearMax'),
+                maxPerGenre: integerParam(params, 'maxPerGenre', undefined, 1),
+                mmrLambda: numberParam(params, 'mmr', 0, 1),
+                popularityPenalty: numberParam(params, 'popularityPenalty', 0, 1)
+            });
+            return {
+                userId,
+                model: name,
+                recommendations: recommendations.map(({ movieId, score, explanation }) => ({
+                    ...describeMovie(recommender, movieId),
+                    score,
+                    explanation: {
+                        ...explanation,
+                        becauseYouLiked: explanation.becauseYouLiked.map(item => ({ ...describeMovie(recommender, item.movieId), ...item }))
+                    }
+                })),
+                dropped: summarizeDrops(dropped)
+            };
+        }],
+
+        ['GET', /^\/items\/([^/]+)\/similar$/, async ([movieId], params) => {
+            const k = integerParam(params, 'k', 10, 1, MAX_K);
+            const method = params.get('method') || 'embedding';
+            if (method !== 'embedding' && method !== 'cooccurrence') {
+                throw new HttpError(400, 'method must be embedding or cooccurrence');
+            }
+            if (!recommender.movies.has(movieId)) {
+                throw new HttpError(404, `Unknown movie: ${movieId}`);
+            }
+            // Co-occurrence neighbors come from the ratings alone
+            const { name, model } = method === 'embedding' ? registry.get(params.get('model')) : { name: null, model: null };
+            if (model && (!model.getItemVector || !model.getItemVector(movieId))) {
+                throw new HttpError(404, `Model ${name} has no vector for movie ${movieId}`);
+            }
+
+            let similar;
+            try {
+                similar = recommender.similarItems(model, movieId, k, {
+                    method,
+                    metric: params.get('metric') || 'cosine',
+                    minSupport: integerParam(params, 'minSupport', undefined, 0),
+                    includeGenres: listParam(params, 'genres'),
+                    excludeGenres: listParam(params, 'excludeGenres')
+                });
+            } catch (error) {
+                if (error.status) throw error;
+                throw new HttpError(400, error.message);
+            }
+            return {
+                ...describeMovie(recommender, movieId),
+                model: name,
+                method,
+                similar: similar.map(({ movieId: other, score, support }) => ({ ...describeMovie(recommender, other), score, support }))
+            };
+        }],
+
+        ['POST', /^\/interactions$/, async (_, params, request) => {
+            const body = await readJSONBody(request);
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new HttpError(400, 'Expected a JSON object');
+            }
+            const text = value => value === undefined || value === null ? '' : String(value).trim();
+            // An unknown movie would become a candidate for every user
+            if (text(body.movieId) && !recommender.movies.has(text(body.movieId))) {
+                throw new HttpError(404, `Unknown movie: ${text(body.movieId)}`);
+            }
+            let interaction;
+            try {
+                const timestamp = body.timestamp === undefined || body.timestamp === null ? undefined : Number(body.timestamp);
+                interaction = recommender.addInteraction(text(body.userId), text(body.movieId), parseFloat(body.rating), timestamp);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+            const updatedModels = registry.foldIn(recommender, interaction.userId);
+            if (recommender.retrainDue) registry.retrain(recommender, options.retrainEpochs, options.retrainOptions);
+            return [201, { interaction, interactions: recommender.trainingData.length, updatedModels }];
+        }]
+    ];
+
+    return async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+            if (matching.length === 0) {
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+            }
+            const route = matching.find(([method]) => method === request.method);
+            if (!route) {
+                throw new HttpError(405, `Method ${request.method} not allowed on ${url.pathname}`);
+            }
+
+            const [, pattern, handle] = route;
+            let captures;
+            try {
+                captures = pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+            } catch (error) {
+                throw new HttpError(400, 'Malformed path');
+            }
+            const result = await handle(captures, url.searchParams, request);
+            const [status, body] = Array.isArray(result) ? result : [200, result];
+            sendJSON(response, status, body);
+        } catch (error) {
+            if (!error.status) console.error(`${request.method} ${url.pathname} failed:`, error);
+            sendJSON(response, error.status || 500, { error: error.message });
+        }
+    };
+}
+
+// Train options of the retrains, from the --retrain-* options
+function retrainOptions(args) {
+    const options = args.retrainFeedback ? Recommender.parseFeedbackMode(args.retrainFeedback) : {};
+    if (args.retrainTimeDecay) options.timeDecay = args.retrainTimeDecay;
+    if (args.retrainOptimizer) options.optimizer = args.retrainOptimizer;
+    if (args.retrainSchedule) options.schedule = args.retrainSchedule;
+    if (args.retrainSolver) options.solver = args.retrainSolver;
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const recommender = new Recommender();
+    await recommender.loadData(args.data);
+
+    recommender.retrainEvery = args.retrainEvery;
+    const registry = new ModelRegistry(args.poll);
+    for (const spec of args.models.split(',')) {
+        const [name, file] = spec.split('=');
+        if (!name || !file) {
+            throw new Error(`--models expects name=path pairs, got "${spec}"`);
+        }
+        await registry.add(name.trim(), file.trim());
+    }
+
+    const server = http.createServer(createHandler(recommender, registry, {
+        retrainEpochs: args.retrainEpochs,
+        retrainOptions: retrainOptions(args)
+    }));
+    server.listen(args.port, () => {
+        console.log(`Recommendation service listening on http://localhost:${server.address().port}`);
+    });
+
+    const shutdown = () => {
+        registry.close();
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+// Export for CommonJS
+module.exports = { createHandler, ModelRegistry, HttpError };
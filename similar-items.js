@@ -0,0 +1,103 @@
+// "More like this": the nearest movies to a movie, either in a model's item
+// space (embeddingNeighbors) or by co-occurrence in the raw interactions
+// (ItemKNN). Both return [{ movieId, score, support }] best first.
+//
+// options shared by both:
+//   k:           number of neighbors (default 10)
+//   minSupport:  drop neighbors with less support, where support is the
+//                number of users who rated both movies (co-occurrence) or
+//                the neighbor's number of ratings (embeddings)
+//   filter:      movieId => boolean, e.g. a genre filter
+const { TopK } = require('./retrieval.js');
+const { cosineSimilarity } = require('./recommendation-pipeline.js');
+
+const EMBEDDING_METRICS = ['cosine', 'dot'];
+const COOCCURRENCE_METRICS = ['cosine', 'jaccard', 'count'];
+
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Neighbors by the model's item vectors (getMovieEmbeddings()). `counts`
+// maps movie ID to its number of ratings, for minSupport.
+function embeddingNeighbors(model, movieId, options = {}) {
+    const { k = 10, metric = 'cosine', minSupport = 0, filter = null, counts = new Map() } = options;
+    if (!EMBEDDING_METRICS.includes(metric)) {
+        throw new Error(`Unknown embedding similarity: ${metric} (expected one of ${EMBEDDING_METRICS.join(', ')})`);
+    }
+    const query = model.getItemVector ? model.getItemVector(movieId) : null;
+    if (!query) return [];
+
+    const similarity = metric === 'dot' ? dotProduct : cosineSimilarity;
+    const topK = new TopK(k);
+    model.getMovieEmbeddings().forEach(({ movieId: other, vector }) => {
+        if (other === movieId || !vector) return;
+        if ((counts.get(other) || 0) < minSupport || (filter && !filter(other))) return;
+        topK.push(other, similarity(query, vector));
+    });
+    return topK.toArray().map(({ item, score }) => ({ movieId: item, score, support: counts.get(item) || 0 }));
+}
+
+// Item-kNN over raw interactions: movies rated by the same users are
+// neighbors. Neighbors are computed per query from the users who rated the
+// movie, so there is no item-item matrix to build and add() keeps it current.
+// `minRating` limits co-occurrence to ratings at or above it (default: all).
+class ItemKNN {
+    constructor(options = {}) {
+        this.minRating = options.minRating || 0;
+        this.itemUsers = new Map();
+        this.userItems = new Map();
+    }
+
+    fit(interactions) {
+        this.itemUsers.clear();
+        this.userItems.clear();
+        interactions.forEach(interaction => this.add(interaction));
+        return this;
+    }
+
+    add({ userId, movieId, rating }) {
+        if (rating < this.minRating) return;
+        if (!this.itemUsers.has(movieId)) this.itemUsers.set(movieId, new Set());
+        if (!this.userItems.has(userId)) this.userItems.set(userId, new Set());
+        this.itemUsers.get(movieId).add(userId);
+        this.userItems.get(userId).add(movieId);
+    }
+
+    // Number of users per movie
+    counts() {
+        return new Map(Array.from(this.itemUsers.entries(), ([movieId, users]) => [movieId, users.size]));
+    }
+
+    // metric: cosine (co-count / sqrt(n_i n_j)), jaccard (co-count / union)
+    // or count (the raw co-count)
+    neighbors(movieId, options = {}) {
+        const { k = 10, metric = 'cosine', minSupport = 1, filter = null } = options;
+        if (!COOCCURRENCE_METRICS.includes(metric)) {
+            throw new Error(`Unknown co-occurrence similarity: ${metric} (expected one of ${COOCCURRENCE_METRICS.join(', ')})`);
+        }
+        const users = this.itemUsers.get(movieId);
+        if (!users) return [];
+
+        const coCounts = new Map();
+        users.forEach(userId => this.userItems.get(userId).forEach(other => {
+            if (other !== movieId) coCounts.set(other, (coCounts.get(other) || 0) + 1);
+        }));
+
+        const topK = new TopK(k);
+        coCounts.forEach((support, other) => {
+            if (support < minSupport || (filter && !filter(other))) return;
+            const otherCount = this.itemUsers.get(other).size;
+            const score = metric === 'count' ? support
+                : metric === 'jaccard' ? support / (users.size + otherCount - support)
+                    : support / Math.sqrt(users.size * otherCount);
+            topK.push(other, score);
+        });
+        return topK.toArray().map(({ item, score }) => ({ movieId: item, score, support: coCounts.get(item) }));
+    }
+}
+
+// Export for CommonJS
+module.exports = { EMBEDDING_METRICS, COOCCURRENCE_METRICS, embeddingNeighbors, ItemKNN };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { solveLinearSystem, gradientRegularization } = require('../engine.js');
+const { createOptimizer } = require('../optimizers.js');
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `index ${i}: ${value} != ${expected[i]}`);
+    });
+}
+
+test('solveLinearSystem solves a known symmetric positive definite system', () => {
+    // A = L Lᵀ with L = [[2, 0, 0], [6, 1, 0], [-8, 5, 3]], x = [1, 2, 3]
+    const matrix = [[4, 12, -16], [12, 37, -43], [-16, -43, 98]];
+    assertClose(solveLinearSystem(matrix, [-20, -43, 192]), [1, 2, 3]);
+});
+
+test('solveLinearSystem matches a 1x1 division', () => {
+    assertClose(solveLinearSystem([[4]], [2]), [0.5]);
+});
+
+test('solveLinearSystem rejects a matrix that is not positive definite', () => {
+    assert.throws(() => solveLinearSystem([[1, 2], [2, 1]], [1, 1]), /not positive definite/);
+});
+
+test('gradientRegularization leaves the L2 term to optimizers with decoupled decay', () => {
+    assert.equal(gradientRegularization(0.1), 0.1);
+    assert.equal(gradientRegularization(0.1, createOptimizer('adam')), 0.1);
+    assert.equal(gradientRegularization(0.1, createOptimizer('adamw')), 0);
+});
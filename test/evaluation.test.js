@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    rmse,
+    mae,
+    precisionAtK,
+    recallAtK,
+    ndcgAtK,
+    averagePrecisionAtK,
+    hitRateAtK
+} = require('../evaluation.js');
+
+function assertApprox(actual, expected, tolerance = 1e-12) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected}`);
+}
+
+test('ranking metrics match hand-computed values', () => {
+    const ranked = ['a', 'b', 'c', 'd'];
+    const relevant = new Set(['a', 'c', 'e']);
+
+    // Hits at ranks 1 and 3 of 3 relevant items
+    assertApprox(precisionAtK(ranked, relevant, 3), 2 / 3);
+    assertApprox(recallAtK(ranked, relevant, 3), 2 / 3);
+    assertApprox(ndcgAtK(ranked, relevant, 3), (1 + 1 / 2) / (1 + 1 / Math.log2(3) + 1 / 2));
+    assertApprox(averagePrecisionAtK(ranked, relevant, 3), (1 + 2 / 3) / 3);
+    assert.equal(hitRateAtK(ranked, relevant, 3), 1);
+});
+
+test('AP and NDCG normalize by the relevant items that fit in K', () => {
+    const ranked = ['x', 'a', 'y'];
+    const relevant = new Set(['a', 'b', 'c', 'd']);
+
+    assertApprox(averagePrecisionAtK(ranked, relevant, 2), (1 / 2) / 2);
+    assertApprox(ndcgAtK(ranked, relevant, 2), (1 / Math.log2(3)) / (1 + 1 / Math.log2(3)));
+});
+
+test('ranking metrics are 0 without hits or relevant items', () => {
+    const ranked = ['a', 'b'];
+    assert.equal(ndcgAtK(ranked, new Set(['z']), 2), 0);
+    assert.equal(averagePrecisionAtK(ranked, new Set(), 2), 0);
+    assert.equal(recallAtK(ranked, new Set(), 2), 0);
+    assert.equal(hitRateAtK(ranked, new Set(['z']), 2), 0);
+});
+
+test('rmse and mae average the rating errors', () => {
+    const pairs = [
+        { predicted: 4, actual: 5 },
+        { predicted: 3, actual: 1 },
+        { predicted: 2, actual: 2 }
+    ];
+    assertApprox(rmse(pairs), Math.sqrt(5 / 3));
+    assertApprox(mae(pairs), 1);
+    assert.ok(Number.isNaN(rmse([])));
+});
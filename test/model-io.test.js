@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TwoTowerModel, MLPModel, MODEL_FORMAT_VERSION } = require('../two-tower.js');
+const { modelFromJSON, serializeModel, parseModel } = require('../model-io.js');
+const { createRandom } = require('../random.js');
+
+// Ratings from a rank-2 taste model, so ALS has something to fit
+function syntheticRatings(seed = 7) {
+    const random = createRandom(seed);
+    const vector = () => [random() * 2 - 1, random() * 2 - 1];
+    const users = Array.from({ length: 12 }, vector);
+    const movies = Array.from({ length: 15 }, vector);
+    const interactions = [];
+    users.forEach((u, i) => movies.forEach((m, j) => {
+        if (random() < 0.6) {
+            const rating = Math.round(Math.max(1, Math.min(5, 3 + 2 * (u[0] * m[0] + u[1] * m[1]))));
+            interactions.push({ userId: `u${i}`, movieId: `m${j}`, rating });
+        }
+    }));
+    return interactions;
+}
+
+// Turns a current document back into the layout of format version `version`
+// by undoing MODEL_MIGRATIONS in reverse
+const DOWNGRADES = {
+    6: (json) => {
+        const { retrievalConfig, ...hyperparameters } = json.hyperparameters;
+        return json.type === 'TwoTowerModel' ? { ...json, hyperparameters } : json;
+    },
+    5: (json) => {
+        const { seed, ...hyperparameters } = json.hyperparameters;
+        return { ...json, hyperparameters };
+    },
+    4: (json) => {
+        const { feedback, ...hyperparameters } = json.hyperparameters;
+        return { ...json, hyperparameters };
+    },
+    3: (json) => {
+        if (json.type !== 'MLPModel') return json;
+        const { encoding, useGMF, gmfDim, ...hyperparameters } = json.hyperparameters;
+        const { embeddings, ...parameters } = json.parameters;
+        return { ...json, hyperparameters, parameters };
+    },
+    2: (json) => {
+        if (json.type !== 'TwoTowerModel') return json;
+        const { itemFeatures, ...rest } = json;
+        const { featureProjection, featureBiasWeights, ...parameters } = json.parameters;
+        return { ...rest, parameters };
+    }
+};
+
+function downgrade(json, version) {
+    let downgraded = JSON.parse(JSON.stringify(json));
+    for (let v = MODEL_FORMAT_VERSION; v > version; v--) {
+        downgraded = { ...DOWNGRADES[v](downgraded), version: v - 1 };
+    }
+    return downgraded;
+}
+
+function assertSamePredictions(loaded, original, interactions) {
+    interactions.forEach(({ userId, movieId }) => {
+        const expected = original.predict(userId, movieId);
+        const actual = loaded.predict(userId, movieId);
+        assert.ok(Math.abs(actual - expected) < 1e-6, `${userId}/${movieId}: ${actual} != ${expected}`);
+    });
+}
+
+test('a hand-written version 1 TwoTowerModel loads and predicts', () => {
+    const model = modelFromJSON({
+        type: 'TwoTowerModel',
+        version: 1,
+        hyperparameters: { embeddingDim: 2, learningRate: 0.01, regularization: 0.001 },
+        vocabulary: { userIds: ['u1'], movieIds: ['m1', 'm2'] },
+        parameters: {
+            globalBias: 3.5,
+            userEmbeddings: [[1, 2]],
+            userBiases: [0.25],
+            movieEmbeddings: [[0.5, -0.5], [2, 2]],
+            movieBiases: [-0.5, 0]
+        },
+        lossHistory: [1.2, 0.9],
+        isTrained: true
+    });
+
+    assert.equal(model.feedback, 'explicit');
+    assert.equal(model.retrievalConfig, 'exact');
+    assert.equal(model.featureProjection, null);
+    // 3.5 + 0.25 - 0.5 + (0.5 - 1)
+    assert.ok(Math.abs(model.predict('u1', 'm1') - 2.75) < 1e-6);
+    // 3.5 + 0.25 + (2 + 4), clamped to the rating scale
+    assert.equal(model.predict('u1', 'm2'), 5);
+    assert.deepEqual(model.lossHistory, [1.2, 0.9]);
+});
+
+test('TwoTowerModel files of every older format version load after migration', async () => {
+    const interactions = syntheticRatings();
+    const original = new TwoTowerModel(4, { seed: 11 });
+    await original.train(interactions, 3, { solver: 'als', seed: 11 });
+    const current = original.toJSON();
+
+    for (let version = 1; version < MODEL_FORMAT_VERSION; version++) {
+        const loaded = modelFromJSON(downgrade(current, version));
+        assert.equal(loaded.feedback, 'explicit', `version ${version}`);
+        assert.equal(loaded.retrievalConfig, 'exact', `version ${version}`);
+        assert.equal(loaded.isTrained, true, `version ${version}`);
+        assertSamePredictions(loaded, original, interactions);
+        const upgraded = loaded.toJSON();
+        assert.equal(upgraded.version, MODEL_FORMAT_VERSION);
+        assert.deepEqual(upgraded.vocabulary, current.vocabulary);
+    }
+});
+
+test('MLPModel files of every older format version load after migration', () => {
+    const interactions = syntheticRatings().slice(0, 20);
+    const original = new MLPModel(64, [8], 1, { encoding: 'hashed', seed: 5 });
+    const current = original.toJSON();
+
+    for (let version = 1; version < MODEL_FORMAT_VERSION; version++) {
+        const loaded = modelFromJSON(downgrade(current, version));
+        assert.equal(loaded.encoding, 'hashed', `version ${version}`);
+        assert.equal(loaded.useGMF, false, `version ${version}`);
+        assert.equal(loaded.feedback, 'explicit', `version ${version}`);
+        assertSamePredictions(loaded, original, interactions);
+    }
+});
+
+test('a saved model round-trips through serializeModel and parseModel', async () => {
+    const interactions = syntheticRatings();
+    const original = new TwoTowerModel(4, { seed: 3 });
+    await original.train(interactions, 2, { solver: 'als', seed: 3 });
+    original.setRetrievalIndex({ type: 'ivf', nlist: 3 });
+
+    const loaded = parseModel(serializeModel(original));
+    assert.equal(loaded.seed, 3);
+    assert.deepEqual(loaded.retrievalConfig, { type: 'ivf', nlist: 3 });
+    assertSamePredictions(loaded, original, interactions);
+});
+
+test('model files newer than the supported format are rejected', () => {
+    const json = { ...new TwoTowerModel(2, { seed: 1 }).toJSON(), version: MODEL_FORMAT_VERSION + 1 };
+    assert.throws(() => modelFromJSON(json), /newer than supported version/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TopK, ExactIndex, IVFIndex, createRetrievalIndex } = require('../retrieval.js');
+const { createRandom } = require('../random.js');
+
+const DIM = 8;
+
+function randomItems(count, random) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `m${i}`,
+        vector: Array.from({ length: DIM }, () => random() * 2 - 1),
+        bias: random() - 0.5
+    }));
+}
+
+function randomQuery(random) {
+    return Float32Array.from({ length: DIM }, () => random() * 2 - 1);
+}
+
+test('TopK keeps the highest scores, best first', () => {
+    const topK = new TopK(3);
+    [5, 1, 9, 3, 7, 2].forEach(score => topK.push(`s${score}`, score));
+    assert.equal(topK.size, 3);
+    assert.deepEqual(topK.toArray().map(({ item }) => item), ['s9', 's7', 's5']);
+});
+
+test('ExactIndex ranks like a brute-force dot product', () => {
+    const random = createRandom(1);
+    const items = randomItems(200, random);
+    const index = new ExactIndex().build(items);
+    const query = randomQuery(random);
+
+    const expected = items
+        .map(({ id, vector, bias }) => ({ id, score: bias + vector.reduce((sum, v, i) => sum + v * query[i], 0) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10)
+        .map(({ id }) => id);
+    assert.deepEqual(index.search(query, 10).map(({ id }) => id), expected);
+});
+
+test('ExactIndex search honours the filter', () => {
+    const random = createRandom(2);
+    const index = new ExactIndex().build(randomItems(50, random));
+    const allowed = new Set(['m3', 'm7', 'm11']);
+    const results = index.search(randomQuery(random), 10, { filter: allowed });
+    assert.deepEqual(new Set(results.map(({ id }) => id)), allowed);
+});
+
+test('IVFIndex recall@10 against ExactIndex', () => {
+    const random = createRandom(3);
+    const items = randomItems(1000, random);
+    const exact = new ExactIndex().build(items);
+    const ivf = new IVFIndex({ nlist: 16, nprobe: 8, seed: 3 }).build(items);
+
+    let found = 0;
+    let total = 0;
+    for (let q = 0; q < 50; q++) {
+        const query = randomQuery(random);
+        const truth = new Set(exact.search(query, 10).map(({ id }) => id));
+        found += ivf.search(query, 10).filter(({ id }) => truth.has(id)).length;
+        total += truth.size;
+    }
+    assert.ok(found / total >= 0.9, `recall@10 ${found / total}`);
+});
+
+test('IVFIndex probing every list matches ExactIndex', () => {
+    const random = createRandom(4);
+    const items = randomItems(300, random);
+    const exact = new ExactIndex().build(items);
+    const ivf = createRetrievalIndex({ type: 'ivf', nlist: 10, nprobe: 10, seed: 4 }).build(items);
+
+    for (let q = 0; q < 10; q++) {
+        const query = randomQuery(random);
+        assert.deepEqual(ivf.search(query, 10).map(({ id }) => id), exact.search(query, 10).map(({ id }) => id));
+    }
+});
+
+test('IVFIndex falls back to an exact scan when the probed lists run short', () => {
+    const random = createRandom(5);
+    const items = randomItems(100, random);
+    const exact = new ExactIndex().build(items);
+    const ivf = new IVFIndex({ nlist: 50, nprobe: 1, seed: 5 }).build(items);
+    const query = randomQuery(random);
+    assert.deepEqual(ivf.search(query, 20).map(({ id }) => id), exact.search(query, 20).map(({ id }) => id));
+});
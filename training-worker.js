@@ -0,0 +1,204 @@
+// Trains models off the main thread: in a Web Worker in the browser and a
+// worker_threads Worker in Node. This file is both the main-thread API and
+// the worker script.
+//
+//   const job = new TrainingJob(model, interactions, 100, { validation });
+//   job.onProgress = ({ epoch, epochs, loss, validationLoss, etaMs }) => ...;
+//   const { model: trained, losses } = await job.start();
+//   job.cancel();   // start() rejects with an AbortError
+//
+// The model travels as JSON and the worker trains a copy, so the caller's
+// model is untouched until it swaps in the result. Where workers are not
+// available (e.g. a page opened from file://) the job trains the copy on the
+// main thread, yielding after every epoch.
+const { modelFromJSON } = require('./model-io.js');
+
+const isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+const workerThreads = isNode ? require('worker_threads') : null;
+
+// Allowed moves of the training state machine. Cancelling returns to idle
+// unless the job finished or failed before the cancel took effect.
+const TRAINING_TRANSITIONS = {
+    idle: ['training'],
+    training: ['cancelling', 'done', 'failed'],
+    cancelling: ['idle', 'done', 'failed'],
+    done: ['training'],
+    failed: ['training']
+};
+
+class TrainingState {
+    constructor() {
+        this.state = 'idle';
+        this.listeners = [];
+    }
+
+    // True while a job is running or being cancelled
+    get busy() {
+        return this.state === 'training' || this.state === 'cancelling';
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    transition(next) {
+        if (!TRAINING_TRANSITIONS[this.state].includes(next)) {
+            throw new Error(`Invalid training state transition: ${this.state} -> ${next}`);
+        }
+        const previous = this.state;
+        this.state = next;
+        this.listeners.forEach(listener => listener(next, previous));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return this;
+    }
+}
+
+function abortError(message) {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+function workersAvailable() {
+    return workerThreads !== null || typeof Worker !== 'undefined';
+}
+
+// Uniform post / listen / terminate over both worker implementations
+function spawnWorker(scriptUrl) {
+    if (workerThreads) {
+        const worker = new workerThreads.Worker(__filename, { workerData: { trainingWorker: true } });
+        return {
+            post: message => worker.postMessage(message),
+            listen: (onMessage, onError) => {
+                worker.on('message', onMessage);
+                worker.on('error', onError);
+            },
+            terminate: () => worker.terminate()
+        };
+    }
+
+    const worker = new Worker(scriptUrl);
+    return {
+        post: message => worker.postMessage(message),
+        listen: (onMessage, onError) => {
+            worker.onmessage = event => onMessage(event.data);
+            worker.onerror = event => {
+                event.preventDefault();
+                onError(new Error(event.message));
+            };
+        },
+        terminate: () => worker.terminate()
+    };
+}
+
+class TrainingJob {
+    constructor(model, interactions, epochs = 100, options = {}) {
+        this.model = model;
+        this.interactions = interactions;
+        this.epochs = epochs;
+        this.options = options;
+        // URL of this script for the browser Worker constructor
+        this.scriptUrl = options.scriptUrl || 'training-worker.js';
+        this.onProgress = null;
+        this.worker = null;
+        this.controller = null;
+        this.reject = null;
+    }
+
+    start() {
+        const { scriptUrl, ...options } = this.options;
+        if (!workersAvailable()) {
+            return this.runInThread(options);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.reject = reject;
+            this.worker = spawnWorker(this.scriptUrl);
+            this.worker.listen(message => {
+                if (message.type === 'progress') {
+                    if (this.onProgress) this.onProgress(message.progress);
+                } else if (message.type === 'log') {
+                    console.log(...message.args);
+                } else if (message.type === 'done') {
+                    this.stopWorker();
+                    resolve({ model: modelFromJSON(message.model), losses: message.losses });
+                } else if (message.type === 'error') {
+                    this.stopWorker();
+                    reject(new Error(message.message));
+                }
+            }, error => {
+                this.stopWorker();
+                reject(error);
+            });
+            this.worker.post({
+                type: 'train',
+                model: this.model.toJSON(),
+                interactions: this.interactions,
+                epochs: this.epochs,
+                options
+            });
+        });
+    }
+
+    async runInThread(options) {
+        this.controller = new AbortController();
+        const model = modelFromJSON(this.model.toJSON());
+        const losses = await model.train(this.interactions, this.epochs, {
+            ...options,
+            onEpoch: progress => { if (this.onProgress) this.onProgress(progress); },
+            signal: this.controller.signal
+        });
+        return { model, losses };
+    }
+
+    // Stops the job; start() rejects with an AbortError. A worker is
+    // terminated at once, in-thread training stops after the current epoch.
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+            return true;
+        }
+        if (!this.worker) return false;
+        this.stopWorker();
+        this.reject(abortError('Training cancelled'));
+        return true;
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Worker side: train the received model and stream progress back
+function runWorker(post, listen) {
+    console.log = (...args) => post({ type: 'log', args: args.map(String) });
+    listen(async message => {
+        if (message.type !== 'train') return;
+        try {
+            const model = modelFromJSON(message.model);
+            const losses = await model.train(message.interactions, message.epochs, {
+                ...message.options,
+                onEpoch: progress => post({ type: 'progress', progress })
+            });
+            post({ type: 'done', model: model.toJSON(), losses });
+        } catch (error) {
+            post({ type: 'error', message: error.message });
+        }
+    });
+}
+
+if (workerThreads && !workerThreads.isMainThread && workerThreads.workerData && workerThreads.workerData.trainingWorker) {
+    const { parentPort } = workerThreads;
+    runWorker(message => parentPort.postMessage(message), handler => parentPort.on('message', handler));
+} else if (!isNode && typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    runWorker(message => self.postMessage(message), handler => { self.onmessage = event => handler(event.data); });
+}
+
+// Export for CommonJS
+module.exports = { TrainingJob, TrainingState, TRAINING_TRANSITIONS };
@@ -0,0 +1,359 @@
+// Hyperparameter search: grid search, random search and successive halving
+// over a search space, with every trial trained on a train split and scored
+// on a validation split.
+//
+// A search space maps each parameter to a list of choices or a range:
+//   { embeddingDim: [8, 16, 32], learningRate: { min: 0.001, max: 0.05, log: true } }
+// Ranges are sampled uniformly (log-uniformly with `log`), rounded with
+// `integer`, and spread over `steps` points (default 3) in a grid. Model
+// hyperparameters and training options (optimizer, schedule, batchSize, ...)
+// can be searched together; TRAIN_OPTION_KEYS tells them apart.
+const { Evaluator } = require('./evaluation.js');
+const { TrainingJob } = require('./training-worker.js');
+const { createRandom } = require('./random.js');
+const { modelNames } = require('./model-registry.js');
+
+const TRAIN_OPTION_KEYS = ['optimizer', 'schedule', 'batchSize', 'negatives', 'loss', 'sampler', 'patience'];
+
+const TWO_TOWER_SPACE = {
+    embeddingDim: [8, 16, 32, 64],
+    learningRate: { min: 0.002, max: 0.05, log: true },
+    regularization: { min: 0.0001, max: 0.05, log: true }
+};
+
+const MLP_SPACE = {
+    inputDim: [32, 64, 128],
+    hiddenLayers: [[128, 64, 32], [64, 32], [256, 128, 64], [64]],
+    learningRate: { min: 0.0003, max: 0.01, log: true },
+    embeddingLearningRate: { min: 0.003, max: 0.05, log: true },
+    regularization: { min: 0.00001, max: 0.001, log: true },
+    dropoutRate: [0, 0.1, 0.2, 0.3, 0.5]
+};
+
+const BIAS_SPACE = {
+    userRegularization: [0, 5, 15, 25],
+    itemRegularization: [0, 5, 10, 25]
+};
+
+const KNN_SPACE = {
+    k: [10, 20, 40, 80],
+    shrinkage: [0, 10, 50, 100, 200]
+};
+
+// Default spaces per model name accepted by Recommender.createModel()
+const SEARCH_SPACES = {
+    twotower: TWO_TOWER_SPACE,
+    'twotower-features': TWO_TOWER_SPACE,
+    mlp: MLP_SPACE,
+    'mlp-hashed': {
+        hiddenLayers: MLP_SPACE.hiddenLayers,
+        learningRate: MLP_SPACE.learningRate,
+        regularization: MLP_SPACE.regularization,
+        dropoutRate: MLP_SPACE.dropoutRate
+    },
+    bias: BIAS_SPACE,
+    'user-knn': KNN_SPACE,
+    'user-knn-pearson': KNN_SPACE,
+    'item-knn': KNN_SPACE,
+    'item-knn-pearson': KNN_SPACE
+};
+
+// Metrics where a smaller score wins; every other Evaluator metric is maximized
+const LOWER_IS_BETTER = ['validationLoss', 'rmse', 'mae'];
+
+function isRange(spec) {
+    return !Array.isArray(spec) && typeof spec === 'object' && spec !== null && 'min' in spec;
+}
+
+function roundRange(spec, value) {
+    return spec.integer ? Math.round(value) : Number(value.toPrecision(4));
+}
+
+function sampleRange(spec, random) {
+    const value = spec.log
+        ? Math.exp(Math.log(spec.min) + random() * (Math.log(spec.max) - Math.log(spec.min)))
+        : spec.min + random() * (spec.max - spec.min);
+    return roundRange(spec, value);
+}
+
+function rangeGrid(spec) {
+    const steps = Math.max(spec.steps || 3, 2);
+    const values = Array.from({length: steps}, (_, i) => {
+        const t = i / (steps - 1);
+        const value = spec.log
+            ? Math.exp(Math.log(spec.min) + t * (Math.log(spec.max) - Math.log(spec.min)))
+            : spec.min + t * (spec.max - spec.min);
+        return roundRange(spec, value);
+    });
+    return [...new Set(values)];
+}
+
+// Every combination of the space's choices (ranges contribute `steps` points)
+function gridConfigs(space) {
+    return Object.entries(space).reduce((configs, [key, spec]) => {
+        const values = isRange(spec) ? rangeGrid(spec) : spec;
+        return configs.flatMap(config => values.map(value => ({ ...config, [key]: value })));
+    }, [{}]);
+}
+
+// `count` distinct random configurations, fewer if the space is smaller
+function randomConfigs(space, count, random = createRandom()) {
+    const configs = new Map();
+    for (let attempt = 0; attempt < count * 20 && configs.size < count; attempt++) {
+        const config = {};
+        Object.entries(space).forEach(([key, spec]) => {
+            config[key] = isRange(spec) ? sampleRange(spec, random) : spec[Math.floor(random() * spec.length)];
+        });
+        configs.set(JSON.stringify(config), config);
+    }
+    return Array.from(configs.values());
+}
+
+function splitConfig(config) {
+    const hyperparameters = {};
+    const trainOptions = {};
+    Object.entries(config).forEach(([key, value]) => {
+        (TRAIN_OPTION_KEYS.includes(key) ? trainOptions : hyperparameters)[key] = value;
+    });
+    return { hyperparameters, trainOptions };
+}
+
+// Sorted copy of leaderboard rows; `key` is 'score', 'epochs', 'seconds' or a
+// config parameter. Trials without a score (failed, cancelled, not yet run)
+// always sort last.
+function sortLeaderboard(rows, key = 'score', ascending = true) {
+    const valueOf = row => key in row ? row[key] : row.config[key];
+    const unscored = row => row.status !== 'done' && row.status !== 'stopped';
+    return [...rows].sort((a, b) => {
+        if (unscored(a) !== unscored(b)) return unscored(a) ? 1 : -1;
+        const x = valueOf(a);
+        const y = valueOf(b);
+        const order = typeof x === 'number' && typeof y === 'number'
+            ? x - y
+            : String(JSON.stringify(x)).localeCompare(String(JSON.stringify(y)));
+        return ascending ? order : -order;
+    });
+}
+
+// options:
+//   model:        name for createModel(), e.g. 'twotower' or 'mlp'
+//   createModel:  (name, hyperparameters) => untrained model
+//   space:        search space; defaults to SEARCH_SPACES[model]
+//   strategy:     'grid', 'random' or 'halving' (successive halving over
+//                 random configurations)
+//   trials:       configurations for random search and halving
+//   epochs:       training epochs per trial (the largest budget for halving)
+//   eta:          halving keeps the best 1/eta of the trials per rung and
+//                 multiplies their epochs by eta
+//   metric:       'validationLoss' (best epoch, the default; not for
+//                 ensembles) or an Evaluator metric on the validation split:
+//                 rmse, mae, precision, recall, ndcg, map, hitRate
+//   trainOptions: options shared by every trial (feedback, optimizer, ...)
+//   onTrial:      called with each finished trial row
+//   onProgress:   called with (row, epoch progress) while a trial trains
+class HyperparameterSearch {
+    constructor(options = {}) {
+        if (!options.createModel) {
+            throw new Error('HyperparameterSearch needs a createModel(name, hyperparameters) function');
+        }
+        this.model = options.model || 'twotower';
+        this.createModel = options.createModel;
+        this.space = options.space || SEARCH_SPACES[this.model];
+        if (!this.space) {
+            throw new Error(`No search space for model: ${this.model}`);
+        }
+        this.strategy = options.strategy || 'random';
+        if (!['grid', 'random', 'halving'].includes(this.strategy)) {
+            throw new Error(`Unknown search strategy: ${this.strategy}`);
+        }
+        this.trials = options.trials || 10;
+        this.epochs = options.epochs || 20;
+        this.eta = options.eta || 3;
+        this.metric = options.metric || 'validationLoss';
+        // An ensemble's validation loss mixes its components' loss units
+        if (this.metric === 'validationLoss' && modelNames('ensemble').includes(this.model)) {
+            throw new Error('Tune an ensemble on a rating or ranking metric (rmse, ndcg, ...), not validationLoss');
+        }
+        this.k = options.k || 10;
+        this.trainOptions = options.trainOptions || {};
+        this.onTrial = options.onTrial || null;
+        this.onProgress = options.onProgress || null;
+        // Draws the sampled configurations and every trial's training seed, so
+        // a search repeats exactly from its seed
+        this.random = options.random || createRandom(options.seed);
+
+        this.leaderboard = [];
+        this.job = null;
+        this.cancelled = false;
+    }
+
+    get lowerIsBetter() {
+        return LOWER_IS_BETTER.includes(this.metric);
+    }
+
+    // Rows ordered best first
+    get ranked() {
+        return sortLeaderboard(this.leaderboard, 'score', this.lowerIsBetter);
+    }
+
+    // Halving marks trials it eliminated as 'stopped'; only trials that ran
+    // their final budget can win
+    get best() {
+        return this.ranked.find(row => row.status === 'done') || null;
+    }
+
+    // split: { train, validation }; allMovieIds is needed for ranking metrics
+    async run(split, allMovieIds = []) {
+        if (!split.validation || split.validation.length === 0) {
+            throw new Error('Hyperparameter search needs a validation split');
+        }
+        this.leaderboard = [];
+        this.cancelled = false;
+
+        if (this.strategy === 'halving') {
+            await this.successiveHalving(split, allMovieIds);
+        } else {
+            const configs = this.strategy === 'grid'
+                ? gridConfigs(this.space)
+                : randomConfigs(this.space, this.trials, this.random);
+            console.log(`${this.strategy} search: ${configs.length} trials of ${this.model}, ${this.epochs} epochs each`);
+            for (const config of configs) {
+                await this.runTrial(this.addRow(config), this.epochs, split, allMovieIds);
+            }
+        }
+        return this.ranked;
+    }
+
+    // Trains every configuration on a small epoch budget, keeps the best
+    // 1/eta and retrains those with eta times the epochs, up to `epochs`
+    async successiveHalving(split, allMovieIds) {
+        let rows = randomConfigs(this.space, this.trials, this.random).map(config => this.addRow(config));
+        const rungs = Math.max(1, Math.ceil(Math.log(rows.length) / Math.log(this.eta)));
+        let epochs = Math.max(1, Math.round(this.epochs / this.eta ** (rungs - 1)));
+        console.log(`Successive halving: ${rows.length} trials of ${this.model}, ` +
+            `${rungs} rungs from ${epochs} to ${this.epochs} epochs`);
+
+        for (let rung = 0; rows.length > 0; rung++) {
+            for (const row of rows) {
+                row.rung = rung;
+                await this.runTrial(row, epochs, split, allMovieIds);
+            }
+            if (rows.length === 1 || epochs >= this.epochs) break;
+
+            const survivors = sortLeaderboard(rows, 'score', this.lowerIsBetter)
+                .filter(row => row.status === 'done')
+                .slice(0, Math.max(1, Math.floor(rows.length / this.eta)));
+            rows.filter(row => !survivors.includes(row) && row.status === 'done')
+                .forEach(row => { row.status = 'stopped'; });
+            rows = survivors;
+            epochs = Math.min(this.epochs, epochs * this.eta);
+        }
+    }
+
+    addRow(config) {
+        const row = {
+            id: this.leaderboard.length + 1,
+            config,
+            status: 'pending',
+            score: null,
+            epochs: 0,
+            trainedEpochs: 0,
+            rung: 0,
+            seconds: 0,
+            seed: Math.floor(this.random() * 0x100000000),
+            error: null
+        };
+        this.leaderboard.push(row);
+        return row;
+    }
+
+    async runTrial(row, epochs, split, allMovieIds) {
+        if (this.cancelled) {
+            throw Object.assign(new Error('Hyperparameter search cancelled'), { name: 'AbortError' });
+        }
+
+        const { hyperparameters, trainOptions } = splitConfig(row.config);
+        const start = Date.now();
+        row.status = 'running';
+        try {
+            const model = this.createModel(this.model, hyperparameters);
+            this.job = new TrainingJob(model, split.train, epochs, {
+                ...this.trainOptions,
+                ...trainOptions,
+                validation: split.validation,
+                seed: row.seed
+            });
+            this.job.onProgress = progress => { if (this.onProgress) this.onProgress(row, progress); };
+            const { model: trained, losses } = await this.job.start();
+
+            row.score = await this.score(trained, split, allMovieIds);
+            row.epochs = epochs;
+            row.trainedEpochs = losses.length;
+            row.status = Number.isFinite(row.score) ? 'done' : 'failed';
+            if (row.status === 'failed') row.error = `${this.metric} is ${row.score}`;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                row.status = 'cancelled';
+                throw error;
+            }
+            row.status = 'failed';
+            row.error = error.message;
+        } finally {
+            this.job = null;
+            row.seconds = (Date.now() - start) / 1000;
+        }
+
+        const scoreText = row.status === 'done' ? row.score.toFixed(4) : row.error;
+        console.log(`Trial ${row.id} (${epochs} epochs): ${this.metric} ${scoreText} ${JSON.stringify(row.config)}`);
+        if (this.onTrial) this.onTrial(row);
+        return row;
+    }
+
+    async score(model, split, allMovieIds) {
+        if (this.metric === 'validationLoss') {
+            return Math.min(...model.validationLossHistory);
+        }
+        const evaluator = new Evaluator({ k: this.k });
+        const metrics = await evaluator.evaluate(model, { train: split.train, validation: [], test: split.validation }, allMovieIds);
+        if (!(this.metric in metrics)) {
+            throw new Error(`Unknown metric: ${this.metric}`);
+        }
+        return metrics[this.metric];
+    }
+
+    // Stops the running trial; run() rejects with an AbortError
+    cancel() {
+        this.cancelled = true;
+        if (this.job) this.job.cancel();
+    }
+
+    // The winning configuration in the form `cli.js train --config` reads
+    exportBest() {
+        const best = this.best;
+        if (!best) {
+            throw new Error('No successful trial to export');
+        }
+        const { hyperparameters, trainOptions } = splitConfig(best.config);
+        return {
+            model: this.model,
+            hyperparameters,
+            trainOptions: { ...this.trainOptions, ...trainOptions, seed: best.seed },
+            epochs: best.epochs,
+            metric: this.metric,
+            score: best.score,
+            strategy: this.strategy,
+            trials: this.leaderboard.length
+        };
+    }
+}
+
+// Export for CommonJS
+module.exports = {
+    SEARCH_SPACES,
+    TRAIN_OPTION_KEYS,
+    gridConfigs,
+    randomConfigs,
+    splitConfig,
+    sortLeaderboard,
+    HyperparameterSearch
+};
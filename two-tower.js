@@ -1,17 +1,246 @@
-// Simple Two Tower Embedding Model
+const { ItemFeatureEncoder } = require('./item-features.js');
+const { createNegativeSampler, sigmoid, logSigmoid, softmax } = require('./sampling.js');
+const { EmbeddingTable, BiasTable, DenseNetwork, solveLinearSystem, gradientRegularization } = require('./engine.js');
+const { createOptimizer, TrainingMonitor } = require('./optimizers.js');
+const { createRetrievalIndex } = require('./retrieval.js');
+const { randomSeed, createRandom, shuffleInPlace } = require('./random.js');
+
+// Version of the JSON layout written by toJSON(); bump it whenever the layout
+// changes and add a step to MODEL_MIGRATIONS that upgrades the previous version.
+const MODEL_FORMAT_VERSION = 6;
+
+// MODEL_MIGRATIONS[v] upgrades a version v document to version v + 1
+const MODEL_MIGRATIONS = {
+    // v2: TwoTowerModel gained the optional item feature tower
+    1: (json) => json.type === 'TwoTowerModel'
+        ? { ...json, itemFeatures: null, parameters: { ...json.parameters, featureProjection: null, featureBiasWeights: null } }
+        : json,
+    // v3: MLPModel gained learned embeddings; older files always used hashed inputs
+    2: (json) => json.type === 'MLPModel'
+        ? {
+            ...json,
+            hyperparameters: { ...json.hyperparameters, encoding: 'hashed', useGMF: false, gmfDim: 0 },
+            parameters: { ...json.parameters, embeddings: null }
+        }
+        : json,
+    // v4: both models record whether they were trained on explicit ratings or implicit feedback
+    3: (json) => ({ ...json, hyperparameters: { ...json.hyperparameters, feedback: 'explicit' } }),
+    // v5: both models record the seed of their last training run; older runs are unknown
+    4: (json) => ({ ...json, hyperparameters: { ...json.hyperparameters, seed: null } }),
+    // v6: TwoTowerModel records its retrieval index; older files used the exact one
+    5: (json) => json.type === 'TwoTowerModel'
+        ? { ...json, hyperparameters: { ...json.hyperparameters, retrievalConfig: 'exact' } }
+        : json
+};
+
+// Training options shared by both models:
+//   feedback: 'explicit' regresses star ratings with MSE; 'implicit' treats every
+//             interaction as a positive and learns a ranking score
+//   loss:     implicit loss, 'bpr' (pairwise) or 'softmax'
+//   sampler:  negative sampler for implicit training, 'uniform' or 'popularity'
+//   batchSize: examples per mini-batch (positives per batch for implicit training)
+//   optimizer: 'sgd', 'momentum', 'adagrad', 'adam' or 'adamw', or { type, ...options }
+//   schedule:  learning-rate schedule, 'constant', 'step', 'cosine', 'warmup' or
+//              'plateau', or { type, ...options }; each model has its own default
+//   validation: held-out interactions; enables early stopping after `patience`
+//               epochs without improvement and restores the best epoch
+//   onEpoch:   called after every epoch with { epoch, epochs, loss,
+//              validationLoss, learningRate, elapsedMs, etaMs }
+//   signal:    an AbortSignal; aborting stops training after the current epoch
+//              and train() rejects with an AbortError
+//   seed:      seeds initialization, shuffling, dropout and negative sampling;
+//              a fresh seed is drawn when unset. The model records it (`seed`,
+//              saved with the model) so the run can be repeated exactly.
+//   timeDecay: half-life in days for weighting each rating's loss by its
+//              recency (see withRecencyWeights()); null weighs all alike
+//   solver:    'sgd', or 'als' for alternating least squares (TwoTowerModel
+//              only, see trainALS()); ALS ignores the optimizer, batch size,
+//              loss and sampler
+//   alsRegularization: ALS ridge penalty per rating (ALS-WR)
+//   alpha:     implicit ALS confidence per rating star
+const DEFAULT_TRAINING_OPTIONS = {
+    feedback: 'explicit',
+    loss: 'bpr',
+    sampler: 'uniform',
+    batchSize: 64,
+    negatives: 4,
+    optimizer: 'sgd',
+    validation: null,
+    patience: 5,
+    onEpoch: null,
+    signal: null,
+    seed: null,
+    timeDecay: null,
+    solver: 'sgd',
+    alsRegularization: 0.1,
+    alpha: 10
+};
+
+function migrateModelJSON(json, expectedType) {
+    if (!json || typeof json !== 'object') {
+        throw new Error('Invalid model file: expected a JSON object');
+    }
+    if (json.type !== expectedType) {
+        throw new Error(`Invalid model file: expected ${expectedType} but found ${json.type || 'unknown type'}`);
+    }
+
+    const version = json.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid model file: unsupported format version ${version}`);
+    }
+    if (version > MODEL_FORMAT_VERSION) {
+        throw new Error(`Model file format version ${version} is newer than supported version ${MODEL_FORMAT_VERSION}`);
+    }
+
+    let migrated = json;
+    for (let v = version; v < MODEL_FORMAT_VERSION; v++) {
+        if (!MODEL_MIGRATIONS[v]) {
+            throw new Error(`Cannot migrate model file from format version ${v} to ${v + 1}`);
+        }
+        migrated = { ...MODEL_MIGRATIONS[v](migrated), version: v + 1 };
+        console.log(`Migrated ${expectedType} from format version ${v} to ${v + 1}`);
+    }
+    return migrated;
+}
+
+// Pseudo-count added to every ALS row's ratings in the penalty, and the
+// extra penalty on biases, so a movie with a single 5 star rating gets
+// neither a 5 star bias nor a vector pointing straight at its one fan
+const ALS_DAMPING = 10;
+
+// Implicit validation pairs every held-out positive with one fixed negative,
+// drawn once so the validation loss is comparable across epochs
+function pairWithNegatives(validation, sampler) {
+    if (!validation || validation.length === 0) return null;
+    return validation.map(interaction => ({ ...interaction, negativeId: sampler.sample(interaction.userId) }));
+}
+
+// Copies of `interactions` carrying a loss `weight` of 0.5^(age / halfLife),
+// with the age in days before the same user's latest rating, so every user's
+// recent tastes count more however long ago they were active. Ratings
+// without a timestamp weigh 1. Without a half-life the input is returned.
+function withRecencyWeights(interactions, halfLife) {
+    if (halfLife === null || halfLife === undefined) return interactions;
+    if (!(halfLife > 0)) {
+        throw new Error(`timeDecay must be a positive half-life in days, got ${halfLife}`);
+    }
+
+    const latest = new Map();
+    interactions.forEach(({ userId, timestamp }) => {
+        if (timestamp && !(latest.get(userId) >= timestamp)) latest.set(userId, timestamp);
+    });
+    return interactions.map(interaction => {
+        const age = interaction.timestamp ? (latest.get(interaction.userId) - interaction.timestamp) / 86400 : 0;
+        return { ...interaction, weight: Math.pow(0.5, age / halfLife) };
+    });
+}
+
+// Two Tower Embedding Model. The item tower is the ID embedding plus, once
+// setItemFeatures() is called, a learned projection of the u.item features,
+// so items without ratings still get a vector from their genres/year/title.
 class TwoTowerModel {
-    constructor(embeddingDim = 8) {
+    constructor(embeddingDim = 8, options = {}) {
         this.embeddingDim = embeddingDim;
-        this.userEmbeddings = new Map();
-        this.movieEmbeddings = new Map();
-        this.userBiases = new Map();
-        this.movieBiases = new Map();
+        this.seed = options.seed != null ? options.seed >>> 0 : randomSeed();
+        this.random = createRandom(this.seed);
+        this.userEmbeddings = new EmbeddingTable(embeddingDim);
+        this.movieEmbeddings = new EmbeddingTable(embeddingDim);
+        this.userBiases = new BiasTable();
+        this.movieBiases = new BiasTable();
         this.globalBias = 3.0;
         this.learningRate = 0.01;
         this.regularization = 0.001;
+        this.itemFeatureEncoder = null;
+        this.itemFeatures = new Map();
+        // Row f of the projection (and entry f of the bias weights) belongs to feature f
+        this.featureProjection = null;
+        this.featureBiasWeights = null;
+        this.feedback = 'explicit';
+        this.optimizer = null;
+        // Top-K index over the item tower, rebuilt after every training run
+        this.retrievalConfig = 'exact';
+        this.retrievalIndex = null;
+        this.lossHistory = [];
+        this.validationLossHistory = [];
         this.isTrained = false;
     }
 
+    setItemFeatures(encoder, movies) {
+        this.retrievalIndex = null;
+        this.itemFeatureEncoder = encoder;
+        this.itemFeatures = encoder.encodeAll(movies);
+        this.featureProjection = new EmbeddingTable(this.embeddingDim, encoder.dimension);
+        this.featureBiasWeights = new BiasTable(encoder.dimension);
+        this.initializeFeatureProjection();
+    }
+
+    initializeFeatureProjection() {
+        for (let feature = 0; feature < this.itemFeatureEncoder.dimension; feature++) {
+            // Started small so ID embeddings dominate early on
+            this.featureProjection.set(feature, this.randomArray(this.embeddingDim, 0.01));
+            this.featureBiasWeights.set(feature, 0);
+        }
+    }
+
+    // Seeds this training run. An untrained model also redraws its feature
+    // projection, so the seed alone determines a fresh model's run.
+    beginRun(seed) {
+        this.seed = seed != null ? seed >>> 0 : randomSeed();
+        this.random = createRandom(this.seed);
+        if (!this.isTrained && this.featureProjection) {
+            this.initializeFeatureProjection();
+        }
+    }
+
+    // Writes the item tower output (ID embedding + projected features) into
+    // `out`. Returns false for items with neither.
+    writeItemVector(movieId, out) {
+        const idOffset = this.movieEmbeddings.offsetOf(movieId);
+        const features = this.featureProjection ? this.itemFeatures.get(movieId) : null;
+        if (idOffset < 0 && !features) return false;
+
+        const dim = this.embeddingDim;
+        const idData = this.movieEmbeddings.data;
+        for (let i = 0; i < dim; i++) {
+            out[i] = idOffset >= 0 ? idData[idOffset + i] : 0;
+        }
+
+        if (features) {
+            const projection = this.featureProjection.data;
+            for (let n = 0; n < features.indices.length; n++) {
+                const offset = features.indices[n] * dim;
+                const value = features.values[n];
+                for (let i = 0; i < dim; i++) {
+                    out[i] += value * projection[offset + i];
+                }
+            }
+        }
+        return true;
+    }
+
+    // Item tower output as a plain array. Null for unknown items.
+    getItemVector(movieId) {
+        const vector = new Float32Array(this.embeddingDim);
+        return this.writeItemVector(movieId, vector) ? Array.from(vector) : null;
+    }
+
+    getUserVector(userId) {
+        const vector = this.userEmbeddings.get(userId);
+        return vector ? Array.from(vector) : null;
+    }
+
+    getItemBias(movieId) {
+        let bias = this.movieBiases.get(movieId) || 0;
+        const features = this.featureBiasWeights ? this.itemFeatures.get(movieId) : null;
+        if (features) {
+            const weights = this.featureBiasWeights.data;
+            for (let n = 0; n < features.indices.length; n++) {
+                bias += features.values[n] * weights[features.indices[n]];
+            }
+        }
+        return bias;
+    }
+
     initializeParameters(userIds, movieIds) {
         userIds.forEach(userId => {
             if (!this.userEmbeddings.has(userId)) {
@@ -29,159 +258,836 @@ class TwoTowerModel {
     }
 
     randomArray(length, scale = 1.0) {
-        return Array.from({length}, () => (Math.random() - 0.5) * 2 * scale);
+        return Array.from({length}, () => (this.random() - 0.5) * 2 * scale);
     }
 
-    dotProduct(vec1, vec2) {
-        return vec1.reduce((sum, val, i) => sum + val * vec2[i], 0);
+    dotProduct(vec1, vec2, offset1 = 0, offset2 = 0) {
+        let sum = 0;
+        for (let i = 0; i < this.embeddingDim; i++) {
+            sum += vec1[offset1 + i] * vec2[offset2 + i];
+        }
+        return sum;
     }
 
     predict(userId, movieId) {
-        const userEmbedding = this.userEmbeddings.get(userId);
-        const movieEmbedding = this.movieEmbeddings.get(movieId);
-        const userBias = this.userBiases.get(userId) || 0;
-        const movieBias = this.movieBiases.get(movieId) || 0;
+        const userOffset = this.userEmbeddings.offsetOf(userId);
+        const itemVector = new Float32Array(this.embeddingDim);
 
-        if (!userEmbedding || !movieEmbedding) {
+        if (userOffset < 0 || !this.writeItemVector(movieId, itemVector)) {
             return this.globalBias;
         }
+        return this.predictRating(userId, movieId, userOffset, itemVector);
+    }
 
-        const interaction = this.dotProduct(userEmbedding, movieEmbedding);
+    predictRating(userId, movieId, userOffset, itemVector) {
+        const userBias = this.userBiases.get(userId) || 0;
+        const movieBias = this.getItemBias(movieId);
+        const interaction = this.dotProduct(this.userEmbeddings.data, itemVector, userOffset);
         const prediction = this.globalBias + userBias + movieBias + interaction;
         
         // Constrain to rating range
         return Math.max(1, Math.min(5, prediction));
     }
 
-    async train(interactions, epochs = 100) {
+    // Ranking score used by recommend(). Implicit models rank by item bias +
+    // user·item; global and user biases shift every item equally so they are left out.
+    score(userId, movieId) {
+        if (this.feedback !== 'implicit') {
+            return this.predict(userId, movieId);
+        }
+
+        const userOffset = this.userEmbeddings.offsetOf(userId);
+        const itemVector = new Float32Array(this.embeddingDim);
+        const movieBias = this.getItemBias(movieId);
+        if (userOffset < 0 || !this.writeItemVector(movieId, itemVector)) {
+            return movieBias;
+        }
+        return movieBias + this.dotProduct(this.userEmbeddings.data, itemVector, userOffset);
+    }
+
+    // The additive parts of score(): global bias, user bias, item bias and
+    // the user·item interaction term, which sum to `score` (before the 1-5
+    // clamp of explicit predictions). Implicit models leave out the global
+    // and user biases, so those parts are 0.
+    explainScore(userId, movieId) {
+        const userOffset = this.userEmbeddings.offsetOf(userId);
+        const itemVector = new Float32Array(this.embeddingDim);
+        const known = userOffset >= 0 && this.writeItemVector(movieId, itemVector);
+        const implicit = this.feedback === 'implicit';
+        if (!implicit && !known) {
+            // predict() falls back to the global bias alone
+            return { globalBias: this.globalBias, userBias: 0, itemBias: 0, interaction: 0, score: this.globalBias };
+        }
+
+        const parts = {
+            globalBias: implicit ? 0 : this.globalBias,
+            userBias: implicit ? 0 : this.userBiases.get(userId) || 0,
+            itemBias: this.getItemBias(movieId),
+            interaction: known ? this.dotProduct(this.userEmbeddings.data, itemVector, userOffset) : 0
+        };
+        return { ...parts, score: parts.globalBias + parts.userBias + parts.itemBias + parts.interaction };
+    }
+
+    async train(interactions, epochs = 100, options = {}) {
+        const trainingOptions = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+        this.beginRun(trainingOptions.seed);
+        interactions = withRecencyWeights(interactions, trainingOptions.timeDecay);
+        if (trainingOptions.solver === 'als') {
+            return this.trainALS(interactions, epochs, trainingOptions);
+        }
+        if (trainingOptions.solver !== 'sgd') {
+            throw new Error(`Unknown solver: ${trainingOptions.solver} (expected sgd or als)`);
+        }
+        if (trainingOptions.feedback === 'implicit') {
+            return this.trainImplicit(interactions, epochs, trainingOptions);
+        }
+
         console.log('Training Simple Embedding Model...');
         
         const userIds = [...new Set(interactions.map(i => i.userId))];
         const movieIds = [...new Set(interactions.map(i => i.movieId))];
         
         this.initializeParameters(userIds, movieIds);
+        this.feedback = 'explicit';
+        this.optimizer = createOptimizer(trainingOptions.optimizer);
         
-        const losses = [];
-        let previousLoss = Infinity;
+        const batchSize = Math.max(1, trainingOptions.batchSize);
+        const itemVector = new Float32Array(this.embeddingDim);
+        const monitor = this.createMonitor(epochs, trainingOptions, trainingOptions.validation);
 
         for (let epoch = 0; epoch < epochs; epoch++) {
             let totalLoss = 0;
             let count = 0;
+            monitor.startEpoch(epoch);
 
             // Shuffle interactions
-            const shuffled = [...interactions].sort(() => Math.random() - 0.5);
+            const shuffled = shuffleInPlace([...interactions], this.random);
             
-            for (const {userId, movieId, rating} of shuffled) {
-                const prediction = this.predict(userId, movieId);
-                const error = prediction - rating;
-                
-                this.updateParameters(userId, movieId, error);
-                
-                totalLoss += error * error;
-                count++;
+            for (let start = 0; start < shuffled.length; start += batchSize) {
+                const end = Math.min(start + batchSize, shuffled.length);
+                for (let n = start; n < end; n++) {
+                    const {userId, movieId, rating, weight = 1} = shuffled[n];
+                    const userRow = this.userEmbeddings.rowOf(userId);
+                    this.writeItemVector(movieId, itemVector);
+
+                    const prediction = this.predictRating(userId, movieId, userRow * this.embeddingDim, itemVector);
+                    const error = prediction - rating;
+                    
+                    this.accumulateGradients(userId, movieId, itemVector, weight * error);
+                    
+                    totalLoss += weight * error * error;
+                    count++;
+                }
+                this.applyGradients();
             }
 
-            const avgLoss = totalLoss / count;
-            losses.push(avgLoss);
-            
-            // Early stopping if improvement is minimal
-            if (Math.abs(previousLoss - avgLoss) < 0.0001 && epoch > 10) {
-                console.log(`Early stopping at epoch ${epoch}`);
-                break;
+            if (await monitor.endEpoch(epoch, totalLoss / count)) break;
+        }
+
+        const losses = monitor.finish();
+        this.isTrained = true;
+        this.buildRetrievalIndex();
+        console.log('Simple Embedding Model training completed');
+        return losses;
+    }
+
+    // Online update of one user from their ratings with the item tower frozen,
+    // so a new rating (or a new user) changes recommendations without a
+    // retrain. Explicit models solve the user's embedding and bias in closed
+    // form: ridge least squares of rating - global bias - item bias on the
+    // item vectors. Implicit models take `steps` BPR passes against uniformly
+    // drawn negatives. Ratings of items without a vector are ignored; returns
+    // false when none are left.
+    foldInUser(userId, interactions, options = {}) {
+        const { regularization = 0.1, steps = 10, learningRate = 0.05 } = options;
+        if (!this.isTrained) {
+            throw new Error('Simple model not trained yet');
+        }
+
+        const rated = [];
+        interactions.forEach(({ movieId, rating }) => {
+            const vector = new Float32Array(this.embeddingDim);
+            if (this.writeItemVector(movieId, vector)) {
+                rated.push({ movieId, rating, vector, bias: this.getItemBias(movieId) });
             }
-            previousLoss = avgLoss;
-            
-            if (epoch % 20 === 0) {
-                console.log(`Simple Model Epoch ${epoch}, Loss: ${avgLoss.toFixed(4)}`);
+        });
+        if (rated.length === 0) return false;
+
+        if (!this.userEmbeddings.has(userId)) {
+            this.userEmbeddings.set(userId, new Array(this.embeddingDim).fill(0));
+            this.userBiases.set(userId, 0);
+        }
+        if (this.feedback === 'implicit') {
+            this.foldInImplicit(userId, rated, steps, learningRate);
+        } else {
+            this.foldInExplicit(userId, rated, regularization);
+        }
+        return true;
+    }
+
+    foldInExplicit(userId, rated, regularization) {
+        // Unknowns are [user embedding, user bias]; each rating contributes [v, 1]
+        const n = this.embeddingDim + 1;
+        const matrix = Array.from({length: n}, (_, i) => Array.from({length: n}, (_, j) => i === j ? regularization : 0));
+        const target = new Array(n).fill(0);
+        rated.forEach(({ rating, vector, bias }) => {
+            const x = [...vector, 1];
+            const y = rating - this.globalBias - bias;
+            for (let i = 0; i < n; i++) {
+                target[i] += x[i] * y;
+                for (let j = 0; j < n; j++) matrix[i][j] += x[i] * x[j];
             }
+        });
+
+        const solution = solveLinearSystem(matrix, target);
+        this.userEmbeddings.set(userId, solution.slice(0, this.embeddingDim));
+        this.userBiases.set(userId, solution[this.embeddingDim]);
+    }
+
+    foldInImplicit(userId, rated, steps, learningRate) {
+        const dim = this.embeddingDim;
+        const positives = new Set(rated.map(({ movieId }) => movieId));
+        const catalog = Array.from(this.movieEmbeddings.keys()).filter(movieId => !positives.has(movieId));
+        if (catalog.length === 0) return;
+
+        const user = Float32Array.from(this.userEmbeddings.get(userId));
+        const negative = new Float32Array(dim);
+        for (let step = 0; step < steps; step++) {
+            for (const { vector, bias } of rated) {
+                const negativeId = catalog[Math.floor(this.random() * catalog.length)];
+                this.writeItemVector(negativeId, negative);
+                let diff = bias - this.getItemBias(negativeId);
+                for (let i = 0; i < dim; i++) diff += user[i] * (vector[i] - negative[i]);
+
+                const coefficient = sigmoid(diff) - 1;
+                for (let i = 0; i < dim; i++) {
+                    user[i] -= learningRate * (coefficient * (vector[i] - negative[i]) + this.regularization * user[i]);
+                }
+            }
+        }
+        this.userEmbeddings.set(userId, user);
+    }
+
+    createMonitor(epochs, options, validation) {
+        return new TrainingMonitor(this, {
+            name: 'Simple Model',
+            epochs,
+            validation,
+            patience: options.patience,
+            schedule: options.schedule || 'constant',
+            minEpochs: 10,
+            onEpoch: options.onEpoch,
+            signal: options.signal
+        });
+    }
+
+    async trainImplicit(interactions, epochs, options) {
+        const { loss, sampler } = options;
+        const batchSize = Math.max(1, options.batchSize);
+        if (loss !== 'bpr' && loss !== 'softmax') {
+            throw new Error(`Unknown implicit loss: ${loss}`);
+        }
+        console.log(`Training Simple Embedding Model (implicit, ${loss})...`);
+
+        const userIds = [...new Set(interactions.map(i => i.userId))];
+        const movieIds = [...new Set(interactions.map(i => i.movieId))];
+
+        this.initializeParameters(userIds, movieIds);
+        this.feedback = 'implicit';
+        this.optimizer = createOptimizer(options.optimizer);
+        const negativeSampler = createNegativeSampler(sampler, interactions, { random: this.random });
+        this.ensureWorkspace(batchSize);
+        const monitor = this.createMonitor(epochs, options, pairWithNegatives(options.validation, negativeSampler));
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            let totalLoss = 0;
+            let count = 0;
+            monitor.startEpoch(epoch);
+
+            const shuffled = shuffleInPlace([...interactions], this.random);
+
+            for (let start = 0; start < shuffled.length; start += batchSize) {
+                const batch = shuffled.slice(start, start + batchSize);
+                if (loss === 'bpr') {
+                    for (const {userId, movieId, weight} of batch) {
+                        totalLoss += this.bprStep(userId, movieId, negativeSampler.sample(userId), weight);
+                    }
+                } else {
+                    totalLoss += this.inBatchSoftmaxStep(batch);
+                }
+                count += batch.length;
+                this.applyGradients();
+            }
+
+            if (await monitor.endEpoch(epoch, totalLoss / count)) break;
         }
 
+        const losses = monitor.finish();
         this.isTrained = true;
+        this.buildRetrievalIndex();
         console.log('Simple Embedding Model training completed');
         return losses;
     }
 
-    updateParameters(userId, movieId, error) {
-        const userEmbedding = this.userEmbeddings.get(userId);
-        const movieEmbedding = this.movieEmbeddings.get(movieId);
-        
-        if (!userEmbedding || !movieEmbedding) return;
+    // Alternating least squares. Every epoch solves all user vectors with the
+    // items fixed, then all item vectors with the users fixed; each is a small
+    // ridge regression with the penalty scaled by the row's number of ratings
+    // (ALS-WR, plus ALS_DAMPING for explicit models). Explicit models regress rating - global bias on [vector, 1],
+    // so the biases are solved along with the vectors. Implicit models fit the
+    // confidence-weighted preferences of Hu, Koren & Volinsky: a rating r is
+    // preference 1 with confidence 1 + alpha * r, every unrated item
+    // preference 0 with confidence 1; their biases stay 0. Recency weights
+    // scale each rating's squared error (explicit) or confidence (implicit).
+    async trainALS(interactions, epochs, options) {
+        if (this.featureProjection) {
+            throw new Error('The ALS solver does not train item features; use sgd for feature-aware models');
+        }
+        const implicit = options.feedback === 'implicit';
+        console.log(`Training Simple Embedding Model (${implicit ? 'implicit ' : ''}ALS)...`);
 
-        // Update embeddings with regularization
-        for (let i = 0; i < this.embeddingDim; i++) {
-            const userGrad = error * movieEmbedding[i] + this.regularization * userEmbedding[i];
-            const movieGrad = error * userEmbedding[i] + this.regularization * movieEmbedding[i];
-            
-            userEmbedding[i] -= this.learningRate * userGrad;
-            movieEmbedding[i] -= this.learningRate * movieGrad;
+        const byUser = new Map();
+        const byItem = new Map();
+        let weightSum = 0;
+        let ratingSum = 0;
+        interactions.forEach(({ userId, movieId, rating, weight = 1 }) => {
+            if (!byUser.has(userId)) byUser.set(userId, []);
+            if (!byItem.has(movieId)) byItem.set(movieId, []);
+            byUser.get(userId).push({ id: movieId, rating, weight });
+            byItem.get(movieId).push({ id: userId, rating, weight });
+            weightSum += weight;
+            ratingSum += weight * rating;
+        });
+
+        this.initializeParameters(Array.from(byUser.keys()), Array.from(byItem.keys()));
+        this.feedback = implicit ? 'implicit' : 'explicit';
+        this.optimizer = null;
+        this.globalBias = implicit ? 0 : ratingSum / weightSum;
+        const sampler = implicit ? createNegativeSampler('uniform', interactions, { random: this.random }) : null;
+        const monitor = this.createMonitor(epochs, options,
+            implicit ? pairWithNegatives(options.validation, sampler) : options.validation);
+
+        const users = [this.userEmbeddings, this.userBiases, byUser];
+        const items = [this.movieEmbeddings, this.movieBiases, byItem];
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            monitor.startEpoch(epoch);
+            if (implicit) {
+                this.alsImplicitStep(users, items, options);
+                this.alsImplicitStep(items, users, options);
+            } else {
+                this.alsExplicitStep(users, items, options.alsRegularization);
+                this.alsExplicitStep(items, users, options.alsRegularization);
+            }
+            const loss = implicit ? this.alsImplicitLoss(byUser, options.alpha) : this.alsExplicitLoss(interactions);
+            if (await monitor.endEpoch(epoch, loss)) break;
         }
 
-        // Update biases
-        const userBias = this.userBiases.get(userId) || 0;
-        const movieBias = this.movieBiases.get(movieId) || 0;
-        
-        this.userBiases.set(userId, userBias - this.learningRate * error);
-        this.movieBiases.set(movieId, movieBias - this.learningRate * error);
+        const losses = monitor.finish();
+        this.isTrained = true;
+        this.buildRetrievalIndex();
+        console.log('Simple Embedding Model training completed');
+        return losses;
+    }
+
+    // Solves every row of `solved` ([embeddings, biases, ratings by row id])
+    // with `fixed` held constant: [vector, bias] by ridge regression of
+    // rating - global bias - the other side's bias on [other vector, 1]
+    alsExplicitStep([embeddings, biases, ratings], [otherEmbeddings, otherBiases], regularization) {
+        const dim = this.embeddingDim;
+        const n = dim + 1;
+        const x = new Float64Array(n);
+        ratings.forEach((rated, id) => {
+            const matrix = Array.from({length: n}, () => new Float64Array(n));
+            const vector = new Float64Array(n);
+            let count = 0;
+            rated.forEach(({ id: otherId, rating, weight }) => {
+                const other = otherEmbeddings.get(otherId);
+                for (let i = 0; i < dim; i++) x[i] = other[i];
+                x[dim] = 1;
+                const y = rating - this.globalBias - otherBiases.get(otherId);
+                for (let i = 0; i < n; i++) {
+                    vector[i] += weight * x[i] * y;
+                    for (let j = 0; j <= i; j++) matrix[i][j] += weight * x[i] * x[j];
+                }
+                count += weight;
+            });
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < i; j++) matrix[j][i] = matrix[i][j];
+                matrix[i][i] += regularization * (count + ALS_DAMPING);
+            }
+            matrix[dim][dim] += ALS_DAMPING;
+
+            const solution = solveLinearSystem(matrix, vector);
+            embeddings.set(id, solution.slice(0, dim));
+            biases.set(id, solution[dim]);
+        });
     }
 
+    // Implicit counterpart: with Y the fixed side's vectors and C the row's
+    // confidences, solves (YᵀY + Yᵀ(C - I)Y + λI) x = YᵀC·1, where YᵀY over
+    // every item is shared by all rows and only rated entries add to it
+    alsImplicitStep([embeddings, , ratings], [otherEmbeddings], { alsRegularization, alpha }) {
+        const dim = this.embeddingDim;
+        const gram = Array.from({length: dim}, () => new Float64Array(dim));
+        for (const [, other] of otherEmbeddings.entries()) {
+            for (let i = 0; i < dim; i++) {
+                for (let j = 0; j <= i; j++) gram[i][j] += other[i] * other[j];
+            }
+        }
+
+        ratings.forEach((rated, id) => {
+            const matrix = gram.map(row => Float64Array.from(row));
+            const vector = new Float64Array(dim);
+            rated.forEach(({ id: otherId, rating, weight }) => {
+                const other = otherEmbeddings.get(otherId);
+                const confidence = 1 + alpha * rating * weight;
+                for (let i = 0; i < dim; i++) {
+                    vector[i] += confidence * other[i];
+                    for (let j = 0; j <= i; j++) matrix[i][j] += (confidence - 1) * other[i] * other[j];
+                }
+            });
+            for (let i = 0; i < dim; i++) {
+                for (let j = 0; j < i; j++) matrix[j][i] = matrix[i][j];
+                matrix[i][i] += alsRegularization * Math.max(rated.length, 1);
+            }
+            embeddings.set(id, solveLinearSystem(matrix, vector));
+        });
+    }
+
+    // Mean squared rating error over the training ratings, recency weighted
+    alsExplicitLoss(interactions) {
+        let total = 0;
+        let weights = 0;
+        interactions.forEach(({ userId, movieId, rating, weight = 1 }) => {
+            const error = this.predict(userId, movieId) - rating;
+            total += weight * error * error;
+            weights += weight;
+        });
+        return total / weights;
+    }
+
+    // The implicit ALS objective per rating: Σ over every user-item pair of
+    // confidence * (preference - u·v)², using Σ_items (u·v)² = uᵀ(YᵀY)u for
+    // the unrated pairs
+    alsImplicitLoss(byUser, alpha) {
+        const dim = this.embeddingDim;
+        const gram = Array.from({length: dim}, () => new Float64Array(dim));
+        for (const [, item] of this.movieEmbeddings.entries()) {
+            for (let i = 0; i < dim; i++) {
+                for (let j = 0; j < dim; j++) gram[i][j] += item[i] * item[j];
+            }
+        }
+
+        let total = 0;
+        let count = 0;
+        byUser.forEach((rated, userId) => {
+            const user = this.userEmbeddings.get(userId);
+            for (let i = 0; i < dim; i++) {
+                for (let j = 0; j < dim; j++) total += user[i] * gram[i][j] * user[j];
+            }
+            rated.forEach(({ id: movieId, rating, weight }) => {
+                const score = this.dotProduct(user, this.movieEmbeddings.get(movieId));
+                const confidence = 1 + alpha * rating * weight;
+                total += confidence * (1 - score) ** 2 - score * score;
+                count++;
+            });
+        });
+        return total / Math.max(count, 1);
+    }
+
+    // Validation loss in the units of training: squared rating error for
+    // explicit models, BPR loss against the pre-drawn `negativeId` for implicit ones
+    computeLoss(interactions) {
+        let total = 0;
+        for (const interaction of interactions) {
+            if (this.feedback === 'implicit') {
+                total -= logSigmoid(this.score(interaction.userId, interaction.movieId) -
+                    this.score(interaction.userId, interaction.negativeId));
+            } else {
+                const error = this.predict(interaction.userId, interaction.movieId) - interaction.rating;
+                total += error * error;
+            }
+        }
+        return total / Math.max(interactions.length, 1);
+    }
+
+    // Trainable tables, in a fixed order for checkpoints
+    parameterTables() {
+        return [
+            this.userEmbeddings, this.movieEmbeddings, this.userBiases, this.movieBiases,
+            this.featureProjection, this.featureBiasWeights
+        ].filter(Boolean);
+    }
+
+    getCheckpoint() {
+        return this.parameterTables().map(table => table.snapshot());
+    }
+
+    restoreCheckpoint(checkpoint) {
+        this.parameterTables().forEach((table, i) => table.restore(checkpoint[i]));
+    }
+
+    // Preallocated item vectors for the implicit training steps
+    ensureWorkspace(batchSize) {
+        if (this.itemWorkspace && this.itemWorkspace.length >= batchSize * this.embeddingDim) return;
+        this.itemWorkspace = new Float32Array(Math.max(batchSize, 2) * this.embeddingDim);
+    }
+
+    // Accumulates one BPR gradient: push score(user, positive) above
+    // score(user, negative), scaled by the pair's `weight`
+    bprStep(userId, positiveId, negativeId, weight = 1) {
+        const userRow = this.userEmbeddings.rowOf(userId);
+        if (userRow < 0 || positiveId === negativeId) return 0;
+
+        const dim = this.embeddingDim;
+        const items = this.itemWorkspace;
+        const positive = items.subarray(0, dim);
+        const negative = items.subarray(dim, 2 * dim);
+        this.writeItemVector(positiveId, positive);
+        this.writeItemVector(negativeId, negative);
+
+        const userData = this.userEmbeddings.data;
+        const userOffset = userRow * dim;
+        const diff = this.getItemBias(positiveId) - this.getItemBias(negativeId) +
+            this.dotProduct(userData, positive, userOffset) - this.dotProduct(userData, negative, userOffset);
+
+        // d(-log sigmoid(diff)) / d(diff)
+        const coefficient = weight * (sigmoid(diff) - 1);
+
+        this.userEmbeddings.accumulate(userRow, coefficient, positive, 0, this.gradientRegularization());
+        this.userEmbeddings.accumulate(userRow, -coefficient, negative, 0);
+        this.accumulateItemGradient(positiveId, coefficient, userData, userOffset);
+        this.accumulateItemGradient(negativeId, -coefficient, userData, userOffset);
+
+        return -weight * logSigmoid(diff);
+    }
+
+    // In-batch sampled softmax: every other positive in the batch serves as a
+    // negative for each user. Accumulates gradients, each row's scaled by its
+    // `weight`, and returns the summed loss.
+    inBatchSoftmaxStep(batch) {
+        const dim = this.embeddingDim;
+        const items = this.itemWorkspace;
+        const userData = this.userEmbeddings.data;
+        const userRows = batch.map(({userId}) => this.userEmbeddings.rowOf(userId));
+        const itemBiases = batch.map(({movieId}) => this.getItemBias(movieId));
+        batch.forEach(({movieId}, c) => this.writeItemVector(movieId, items.subarray(c * dim, (c + 1) * dim)));
+
+        let totalLoss = 0;
+
+        batch.forEach((row, b) => {
+            const userOffset = userRows[b] * dim;
+            const weight = row.weight === undefined ? 1 : row.weight;
+
+            // The same movie elsewhere in the batch is not a negative for this row
+            const logits = batch.map((other, c) =>
+                c !== b && other.movieId === row.movieId
+                    ? -Infinity
+                    : itemBiases[c] + this.dotProduct(userData, items, userOffset, c * dim)
+            );
+            const probabilities = softmax(logits);
+            totalLoss -= weight * Math.log(Math.max(probabilities[b], 1e-12));
+
+            probabilities.forEach((probability, c) => {
+                const gradient = weight * (probability - (c === b ? 1 : 0));
+                if (gradient === 0) return;
+                this.userEmbeddings.accumulate(userRows[b], gradient, items, c * dim);
+                this.accumulateItemGradient(batch[c].movieId, gradient, userData, userOffset, 0);
+            });
+        });
+
+        // Regularization once per row, as in per-example SGD
+        batch.forEach(({movieId}, b) => {
+            this.userEmbeddings.accumulate(userRows[b], 0, items, 0, this.gradientRegularization());
+            this.accumulateItemGradient(movieId, 0, userData, 0);
+        });
+
+        return totalLoss;
+    }
+
+    accumulateGradients(userId, movieId, itemVector, error) {
+        const userRow = this.userEmbeddings.rowOf(userId);
+        if (userRow < 0 || !this.movieEmbeddings.has(movieId)) return;
+
+        this.userEmbeddings.accumulate(userRow, error, itemVector, 0, this.gradientRegularization());
+        this.userBiases.accumulateValue(this.userBiases.rowOf(userId), error);
+        this.accumulateItemGradient(movieId, error, this.userEmbeddings.data, userRow * this.embeddingDim);
+    }
+
+    // Accumulates coefficient * source[sourceOffset..] as the gradient w.r.t. the
+    // item tower output (and `coefficient` for the item bias) into the ID
+    // embedding and, scaled by each feature value, into the feature projection.
+    accumulateItemGradient(movieId, coefficient, source, sourceOffset, regularization = this.gradientRegularization()) {
+        const movieRow = this.movieEmbeddings.rowOf(movieId);
+        if (movieRow >= 0) {
+            this.movieEmbeddings.accumulate(movieRow, coefficient, source, sourceOffset, regularization);
+            this.movieBiases.accumulateValue(this.movieBiases.rowOf(movieId), coefficient);
+        }
+
+        const features = this.featureProjection ? this.itemFeatures.get(movieId) : null;
+        if (features) {
+            for (let n = 0; n < features.indices.length; n++) {
+                const feature = features.indices[n];
+                const value = features.values[n];
+                this.featureProjection.accumulate(feature, coefficient * value, source, sourceOffset, regularization);
+                this.featureBiasWeights.accumulateValue(feature, coefficient * value);
+            }
+        }
+    }
+
+    gradientRegularization() {
+        return gradientRegularization(this.regularization, this.optimizer);
+    }
+
+    applyGradients() {
+        const optimizer = this.optimizer;
+        if (optimizer) optimizer.beginStep();
+        this.parameterTables().forEach(table => table.applyGradients(this.learningRate, optimizer));
+    }
+
+    // config: 'exact', 'ivf' or { type, ...options } (see retrieval.js)
+    setRetrievalIndex(config) {
+        this.retrievalConfig = config;
+        if (this.isTrained) this.buildRetrievalIndex();
+    }
+
+    // Indexes every item tower output with its bias folded in
+    buildRetrievalIndex() {
+        const items = this.getMovieEmbeddings().map(({ movieId, vector }) => ({
+            id: movieId,
+            vector,
+            bias: this.getItemBias(movieId)
+        }));
+        const { type, ...options } = typeof this.retrievalConfig === 'string'
+            ? { type: this.retrievalConfig }
+            : this.retrievalConfig;
+        // Clustering indexes reuse the training seed so rebuilds are repeatable
+        this.retrievalIndex = createRetrievalIndex({ type, seed: this.seed, ...options }).build(items);
+        return this.retrievalIndex;
+    }
+
+    // Known users are served from the retrieval index. It ranks by item bias
+    // + user·item, which orders items exactly like score(); candidates outside
+    // the index (no ID embedding, no features) are scored directly and merged.
     async recommend(userId, allMovieIds, topK = 5) {
         if (!this.isTrained) {
             throw new Error('Simple model not trained yet');
         }
 
+        const index = this.retrievalIndex;
+        const userVector = this.userEmbeddings.get(userId);
+        if (!index || !userVector) {
+            return this.recommendExhaustive(userId, allMovieIds, topK);
+        }
+
+        const candidates = new Set(allMovieIds);
+        const uncovered = allMovieIds.filter(movieId => !index.has(movieId));
+        const coversIndex = candidates.size - uncovered.length === index.size;
+        const hits = index.search(userVector, topK, { filter: coversIndex ? null : candidates });
+
+        const scores = [...hits.map(({ id }) => id), ...uncovered].map(movieId => ({
+            movieId,
+            score: this.score(userId, movieId)
+        }));
+        return scores.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    // Scores every candidate and sorts them all
+    recommendExhaustive(userId, allMovieIds, topK = 5) {
         const scores = allMovieIds.map(movieId => ({
             movieId,
-            score: this.predict(userId, movieId)
+            score: this.score(userId, movieId)
         }));
 
         return scores.sort((a, b) => b.score - a.score).slice(0, topK);
     }
 
+    // Item tower outputs for every item with an ID embedding or features
     getMovieEmbeddings() {
-        return Array.from(this.movieEmbeddings.entries()).map(([movieId, vector]) => ({
+        const movieIds = new Set([...this.movieEmbeddings.keys(), ...this.itemFeatures.keys()]);
+        return Array.from(movieIds).map(movieId => ({
             movieId,
-            vector
+            vector: this.getItemVector(movieId)
         }));
     }
+
+    toJSON() {
+        const userIds = Array.from(this.userEmbeddings.keys());
+        const movieIds = Array.from(this.movieEmbeddings.keys());
+        const features = this.featureProjection ? Array.from(this.featureProjection.keys()) : null;
+
+        return {
+            type: 'TwoTowerModel',
+            version: MODEL_FORMAT_VERSION,
+            hyperparameters: {
+                embeddingDim: this.embeddingDim,
+                learningRate: this.learningRate,
+                regularization: this.regularization,
+                feedback: this.feedback,
+                seed: this.seed,
+                retrievalConfig: this.retrievalConfig
+            },
+            vocabulary: { userIds, movieIds },
+            parameters: {
+                globalBias: this.globalBias,
+                userEmbeddings: userIds.map(id => Array.from(this.userEmbeddings.get(id))),
+                userBiases: userIds.map(id => this.userBiases.get(id) || 0),
+                movieEmbeddings: movieIds.map(id => Array.from(this.movieEmbeddings.get(id))),
+                movieBiases: movieIds.map(id => this.movieBiases.get(id) || 0),
+                featureProjection: features ? features.map(f => Array.from(this.featureProjection.get(f))) : null,
+                featureBiasWeights: features ? features.map(f => this.featureBiasWeights.get(f)) : null
+            },
+            itemFeatures: this.itemFeatureEncoder ? {
+                encoder: this.itemFeatureEncoder.toJSON(),
+                items: Array.from(this.itemFeatures.entries()).map(([id, f]) => [id, f.indices, f.values])
+            } : null,
+            lossHistory: [...this.lossHistory],
+            validationLossHistory: [...this.validationLossHistory],
+            isTrained: this.isTrained
+        };
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'TwoTowerModel');
+        const { hyperparameters, vocabulary, parameters } = data;
+
+        const model = new TwoTowerModel(hyperparameters.embeddingDim, { seed: hyperparameters.seed });
+        model.learningRate = hyperparameters.learningRate;
+        model.regularization = hyperparameters.regularization;
+        model.feedback = hyperparameters.feedback;
+        model.retrievalConfig = hyperparameters.retrievalConfig;
+        model.globalBias = parameters.globalBias;
+
+        vocabulary.userIds.forEach((id, i) => {
+            model.userEmbeddings.set(id, parameters.userEmbeddings[i]);
+            model.userBiases.set(id, parameters.userBiases[i]);
+        });
+        vocabulary.movieIds.forEach((id, i) => {
+            model.movieEmbeddings.set(id, parameters.movieEmbeddings[i]);
+            model.movieBiases.set(id, parameters.movieBiases[i]);
+        });
+
+        if (data.itemFeatures) {
+            model.itemFeatureEncoder = ItemFeatureEncoder.fromJSON(data.itemFeatures.encoder);
+            model.itemFeatures = new Map(data.itemFeatures.items.map(([id, indices, values]) => [id, { indices, values }]));
+            model.featureProjection = new EmbeddingTable(model.embeddingDim, parameters.featureProjection.length);
+            model.featureBiasWeights = new BiasTable(parameters.featureBiasWeights.length);
+            parameters.featureProjection.forEach((row, feature) => {
+                model.featureProjection.add(feature, row);
+                model.featureBiasWeights.set(feature, parameters.featureBiasWeights[feature]);
+            });
+        }
+
+        model.lossHistory = [...(data.lossHistory || [])];
+        model.validationLossHistory = [...(data.validationLossHistory || [])];
+        model.isTrained = !!data.isTrained;
+        if (model.isTrained) model.buildRetrievalIndex();
+        return model;
+    }
 }
 
-// Advanced MLP Deep Learning Model
+// Advanced MLP Deep Learning Model (NeuMF-style)
+// encoding 'embedding': the MLP input is [user embedding, item embedding], with
+//   both tables learned through backprop; useGMF adds a generalized matrix
+//   factorization branch (element-wise product of a second pair of embeddings)
+//   that is concatenated with the last hidden layer before the output layer.
+// encoding 'hashed': the original fixed hashed bit encoding, kept for comparison.
 class MLPModel {
-    constructor(inputDim = 64, hiddenLayers = [128, 64, 32], outputDim = 1) {
+    constructor(inputDim = 64, hiddenLayers = [128, 64, 32], outputDim = 1, options = {}) {
         this.inputDim = inputDim;
         this.hiddenLayers = hiddenLayers;
         this.outputDim = outputDim;
-        this.weights = [];
-        this.biases = [];
+        this.encoding = options.encoding || 'embedding';
+        this.useGMF = this.encoding === 'embedding' && options.useGMF !== false;
+        this.embeddingDim = Math.floor(inputDim / 2);
+        this.gmfDim = this.useGMF ? (options.gmfDim || 8) : 0;
         this.learningRate = 0.001;
+        this.embeddingLearningRate = options.embeddingLearningRate || 0.01;
         this.regularization = 0.0001;
         this.dropoutRate = 0.2;
+        this.seed = options.seed != null ? options.seed >>> 0 : randomSeed();
+        this.random = createRandom(this.seed);
+        this.userEmbeddings = new EmbeddingTable(this.embeddingDim);
+        this.movieEmbeddings = new EmbeddingTable(this.embeddingDim);
+        this.userGmfEmbeddings = new EmbeddingTable(Math.max(this.gmfDim, 1));
+        this.movieGmfEmbeddings = new EmbeddingTable(Math.max(this.gmfDim, 1));
+        this.gmfWorkspace = new Float32Array(Math.max(this.gmfDim, 1));
+        this.feedback = 'explicit';
+        this.userIds = [];
+        this.movieIds = [];
+        this.optimizer = null;
+        this.lossHistory = [];
+        this.validationLossHistory = [];
         this.isTrained = false;
         
         this.initializeNetwork();
     }
 
     initializeNetwork() {
-        const dimensions = [this.inputDim, ...this.hiddenLayers, this.outputDim];
-        this.weights = [];
-        this.biases = [];
+        // The output layer also reads the GMF branch
+        this.network = new DenseNetwork([this.inputDim, ...this.hiddenLayers, this.outputDim], {
+            extraDim: this.gmfDim,
+            random: this.random
+        });
+    }
 
-        for (let i = 0; i < dimensions.length - 1; i++) {
-            const inputSize = dimensions[i];
-            const outputSize = dimensions[i + 1];
-            
-            // He initialization for ReLU
-            const scale = Math.sqrt(2.0 / inputSize);
-            this.weights.push(
-                Array.from({length: outputSize}, () => 
-                    Array.from({length: inputSize}, () => (Math.random() - 0.5) * 2 * scale)
-                )
-            );
-            this.biases.push(Array.from({length: outputSize}, () => 0));
+    // Seeds this training run; see TwoTowerModel.beginRun
+    beginRun(seed) {
+        this.seed = seed != null ? seed >>> 0 : randomSeed();
+        this.random = createRandom(this.seed);
+        if (this.isTrained) {
+            this.network.random = this.random;
+        } else {
+            this.initializeNetwork();
         }
     }
 
+    randomArray(length, scale = 1.0) {
+        return Array.from({length}, () => (this.random() - 0.5) * 2 * scale);
+    }
+
+    initializeEmbeddings(userIds, movieIds) {
+        if (this.encoding !== 'embedding') return;
+
+        const init = (table, ids, dim) => ids.forEach(id => {
+            if (!table.has(id)) table.set(id, this.randomArray(dim, 0.1));
+        });
+        init(this.userEmbeddings, userIds, this.embeddingDim);
+        init(this.movieEmbeddings, movieIds, this.embeddingDim);
+        if (this.useGMF) {
+            init(this.userGmfEmbeddings, userIds, this.gmfDim);
+            init(this.movieGmfEmbeddings, movieIds, this.gmfDim);
+        }
+    }
+
+    // Unknown IDs map to the zero vector, leaving only the network biases
+    lookup(table, id, dim) {
+        return table.get(id) || new Array(dim).fill(0);
+    }
+
     encodeInput(userId, movieId) {
+        if (this.encoding === 'hashed') {
+            return this.encodeHashedInput(userId, movieId);
+        }
+
+        const input = new Array(this.inputDim).fill(0);
+        const userEmbedding = this.lookup(this.userEmbeddings, userId, this.embeddingDim);
+        const movieEmbedding = this.lookup(this.movieEmbeddings, movieId, this.embeddingDim);
+        for (let i = 0; i < this.embeddingDim; i++) {
+            input[i] = userEmbedding[i];
+            input[this.embeddingDim + i] = movieEmbedding[i];
+        }
+        return input;
+    }
+
+    encodeGMF(userId, movieId) {
+        if (!this.useGMF) return null;
+
+        const userVector = this.lookup(this.userGmfEmbeddings, userId, this.gmfDim);
+        const movieVector = this.lookup(this.movieGmfEmbeddings, movieId, this.gmfDim);
+        return Array.from(userVector, (value, i) => value * movieVector[i]);
+    }
+
+    encodeHashedInput(userId, movieId) {
         // Create a rich feature encoding
         const encoding = new Array(this.inputDim).fill(0);
         
@@ -210,193 +1116,536 @@ class MLPModel {
         return Math.abs(hash);
     }
 
-    relu(x) {
-        return Math.max(0, x);
-    }
-
-    reluDerivative(x) {
-        return x > 0 ? 1 : 0.01; // Leaky ReLU derivative
-    }
-
     sigmoid(x) {
         return 1 / (1 + Math.exp(-x));
     }
 
-    forward(input, training = false) {
-        let current = input;
-        const activations = [input];
-        const preActivations = [];
-        const dropoutMasks = [];
+    // Writes example `b` of a batch (input row and GMF branch) straight into
+    // the network workspace, without intermediate arrays.
+    writeExample(b, userId, movieId) {
+        const network = this.network;
+        const input = network.input;
+        const offset = b * network.activationWidth(0);
 
-        // Hidden layers with dropout
-        for (let i = 0; i < this.weights.length - 1; i++) {
-            const layerPreActivation = this.matrixVectorMultiply(this.weights[i], current);
-            this.vectorAdd(layerPreActivation, this.biases[i]);
-            preActivations.push([...layerPreActivation]);
-            
-            // Apply ReLU activation
-            current = layerPreActivation.map(this.relu);
-            
-            // Apply dropout during training
-            if (training) {
-                const mask = current.map(() => Math.random() > this.dropoutRate ? 1 : 0);
-                current = current.map((val, idx) => val * mask[idx]);
-                dropoutMasks.push(mask);
+        if (this.encoding === 'hashed') {
+            input.set(this.encodeHashedInput(userId, movieId), offset);
+        } else {
+            const dim = this.embeddingDim;
+            const userOffset = this.userEmbeddings.offsetOf(userId);
+            const movieOffset = this.movieEmbeddings.offsetOf(movieId);
+            const userData = this.userEmbeddings.data;
+            const movieData = this.movieEmbeddings.data;
+            for (let i = 0; i < dim; i++) {
+                input[offset + i] = userOffset >= 0 ? userData[userOffset + i] : 0;
+                input[offset + dim + i] = movieOffset >= 0 ? movieData[movieOffset + i] : 0;
             }
-            
-            activations.push(current);
         }
 
-        // Output layer (linear activation for regression)
-        const outputPreActivation = this.matrixVectorMultiply(this.weights[this.weights.length - 1], current);
-        this.vectorAdd(outputPreActivation, this.biases[this.biases.length - 1]);
-        preActivations.push([...outputPreActivation]);
-        
-        const output = outputPreActivation[0]; // Single output
-        activations.push([output]);
-
-        return { 
-            output, 
-            activations, 
-            preActivations, 
-            dropoutMasks 
-        };
+        if (this.useGMF) {
+            const extra = network.extraActivations;
+            const extraOffset = network.extraOffset(b);
+            const userOffset = this.userGmfEmbeddings.offsetOf(userId);
+            const movieOffset = this.movieGmfEmbeddings.offsetOf(movieId);
+            const userData = this.userGmfEmbeddings.data;
+            const movieData = this.movieGmfEmbeddings.data;
+            for (let i = 0; i < this.gmfDim; i++) {
+                extra[extraOffset + i] = userOffset >= 0 && movieOffset >= 0
+                    ? userData[userOffset + i] * movieData[movieOffset + i]
+                    : 0;
+            }
+        }
     }
 
-    matrixVectorMultiply(matrix, vector) {
-        return matrix.map(row => 
-            row.reduce((sum, weight, j) => sum + weight * vector[j], 0)
-        );
+    // Single-example forward pass over an already encoded input
+    forward(input, training = false, gmfVector = null) {
+        this.network.ensureWorkspace(1);
+        this.network.input.set(input, 0);
+        if (gmfVector) {
+            this.network.extraActivations.set(gmfVector, this.network.extraOffset(0));
+        }
+        const output = this.network.forward(1, training, this.dropoutRate)[0];
+        return { output };
     }
 
-    vectorAdd(vector, other) {
-        for (let i = 0; i < vector.length; i++) {
-            vector[i] += other[i];
+    // Raw network outputs for one user against many movies, scored in batches
+    rawScores(userId, movieIds, chunkSize = 256) {
+        const scores = new Float32Array(movieIds.length);
+        this.network.ensureWorkspace(Math.min(chunkSize, Math.max(movieIds.length, 1)));
+
+        for (let start = 0; start < movieIds.length; start += chunkSize) {
+            const count = Math.min(chunkSize, movieIds.length - start);
+            for (let b = 0; b < count; b++) {
+                this.writeExample(b, userId, movieIds[start + b]);
+            }
+            const outputs = this.network.forward(count, false);
+            for (let b = 0; b < count; b++) {
+                scores[start + b] = outputs[b * this.outputDim];
+            }
         }
+        return scores;
     }
 
-    predict(userId, movieId) {
-        const input = this.encodeInput(userId, movieId);
-        const { output } = this.forward(input, false);
-        
+    // Scale a rating to the output range using the logit transformation.
+    // 1 and 5 star ratings sit on the asymptotes, so pull them slightly inside.
+    ratingTarget(rating) {
+        const clampedRating = Math.max(1.1, Math.min(4.9, rating));
+        return Math.log((clampedRating - 1) / (5 - clampedRating));
+    }
+
+    toRating(output) {
         // Properly invert the log scaling used in training
         const scaledOutput = 1 + 4 * this.sigmoid(output);
         return Math.max(1, Math.min(5, scaledOutput));
     }
 
-    async train(interactions, epochs = 100) {
+    predict(userId, movieId) {
+        return this.toRating(this.rawScores(userId, [movieId])[0]);
+    }
+
+    // Ranking score used by recommend(): the raw network output for implicit models
+    score(userId, movieId) {
+        const output = this.rawScores(userId, [movieId])[0];
+        return this.feedback === 'implicit' ? output : this.toRating(output);
+    }
+
+    async train(interactions, epochs = 100, options = {}) {
+        const trainingOptions = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+        this.beginRun(trainingOptions.seed);
+        interactions = withRecencyWeights(interactions, trainingOptions.timeDecay);
+        if (trainingOptions.solver !== 'sgd') {
+            throw new Error(`MLPModel trains with the sgd solver only, not ${trainingOptions.solver}`);
+        }
+        if (trainingOptions.feedback === 'implicit') {
+            return this.trainImplicit(interactions, epochs, trainingOptions);
+        }
+
         console.log('Training MLP Deep Learning Model...');
         
-        const losses = [];
-        let previousLoss = Infinity;
+        this.userIds = [...new Set(interactions.map(i => i.userId))];
+        this.movieIds = [...new Set(interactions.map(i => i.movieId))];
+        this.initializeEmbeddings(this.userIds, this.movieIds);
+        this.feedback = 'explicit';
+        this.optimizer = createOptimizer(trainingOptions.optimizer);
+
+        const batchSize = Math.max(1, trainingOptions.batchSize);
+        this.network.ensureWorkspace(batchSize);
+        const outputGradients = new Float32Array(batchSize);
+        const monitor = this.createMonitor(epochs, trainingOptions, trainingOptions.validation);
 
         for (let epoch = 0; epoch < epochs; epoch++) {
             let totalLoss = 0;
             let count = 0;
+            monitor.startEpoch(epoch);
 
-            // Shuffle with different random seed each epoch
-            const shuffled = [...interactions].sort(() => Math.random() - 0.5);
+            const shuffled = shuffleInPlace([...interactions], this.random);
             
-            for (const {userId, movieId, rating} of shuffled) {
-                const input = this.encodeInput(userId, movieId);
-                const { output, activations, preActivations, dropoutMasks } = this.forward(input, true);
-                
-                // Scale target to match output range using logit transformation
-                const scaledTarget = Math.log((rating - 1) / (5 - rating));
-                const error = output - scaledTarget;
-                
-                totalLoss += error * error;
-                count++;
+            for (let start = 0; start < shuffled.length; start += batchSize) {
+                const batch = shuffled.slice(start, start + batchSize);
+                batch.forEach(({userId, movieId}, b) => this.writeExample(b, userId, movieId));
+                const outputs = this.network.forward(batch.length, true, this.dropoutRate);
+
+                batch.forEach(({rating, weight = 1}, b) => {
+                    const error = outputs[b] - this.ratingTarget(rating);
+
+                    outputGradients[b] = weight * error;
+                    totalLoss += weight * error * error;
+                    count++;
+                });
                 
                 // Backpropagation
-                this.backward(input, error, activations, preActivations, dropoutMasks);
+                this.backpropagate(batch, outputGradients);
             }
 
-            const avgLoss = totalLoss / count;
-            losses.push(avgLoss);
-            
-            // Adaptive learning rate and early stopping
-            if (avgLoss > previousLoss) {
-                this.learningRate *= 0.95;
-            }
-            
-            if (Math.abs(previousLoss - avgLoss) < 0.0001 && epoch > 20) {
-                console.log(`MLP Early stopping at epoch ${epoch}`);
-                break;
-            }
-            previousLoss = avgLoss;
-            
-            if (epoch % 20 === 0) {
-                console.log(`MLP Epoch ${epoch}, Loss: ${avgLoss.toFixed(4)}, LR: ${this.learningRate.toFixed(6)}`);
-            }
+            if (await monitor.endEpoch(epoch, totalLoss / count)) break;
         }
 
+        const losses = monitor.finish();
         this.isTrained = true;
         console.log('MLP Deep Learning Model training completed');
         return losses;
     }
 
-    backward(input, error, activations, preActivations, dropoutMasks) {
-        let delta = [error];
-        const weightGradients = [];
-        const biasGradients = [];
+    // Online fine-tuning of one user from their ratings: `steps` gradient
+    // steps on the user's embeddings with the network and item embeddings
+    // frozen (the training loss, BPR against uniform negatives for implicit
+    // models). Hashed models have no per-user parameters, so they fine-tune
+    // the network on the user's ratings instead. Ratings of unknown items are
+    // ignored; returns false when none are left.
+    foldInUser(userId, interactions, options = {}) {
+        const { steps = 10 } = options;
+        if (!this.isTrained) {
+            throw new Error('MLP model not trained yet');
+        }
 
-        // Backward pass through layers
-        for (let i = this.weights.length - 1; i >= 0; i--) {
-            const activation = activations[i];
-            const preActivation = preActivations[i];
-            
-            // Calculate gradients for this layer
-            const layerWeightGradients = delta.map(d => 
-                activation.map(a => d * a)
-            );
-            
-            const layerBiasGradients = [...delta];
-            
-            weightGradients.unshift(layerWeightGradients);
-            biasGradients.unshift(layerBiasGradients);
-            
-            // Propagate delta to previous layer (if not input layer)
-            if (i > 0) {
-                const newDelta = new Array(activation.length).fill(0);
-                for (let j = 0; j < activation.length; j++) {
-                    for (let k = 0; k < delta.length; k++) {
-                        newDelta[j] += delta[k] * this.weights[i][k][j] * this.reluDerivative(preActivation[j]);
-                    }
-                    // Apply dropout mask
-                    if (dropoutMasks[i - 1]) {
-                        newDelta[j] *= dropoutMasks[i - 1][j];
+        const hashed = this.encoding === 'hashed';
+        const rated = interactions.filter(({ movieId }) => hashed || this.movieEmbeddings.has(movieId));
+        if (rated.length === 0) return false;
+        if (!hashed && !this.userEmbeddings.has(userId)) {
+            this.initializeEmbeddings([userId], []);
+            this.userIds.push(userId);
+        }
+
+        const implicit = this.feedback === 'implicit';
+        const positives = new Set(rated.map(({ movieId }) => movieId));
+        const catalog = this.movieIds.filter(movieId => !positives.has(movieId));
+        if (implicit && catalog.length === 0) return false;
+
+        const perExample = implicit ? 2 : 1;
+        const outputGradients = new Float32Array(rated.length * perExample);
+        for (let step = 0; step < steps; step++) {
+            const rows = [];
+            rated.forEach(({ movieId }) => {
+                rows.push({ userId, movieId });
+                if (implicit) rows.push({ userId, movieId: catalog[Math.floor(this.random() * catalog.length)] });
+            });
+            this.network.ensureWorkspace(rows.length);
+            rows.forEach((row, b) => this.writeExample(b, row.userId, row.movieId));
+            const outputs = this.network.forward(rows.length, false);
+
+            rated.forEach(({ rating }, n) => {
+                if (implicit) {
+                    const coefficient = sigmoid(outputs[2 * n] - outputs[2 * n + 1]) - 1;
+                    outputGradients[2 * n] = coefficient;
+                    outputGradients[2 * n + 1] = -coefficient;
+                } else {
+                    outputGradients[n] = outputs[n] - this.ratingTarget(rating);
+                }
+            });
+
+            this.network.backward(rows.length, outputGradients);
+            if (hashed) {
+                this.network.applyGradients(this.learningRate, this.regularization, rows.length);
+            } else {
+                this.network.clearGradients();
+                this.accumulateUserGradients(rows);
+                this.userEmbeddings.applyGradients(this.embeddingLearningRate);
+                if (this.useGMF) this.userGmfEmbeddings.applyGradients(this.embeddingLearningRate);
+            }
+        }
+        return true;
+    }
+
+    // The user half of accumulateEmbeddingGradients()
+    accumulateUserGradients(rows) {
+        const network = this.network;
+        const inputWidth = network.activationWidth(0);
+        const reg = gradientRegularization(this.regularization, this.optimizer);
+        const gmf = this.gmfWorkspace;
+
+        rows.forEach(({ userId, movieId }, b) => {
+            this.userEmbeddings.accumulate(this.userEmbeddings.rowOf(userId), 1, network.inputGradient, b * inputWidth, reg);
+            const movieGmfRow = this.useGMF ? this.movieGmfEmbeddings.rowOf(movieId) : -1;
+            if (movieGmfRow >= 0) {
+                const gradient = network.extraGradients;
+                const offset = network.extraOffset(b);
+                const movieOffset = movieGmfRow * this.gmfDim;
+                for (let i = 0; i < this.gmfDim; i++) gmf[i] = gradient[offset + i] * this.movieGmfEmbeddings.data[movieOffset + i];
+                this.userGmfEmbeddings.accumulate(this.userGmfEmbeddings.rowOf(userId), 1, gmf, 0, reg);
+            }
+        });
+    }
+
+    // Without an explicit schedule the MLP decays its learning rate whenever
+    // the training loss rises
+    createMonitor(epochs, options, validation) {
+        return new TrainingMonitor(this, {
+            name: 'MLP',
+            epochs,
+            validation,
+            patience: options.patience,
+            schedule: options.schedule || 'plateau',
+            minEpochs: 20,
+            onEpoch: options.onEpoch,
+            signal: options.signal
+        });
+    }
+
+    async trainImplicit(interactions, epochs, options) {
+        const { loss, sampler, negatives } = options;
+        const batchSize = Math.max(1, options.batchSize);
+        if (loss !== 'bpr' && loss !== 'softmax') {
+            throw new Error(`Unknown implicit loss: ${loss}`);
+        }
+        console.log(`Training MLP Deep Learning Model (implicit, ${loss})...`);
+
+        this.userIds = [...new Set(interactions.map(i => i.userId))];
+        this.movieIds = [...new Set(interactions.map(i => i.movieId))];
+        this.initializeEmbeddings(this.userIds, this.movieIds);
+        this.feedback = 'implicit';
+        this.optimizer = createOptimizer(options.optimizer);
+        const negativeSampler = createNegativeSampler(sampler, interactions, { random: this.random });
+
+        // BPR pairs each positive with one negative; the MLP's sampled softmax
+        // scores it against `negatives` sampled items
+        const groupSize = 1 + (loss === 'bpr' ? 1 : negatives);
+        this.network.ensureWorkspace(batchSize * groupSize);
+        const outputGradients = new Float32Array(batchSize * groupSize);
+        const monitor = this.createMonitor(epochs, options, pairWithNegatives(options.validation, negativeSampler));
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            let totalLoss = 0;
+            let count = 0;
+            monitor.startEpoch(epoch);
+
+            const shuffled = shuffleInPlace([...interactions], this.random);
+
+            for (let start = 0; start < shuffled.length; start += batchSize) {
+                // Every candidate of every positive in the batch is one network row
+                const rows = [];
+                const groups = [];
+                for (const {userId, movieId, weight = 1} of shuffled.slice(start, start + batchSize)) {
+                    const sampled = negativeSampler.sampleMany(userId, groupSize - 1);
+                    const candidates = [movieId, ...sampled.filter(id => id !== movieId)];
+                    if (candidates.length < 2) continue;
+
+                    groups.push({ start: rows.length, size: candidates.length, weight });
+                    candidates.forEach(candidateId => rows.push({ userId, movieId: candidateId }));
+                }
+                if (rows.length === 0) continue;
+
+                rows.forEach(({userId, movieId}, b) => this.writeExample(b, userId, movieId));
+                const outputs = this.network.forward(rows.length, true, this.dropoutRate);
+
+                // Gradient of the loss w.r.t. each candidate's output
+                for (const group of groups) {
+                    const weight = group.weight;
+                    if (loss === 'bpr') {
+                        const diff = outputs[group.start] - outputs[group.start + 1];
+                        const coefficient = weight * (sigmoid(diff) - 1);
+                        outputGradients[group.start] = coefficient;
+                        outputGradients[group.start + 1] = -coefficient;
+                        totalLoss -= weight * logSigmoid(diff);
+                    } else {
+                        const logits = Array.from(outputs.subarray(group.start, group.start + group.size));
+                        const probabilities = softmax(logits);
+                        probabilities.forEach((p, c) => {
+                            outputGradients[group.start + c] = weight * (p - (c === 0 ? 1 : 0));
+                        });
+                        totalLoss -= weight * Math.log(Math.max(probabilities[0], 1e-12));
                     }
+                    count++;
                 }
-                delta = newDelta;
+
+                this.backpropagate(rows, outputGradients);
             }
+
+            if (await monitor.endEpoch(epoch, totalLoss / Math.max(count, 1))) break;
         }
 
-        // Update weights and biases with regularization
-        for (let i = 0; i < this.weights.length; i++) {
-            for (let j = 0; j < this.weights[i].length; j++) {
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    const grad = weightGradients[i][j][k] + this.regularization * this.weights[i][j][k];
-                    this.weights[i][j][k] -= this.learningRate * grad;
+        const losses = monitor.finish();
+        this.isTrained = true;
+        console.log('MLP Deep Learning Model training completed');
+        return losses;
+    }
+
+    // Validation loss in the units of training (squared logit error for explicit
+    // models, BPR loss against the pre-drawn `negativeId` for implicit ones),
+    // scored in batches like rawScores()
+    computeLoss(interactions, chunkSize = 256) {
+        const implicit = this.feedback === 'implicit';
+        const perExample = implicit ? 2 : 1;
+        this.network.ensureWorkspace(chunkSize * perExample);
+
+        let total = 0;
+        for (let start = 0; start < interactions.length; start += chunkSize) {
+            const chunk = interactions.slice(start, start + chunkSize);
+            chunk.forEach(({userId, movieId, negativeId}, b) => {
+                this.writeExample(b * perExample, userId, movieId);
+                if (implicit) this.writeExample(b * perExample + 1, userId, negativeId);
+            });
+            const outputs = this.network.forward(chunk.length * perExample, false);
+
+            chunk.forEach(({rating}, b) => {
+                if (implicit) {
+                    total -= logSigmoid(outputs[2 * b] - outputs[2 * b + 1]);
+                } else {
+                    const error = outputs[b] - this.ratingTarget(rating);
+                    total += error * error;
                 }
-                this.biases[i][j] -= this.learningRate * biasGradients[i][j];
+            });
+        }
+        return total / Math.max(interactions.length, 1);
+    }
+
+    parameterTables() {
+        return [this.userEmbeddings, this.movieEmbeddings, this.userGmfEmbeddings, this.movieGmfEmbeddings];
+    }
+
+    getCheckpoint() {
+        return {
+            network: this.network.snapshot(),
+            tables: this.parameterTables().map(table => table.snapshot())
+        };
+    }
+
+    restoreCheckpoint(checkpoint) {
+        this.network.restore(checkpoint.network);
+        this.parameterTables().forEach((table, i) => table.restore(checkpoint.tables[i]));
+    }
+
+    // Backward pass for the rows of the last forward(), then one update of the
+    // network weights and the touched embedding rows.
+    backpropagate(rows, outputGradients) {
+        const optimizer = this.optimizer;
+        if (optimizer) optimizer.beginStep();
+        this.network.backward(rows.length, outputGradients);
+        this.accumulateEmbeddingGradients(rows);
+        this.network.applyGradients(this.learningRate, this.regularization, rows.length, optimizer);
+
+        if (this.encoding === 'embedding') {
+            this.userEmbeddings.applyGradients(this.embeddingLearningRate, optimizer);
+            this.movieEmbeddings.applyGradients(this.embeddingLearningRate, optimizer);
+            if (this.useGMF) {
+                this.userGmfEmbeddings.applyGradients(this.embeddingLearningRate, optimizer);
+                this.movieGmfEmbeddings.applyGradients(this.embeddingLearningRate, optimizer);
             }
         }
     }
 
+    // Routes the gradient w.r.t. the network input (and the GMF branch) into
+    // the embedding tables, so they train end-to-end with the network.
+    accumulateEmbeddingGradients(rows) {
+        if (this.encoding !== 'embedding') return;
+
+        const network = this.network;
+        const inputGradient = network.inputGradient;
+        const inputWidth = network.activationWidth(0);
+        const reg = gradientRegularization(this.regularization, this.optimizer);
+        const gmf = this.gmfWorkspace;
+
+        rows.forEach(({userId, movieId}, b) => {
+            const userRow = this.userEmbeddings.rowOf(userId);
+            const movieRow = this.movieEmbeddings.rowOf(movieId);
+            if (userRow >= 0 && movieRow >= 0) {
+                this.userEmbeddings.accumulate(userRow, 1, inputGradient, b * inputWidth, reg);
+                this.movieEmbeddings.accumulate(movieRow, 1, inputGradient, b * inputWidth + this.embeddingDim, reg);
+            }
+
+            const userGmfRow = this.useGMF ? this.userGmfEmbeddings.rowOf(userId) : -1;
+            const movieGmfRow = this.useGMF ? this.movieGmfEmbeddings.rowOf(movieId) : -1;
+            if (userGmfRow >= 0 && movieGmfRow >= 0) {
+                const gradient = network.extraGradients;
+                const offset = network.extraOffset(b);
+                const userData = this.userGmfEmbeddings.data;
+                const movieData = this.movieGmfEmbeddings.data;
+                const userOffset = userGmfRow * this.gmfDim;
+                const movieOffset = movieGmfRow * this.gmfDim;
+
+                // d(p ⊙ q)/dp = q and d(p ⊙ q)/dq = p
+                for (let i = 0; i < this.gmfDim; i++) gmf[i] = gradient[offset + i] * movieData[movieOffset + i];
+                this.userGmfEmbeddings.accumulate(userGmfRow, 1, gmf, 0, reg);
+                for (let i = 0; i < this.gmfDim; i++) gmf[i] = gradient[offset + i] * userData[userOffset + i];
+                this.movieGmfEmbeddings.accumulate(movieGmfRow, 1, gmf, 0, reg);
+            }
+        });
+    }
+
+    // Learned item embedding (the MLP input half) as a plain array. Null for
+    // unknown items and in hashed mode.
+    getItemVector(movieId) {
+        const vector = this.encoding === 'embedding' ? this.movieEmbeddings.get(movieId) : undefined;
+        return vector ? Array.from(vector) : null;
+    }
+
+    getUserVector(userId) {
+        const vector = this.encoding === 'embedding' ? this.userEmbeddings.get(userId) : undefined;
+        return vector ? Array.from(vector) : null;
+    }
+
+    // Learned item embeddings; empty in hashed mode
+    getMovieEmbeddings() {
+        if (this.encoding !== 'embedding') return [];
+        return Array.from(this.movieEmbeddings.keys()).map(movieId => ({
+            movieId,
+            vector: this.getItemVector(movieId)
+        }));
+    }
+
     async recommend(userId, allMovieIds, topK = 5) {
         if (!this.isTrained) {
             throw new Error('MLP model not trained yet');
         }
 
-        const scores = allMovieIds.map(movieId => ({
+        const outputs = this.rawScores(userId, allMovieIds);
+        const scores = allMovieIds.map((movieId, i) => ({
             movieId,
-            score: this.predict(userId, movieId)
+            score: this.feedback === 'implicit' ? outputs[i] : this.toRating(outputs[i])
         }));
 
         return scores.sort((a, b) => b.score - a.score).slice(0, topK);
     }
+
+    toJSON() {
+        return {
+            type: 'MLPModel',
+            version: MODEL_FORMAT_VERSION,
+            hyperparameters: {
+                inputDim: this.inputDim,
+                hiddenLayers: [...this.hiddenLayers],
+                outputDim: this.outputDim,
+                encoding: this.encoding,
+                useGMF: this.useGMF,
+                gmfDim: this.gmfDim,
+                learningRate: this.learningRate,
+                embeddingLearningRate: this.embeddingLearningRate,
+                regularization: this.regularization,
+                dropoutRate: this.dropoutRate,
+                feedback: this.feedback,
+                seed: this.seed
+            },
+            vocabulary: { userIds: [...this.userIds], movieIds: [...this.movieIds] },
+            parameters: {
+                weights: this.network.getWeights(),
+                biases: this.network.getBiases(),
+                embeddings: this.encoding === 'embedding' ? {
+                    users: this.userIds.map(id => Array.from(this.lookup(this.userEmbeddings, id, this.embeddingDim))),
+                    movies: this.movieIds.map(id => Array.from(this.lookup(this.movieEmbeddings, id, this.embeddingDim))),
+                    gmfUsers: this.useGMF ? this.userIds.map(id => Array.from(this.lookup(this.userGmfEmbeddings, id, this.gmfDim))) : null,
+                    gmfMovies: this.useGMF ? this.movieIds.map(id => Array.from(this.lookup(this.movieGmfEmbeddings, id, this.gmfDim))) : null
+                } : null
+            },
+            lossHistory: [...this.lossHistory],
+            validationLossHistory: [...this.validationLossHistory],
+            isTrained: this.isTrained
+        };
+    }
+
+    static fromJSON(json) {
+        const data = migrateModelJSON(json, 'MLPModel');
+        const { hyperparameters, vocabulary, parameters } = data;
+
+        const model = new MLPModel(hyperparameters.inputDim, hyperparameters.hiddenLayers, hyperparameters.outputDim, {
+            encoding: hyperparameters.encoding,
+            useGMF: hyperparameters.useGMF,
+            gmfDim: hyperparameters.gmfDim,
+            embeddingLearningRate: hyperparameters.embeddingLearningRate,
+            seed: hyperparameters.seed
+        });
+        model.learningRate = hyperparameters.learningRate;
+        model.regularization = hyperparameters.regularization;
+        model.dropoutRate = hyperparameters.dropoutRate;
+        model.feedback = hyperparameters.feedback;
+
+        model.network.setParameters(parameters.weights, parameters.biases);
+
+        model.userIds = [...vocabulary.userIds];
+        model.movieIds = [...vocabulary.movieIds];
+
+        const embeddings = parameters.embeddings;
+        if (embeddings) {
+            model.userIds.forEach((id, i) => model.userEmbeddings.set(id, embeddings.users[i]));
+            model.movieIds.forEach((id, i) => model.movieEmbeddings.set(id, embeddings.movies[i]));
+            if (embeddings.gmfUsers) {
+                model.userIds.forEach((id, i) => model.userGmfEmbeddings.set(id, embeddings.gmfUsers[i]));
+                model.movieIds.forEach((id, i) => model.movieGmfEmbeddings.set(id, embeddings.gmfMovies[i]));
+            }
+        }
+        model.lossHistory = [...(data.lossHistory || [])];
+        model.validationLossHistory = [...(data.validationLossHistory || [])];
+        model.isTrained = !!data.isTrained;
+        return model;
+    }
 }
 
 // Export for CommonJS
-module.exports = { TwoTowerModel, MLPModel };
+module.exports = { TwoTowerModel, MLPModel, MODEL_FORMAT_VERSION, DEFAULT_TRAINING_OPTIONS, migrateModelJSON, withRecencyWeights };